@@ -0,0 +1,73 @@
+/*
+|---------------------------------------------------------------------------
+| Audit Log Controllers (`audit.view`)
+|---------------------------------------------------------------------------
+|
+| - `getAuditLog`: Paginated audit log of the workspace, newest first (see `util/audit.js`).
+|
+| Filters:
+| - `action`: One or more actions, comma separated (e.g. `member.deleted,settings.bot_updated`).
+| - `actor`: User ID of the member who did the action, or `system`.
+| - `targetType` / `targetID`: Target of the action (e.g. `Lead` and the ID of the lead).
+| - `from` / `to`: Date range (dates without a time include the whole `to` day).
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import AuditLog, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from "../modal/audit-log-modal.js";
+import { formatAuditLog } from "../util/audit.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { dateRange } from "../util/ticketFilter.js";
+
+const getAuditLog = async (req, res, next) => {
+    let { page = 1, limit = 20, action, actor, targetType, targetID, from, to } = req.query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { workspace: foundUser.workspace };
+        if (action) {
+            const actions = String(action).split(',').map(item => item.trim()).filter(Boolean);
+            const unknownAction = actions.find(item => !AUDIT_ACTIONS.includes(item));
+            if (unknownAction) return next(new CustomError(`Unknown action ${unknownAction}!`, RouteCode.BAD_REQUEST.statusCode));
+            query.action = { $in: actions };
+        }
+        if (actor) {
+            if (actor !== 'system' && !mongoose.isValidObjectId(actor)) return next(new CustomError('Invalid actor ID!', RouteCode.BAD_REQUEST.statusCode));
+            query.actor = actor === 'system' ? null : actor;
+        }
+        if (targetType) {
+            if (!AUDIT_TARGET_TYPES.includes(targetType)) return next(new CustomError('Invalid target type!', RouteCode.BAD_REQUEST.statusCode));
+            query.targetType = targetType;
+        }
+        if (targetID) {
+            if (!mongoose.isValidObjectId(targetID)) return next(new CustomError('Invalid target ID!', RouteCode.BAD_REQUEST.statusCode));
+            query.targetID = targetID;
+        }
+        if (from || to) query.createdAt = dateRange(from, to, from ? 'from' : 'to');
+
+        const totalEntries = await AuditLog.countDocuments(query);
+        const foundEntries = await AuditLog.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            totalEntries,
+            totalPages: Math.ceil(totalEntries / limit),
+            currentPage: page,
+            limit,
+            entryList: foundEntries.map(formatAuditLog),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getAuditLog,
+}
@@ -6,14 +6,24 @@
 | This file contains controllers for handling user authentication, profile management,
 | and user actions like login, registration, and updates. The controllers include:
 |
-| - `postLogin`: Authenticates the user, validates credentials, and issues JWT tokens.
-| - `postRegister`: Handles user registration with validation and password hashing.
-| - `getLogout`: Logs out the user by clearing authentication cookies and refresh token.
-| - `getMemberList`: Retrieves a list of all users in the system.
-| - `getMemberDetail`: Fetches details of a specific user.
-| - `postMember`: Creates a new user and assigns them a role based on existing Admin.
-| - `putMemberDetail`: Updates user profile information and changes the password if necessary.
-| - `deleteMember`: Deletes a user, with checks to ensure only authorized actions.
+| - `postLogin`: Authenticates the user, validates credentials, starts a session for the device and issues JWT tokens.
+| - `postRegister`: Handles user registration with validation and password hashing, the user
+|   becomes the Admin of a new workspace.
+| - `getLogout`: Logs out the user by ending the session of the device and clearing authentication cookies.
+| - `postForgotPassword`: Emails a single-use, short-lived password reset link (the answer is the same
+|   for unknown emails).
+| - `postResetPassword`: Sets a new password with a reset token and logs the user out everywhere.
+| - `getMemberList`: Retrieves a list of all users in the workspace with their role.
+| - `getMemberDetail`: Fetches details of a specific user of the workspace.
+| - `putPassword`: Changes the password of the logged in user (required after logging in with the old
+|   default member password, see `mustChangePassword`) and logs out the other devices.
+| - `putMemberDetail`: Updates user profile information and changes the password if necessary
+|   (the user themselves, or `members.manage` for the other users).
+| - `deleteMember`: Deletes a user (`members.manage`), with checks to ensure only authorized actions.
+| - `putMemberRouting`: Updates the routing preferences of a user: members can opt themselves
+|   out of auto-assignment, `members.manage` can also set the cap on concurrent open tickets.
+| - `getEmailPreferences` / `putEmailPreferences`: Reads and updates the ticket event emails
+|   (new lead, reassignment, missed chat) the logged in user receives.
 |
 | All controllers validate input and handle errors with the `CustomError` class.
 | Responses include status codes based on the result of the operation, using `RouteCode`.
@@ -26,13 +36,23 @@ import bcrypt from "bcryptjs";
 import { configDotenv } from "dotenv";
 import { CustomError } from "../middleware/errorMiddleware.js";
 import User from "../modal/user-modal.js";
+import Workspace from "../modal/workspace-modal.js";
+import { auditTarget, changedValues, recordAudit } from "../util/audit.js";
 import RouteCode from "../util/httpStatus.js";
-import { generateJWTToken } from "../util/jwtToken.js";
+import { generateJWTToken, hashToken, verifyJWTToken } from "../util/jwtToken.js";
+import { sendPasswordResetMail } from "../util/mail/index.js";
+import { can, loadPermissions } from "../util/permissions.js";
+import { closeChannel, userChannel } from "../util/realtime.js";
 import getReqUser from '../util/reqUser.js';
+import { clearAuthCookies, revokeSessions, setAccessCookie, startSession } from "../util/session.js";
+import { createWorkspace, deleteWorkspace } from "../util/workspace.js";
 
 configDotenv();
 
-const { SALT, NODE_ENV } = process.env;
+const { SALT, NODE_ENV, DASHBOARD_URL, RESET_PASSWORD_URL, RESET_PASSWORD_EXPIRY_MINUTES = 30 } = process.env;
+
+// Shared password members got before the invitations, they have to pick their own
+const LEGACY_DEFAULT_PASSWORD = 'User@1234';
 
 // Login Controller
 const postLogin = async (req, res, next) => {
@@ -49,38 +69,33 @@ const postLogin = async (req, res, next) => {
         // Check if the password is correct
         const isValidPassword = await bcrypt.compare(password, foundUser.password);
         if (!isValidPassword) {
+            recordAudit({ req, workspace: foundUser.workspace, action: 'auth.login_failed', target: auditTarget.user(foundUser) });
             return next(new CustomError("Invalid credentials, email or password is incorrect", RouteCode.CONFLICT.statusCode));
         }
 
-        // Generate JWT tokens
-        const accessToken = generateJWTToken(foundUser, 'access', '2h');
-        const refreshToken = generateJWTToken(foundUser, 'refresh', '7d');
-
-        // Update refresh token in DB
-        foundUser.refresh_token = refreshToken;
-        await foundUser.save();
-
-        res.cookie("access_token", accessToken, {
-            httpOnly: true,
-            secure: true,
-            sameSite: "None",
-            path: "/",
-        });
-
-        res.cookie("refresh_token", refreshToken, {
-            httpOnly: true,
-            secure: true,
-            sameSite: "None",
-            path: "/",
-        });
+        if (password === LEGACY_DEFAULT_PASSWORD && !foundUser.mustChangePassword) {
+            foundUser.mustChangePassword = true;
+            await foundUser.save();
+        }
 
+        // Every device gets its own session, logging in does not log out the others
+        await startSession(req, res, foundUser);
+        recordAudit({ req, actor: foundUser, action: 'auth.login', target: auditTarget.user(foundUser) });
 
         // Send successful login response to the client
+        const foundWorkspace = await Workspace.findById(foundUser.workspace);
         const userDetail = {
             id: foundUser._id,
             name: foundUser.firstName + ' ' + foundUser.lastName,
             email: foundUser.email,
             isAdmin: foundUser.userRole === 'Admin',
+            mustChangePassword: foundUser.mustChangePassword,
+            permissions: await loadPermissions(foundUser),
+            workspace: {
+                id: foundWorkspace?._id,
+                name: foundWorkspace?.name,
+                widgetKey: foundWorkspace?.widgetKey,
+            },
         }
         return res.status(RouteCode.SUCCESS.statusCode).json(userDetail);
     } catch (error) {
@@ -90,7 +105,7 @@ const postLogin = async (req, res, next) => {
 
 // Register Controller
 const postRegister = async (req, res, next) => {
-    const { firstName, lastName, email, password, confirmPassword } = req.body;
+    const { firstName, lastName, email, password, confirmPassword, workspaceName } = req.body;
     if (!firstName || !lastName || !email || !password || !confirmPassword) {
         return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
     }
@@ -103,10 +118,6 @@ const postRegister = async (req, res, next) => {
         const foundSimilarUser = await User.findOne({ email });
         if (foundSimilarUser) return next(new CustomError("User already exists!", RouteCode.BAD_REQUEST.statusCode));
 
-        const foundAdmin = await User.findOne({ userRole: 'Admin' });
-        const userRole = foundAdmin ? 'Member' : 'Admin';
-        const parentID = foundAdmin ? foundAdmin._id : null;
-
         // Hash the password
         const hashedPassword = await bcrypt.hash(password, Number(SALT));
         const newUser = new User({
@@ -114,11 +125,27 @@ const postRegister = async (req, res, next) => {
             lastName,
             email,
             password: hashedPassword,
-            userRole,
-            parent: parentID,
+            userRole: 'Admin',
+            parent: null,
         });
 
-        await newUser.save();
+        // The workspace is only created for a valid user
+        await newUser.validate(undefined, { pathsToSkip: ['workspace'] });
+
+        // Every registration opens a new workspace owned by the registering Admin
+        const newWorkspace = await createWorkspace({
+            name: workspaceName?.trim() || `${firstName.trim()}'s Workspace`,
+            owner: newUser._id,
+        });
+        newUser.workspace = newWorkspace._id;
+
+        try {
+            await newUser.save();
+        } catch (error) {
+            // Do not leave a workspace without its owner (e.g. the same email registered meanwhile)
+            await deleteWorkspace(newWorkspace._id);
+            throw error;
+        }
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'User created successfully' });
     } catch (error) {
         return next(error);
@@ -128,21 +155,108 @@ const postRegister = async (req, res, next) => {
 // Logout Controller
 const getLogout = async (req, res, next) => {
     try {
-        // Get the refresh token from the cookies
-        const refreshToken = req.cookies.refresh_token;
-        if (!refreshToken) return next(new CustomError("Something went wrong", RouteCode.BAD_REQUEST.statusCode));
+        // End the session of this device only
+        await revokeSessions({ _id: req.user.sid, user: req.user.id }, 'Logout');
 
-        const foundUser = await User.findOne({ refresh_token: refreshToken });
-        if (!foundUser) return next(new CustomError("Something went wrong", RouteCode.BAD_REQUEST.statusCode));
+        // Clear cookies
+        clearAuthCookies(res);
+        res.status(RouteCode.SUCCESS.statusCode).json({ message: "User has Logged out successfully" });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+// Forgot Password Controller
+const postForgotPassword = async (req, res, next) => {
+    const { email } = req.body;
+    if (!email) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
-        // Remove refresh token in DB
-        foundUser.refresh_token = null;
+    try {
+        const foundUser = await User.findOne({ email: email.trim() });
+        if (foundUser) {
+            const expiresInMinutes = Number(RESET_PASSWORD_EXPIRY_MINUTES);
+            const resetToken = generateJWTToken(foundUser, 'reset', `${expiresInMinutes}m`);
+
+            // Only the latest link works, and only once
+            foundUser.passwordReset = {
+                tokenHash: hashToken(resetToken),
+                expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+            };
+            await foundUser.save();
+
+            const resetURL = RESET_PASSWORD_URL || `${DASHBOARD_URL ?? ''}/reset-password`;
+            sendPasswordResetMail(foundUser, `${resetURL}?token=${encodeURIComponent(resetToken)}`, expiresInMinutes);
+        }
+
+        // Same answer for unknown emails, the endpoint must not tell who has an account
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'If an account exists for this email, a reset link has been sent' });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+// Reset Password Controller
+const postResetPassword = async (req, res, next) => {
+    const { token, password, confirmPassword } = req.body;
+    if (!token || !password || !confirmPassword) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    if (password !== confirmPassword) return next(new CustomError("Passwords do not match!", RouteCode.BAD_REQUEST.statusCode));
+
+    let decoded;
+    try {
+        decoded = verifyJWTToken(token, 'reset');
+    } catch (error) {
+        return next(new CustomError("The reset link is invalid or has expired!", RouteCode.BAD_REQUEST.statusCode));
+    }
+
+    try {
+        // The token is consumed by the same update that finds it, it can not be used twice
+        const foundUser = await User.findOneAndUpdate(
+            { _id: decoded.id, 'passwordReset.tokenHash': hashToken(token), 'passwordReset.expiresAt': { $gt: new Date() } },
+            { $set: { 'passwordReset.tokenHash': null, 'passwordReset.expiresAt': null } },
+            { new: true }
+        );
+        if (!foundUser) return next(new CustomError("The reset link is invalid or has expired!", RouteCode.BAD_REQUEST.statusCode));
+
+        foundUser.password = await bcrypt.hash(password, Number(SALT));
+        foundUser.passwordChangedAt = new Date();
         await foundUser.save();
 
-        // Clear cookies
-        res.clearCookie("access_token");
-        res.clearCookie("refresh_token");
-        res.status(RouteCode.SUCCESS.statusCode).json({ message: "User has Logged out successfully" });
+        // Logs out every device
+        await revokeSessions({ user: foundUser._id }, 'PasswordChanged');
+        closeChannel(userChannel(foundUser._id));
+
+        clearAuthCookies(res);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Password updated successfully, Please login again' });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+// Change Password Controller
+const putPassword = async (req, res, next) => {
+    const { currentPassword, password, confirmPassword } = req.body;
+    if (!currentPassword || !password || !confirmPassword) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    if (password !== confirmPassword) return next(new CustomError("Passwords do not match!", RouteCode.BAD_REQUEST.statusCode));
+    if (password === currentPassword || password === LEGACY_DEFAULT_PASSWORD) return next(new CustomError("Please choose a new password!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const isValidPassword = await bcrypt.compare(currentPassword, foundUser.password);
+        if (!isValidPassword) return next(new CustomError("Current password is incorrect!", RouteCode.CONFLICT.statusCode));
+
+        foundUser.password = await bcrypt.hash(password, Number(SALT));
+        foundUser.passwordChangedAt = new Date();
+        foundUser.mustChangePassword = false;
+        await foundUser.save();
+
+        // This device stays logged in, the others have to log in with the new password
+        await revokeSessions({ user: foundUser._id, _id: { $ne: req.user.sid } }, 'PasswordChanged');
+
+        // The current access token still carries the password change restriction
+        setAccessCookie(res, foundUser, req.user.sid);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Password updated successfully!' });
     } catch (error) {
         return next(error);
     }
@@ -151,13 +265,20 @@ const getLogout = async (req, res, next) => {
 // Get Members List
 const getMemberList = async (req, res, next) => {
     try {
-        const foundUsers = await User.find();
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundUsers = await User.find({ workspace: foundUser.workspace }).populate('role', 'name');
         const finalList = foundUsers?.map(user => ({
             userId: user._id,
             userName: `${user.firstName} ${user.lastName}` ?? 'N/A',
             userPhone: user.contact ?? 'N/A',
             userEmail: user.email ?? 'N/A',
-            userRole: user.userRole
+            userRole: user.userRole,
+            role: user.role ? { id: user.role._id, name: user.role.name } : null,
+            routing: {
+                optOut: user.routing?.optOut ?? false,
+                maxOpenTickets: user.routing?.maxOpenTickets ?? 0,
+            },
         })) ?? [];
 
         return res.status(RouteCode.SUCCESS.statusCode).json(finalList);
@@ -172,7 +293,9 @@ const getMemberDetail = async (req, res, next) => {
     if (!memberID) return next(new CustomError('Something went wrong, Try again!', RouteCode.BAD_REQUEST.statusCode));
 
     try {
-        const foundUser = await User.findById(memberID);
+        const reqUser = await getReqUser(req, res, next);
+        if (!reqUser) return;
+        const foundUser = await User.findOne({ _id: memberID, workspace: reqUser.workspace });
         if (!foundUser) return next(new CustomError('Member not found!', RouteCode.NOT_FOUND.statusCode));
 
         const userDetails = {
@@ -191,37 +314,6 @@ const getMemberDetail = async (req, res, next) => {
     }
 }
 
-// Create New User
-const postMember = async (req, res, next) => {
-    const { name, email, designation } = req.body;
-    if (!name || !email || !designation) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode))
-    try {
-        const foundUser = await User.findOne({ email });
-        if (foundUser) return next(new CustomError("User with this email already exists!", RouteCode.CONFLICT.statusCode));
-
-
-        // Found Admin
-        const foundAdmin = await User.findOne({ userRole: 'Admin' });
-        if (!foundAdmin) return next(new CustomError("Something went wrong, Please try later!", RouteCode.CONFLICT.statusCode));
-
-        const hashedPassword = await bcrypt.hash('User@1234', Number(SALT));
-
-        const newUser = new User({
-            firstName: name.split(' ')[0],
-            lastName: name.split(' ')[1],
-            email,
-            password: hashedPassword,
-            parent: foundAdmin._id,
-            userRole: designation,
-        });
-
-        await newUser.save();
-        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'User created successfully' });
-    } catch (err) {
-        next(err)
-    }
-}
-
 // Update User's Profile
 const putMemberDetail = async (req, res, next) => {
     const { userID, firstName, lastName, email, phone, password, confirmPassword } = req.body;
@@ -230,15 +322,29 @@ const putMemberDetail = async (req, res, next) => {
     if (password && password !== confirmPassword) return next(new CustomError("Password does not match", RouteCode.CONFLICT.statusCode));
 
     try {
-        const foundMember = await User.findById(userID);
+        const reqUser = await getReqUser(req, res, next);
+        if (!reqUser) return;
+        const foundMember = await User.findOne({ _id: userID, workspace: reqUser.workspace });
         if (!foundMember) return next(new CustomError("Member not found!", RouteCode.NOT_FOUND.statusCode));
 
+        const isSelf = reqUser._id.toString() === foundMember._id.toString();
+        if (!isSelf && !can(reqUser, 'members.manage')) return next(new CustomError("You do not have the permission to update other members!", RouteCode.UNAUTHORIZED.statusCode));
+        if (!isSelf && foundMember.userRole === 'Admin' && reqUser.userRole !== 'Admin') return next(new CustomError("Only admin can update an admin!", RouteCode.UNAUTHORIZED.statusCode));
+
         // Check if their are another user with the same email
         if (foundMember.email !== email.trim()) {
             const existingUser = await User.findOne({ email, _id: { $ne: foundMember._id } });
             if (existingUser) return next(new CustomError("Email already in use", RouteCode.CONFLICT.statusCode));
         }
 
+        const memberSnapshot = () => ({ firstName: foundMember.firstName, lastName: foundMember.lastName, email: foundMember.email, contact: foundMember.contact });
+        const previousMember = memberSnapshot();
+        // Password values are never logged, only that it changed
+        const auditUpdate = (passwordChanged) => {
+            const { before, after } = changedValues(previousMember, { ...memberSnapshot(), ...passwordChanged && { password: 'changed' } });
+            if (Object.keys(after).length) recordAudit({ req, actor: reqUser, action: 'member.updated', target: auditTarget.user(foundMember), before, after });
+        };
+
         foundMember.firstName = firstName.trim();
         foundMember.lastName = lastName.trim();
 
@@ -250,17 +356,18 @@ const putMemberDetail = async (req, res, next) => {
             if (password) {
                 const hashedPassword = await bcrypt.hash(password, Number(SALT));
                 foundMember.password = hashedPassword;
-                foundMember.refresh_token = null;
             }
 
             await foundMember.save();
+            auditUpdate(Boolean(password));
+            if (password) await revokeSessions({ user: foundMember._id }, 'PasswordChanged');
             // Clear cookies to logout the user
-            res.clearCookie("access_token");
-            res.clearCookie("refresh_token");
+            clearAuthCookies(res);
             return res.status(RouteCode.LOGOUT_REQESTED.statusCode).json({ message: 'Profile updated successfully, Please login again' });
         }
 
         await foundMember.save();
+        auditUpdate(false);
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Profile updated successfully' });
     } catch (error) {
         next(error);
@@ -273,21 +380,89 @@ const deleteMember = async (req, res, next) => {
     // Validate required fields
     if (!memberID) return next(new CustomError("Something went wrong, Try again!", RouteCode.CONFLICT.statusCode));
     try {
-        const validatUser = await User.findById(memberID);
+        const reqUser = await getReqUser(req, res, next);
+        if (!reqUser) return;
+        const validatUser = await User.findOne({ _id: memberID, workspace: reqUser.workspace });
         if (!validatUser) return next(new CustomError("Member not found!", RouteCode.NOT_FOUND.statusCode));
 
         if (validatUser.userRole === 'Admin') return next(new CustomError('Only members can be deleted!', RouteCode.UNAUTHORIZED.statusCode));
-        if (validatUser.parent.toString() !== req.user.id.toString()) return next(new CustomError("Only admin can delete member!", RouteCode.UNAUTHORIZED.statusCode));
 
 
         await validatUser.deleteOne();
+        recordAudit({
+            req, actor: reqUser, action: 'member.deleted', target: auditTarget.user(validatUser),
+            before: { firstName: validatUser.firstName, lastName: validatUser.lastName, email: validatUser.email, userRole: validatUser.userRole, role: validatUser.role },
+        });
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Member has deleted successfully!' });
     } catch (error) {
         next(error);
     }
 }
 
+// Update User's Routing Preferences
+const putMemberRouting = async (req, res, next) => {
+    const { memberID } = req.params;
+    const { optOut, maxOpenTickets } = req.body;
+    if (!memberID) return next(new CustomError("Something went wrong, Try again!", RouteCode.CONFLICT.statusCode));
+    if (optOut === undefined && maxOpenTickets === undefined) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    if (maxOpenTickets !== undefined && (!Number.isInteger(Number(maxOpenTickets)) || Number(maxOpenTickets) < 0)) return next(new CustomError("Ticket cap must be a positive number!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const reqUser = await getReqUser(req, res, next);
+        if (!reqUser) return;
+        const foundMember = await User.findOne({ _id: memberID, workspace: reqUser.workspace });
+        if (!foundMember) return next(new CustomError("Member not found!", RouteCode.NOT_FOUND.statusCode));
+
+        const canManageMembers = can(reqUser, 'members.manage');
+        const isSelf = reqUser._id.toString() === foundMember._id.toString();
+        if (!canManageMembers && (!isSelf || maxOpenTickets !== undefined)) return next(new CustomError("You do not have the permission to update the routing of members!", RouteCode.UNAUTHORIZED.statusCode));
+
+        const routingSnapshot = () => ({ optOut: Boolean(foundMember.routing.optOut), maxOpenTickets: foundMember.routing.maxOpenTickets ?? 0 });
+        const previousRouting = routingSnapshot();
+        if (optOut !== undefined) foundMember.routing.optOut = Boolean(optOut);
+        if (maxOpenTickets !== undefined) foundMember.routing.maxOpenTickets = Number(maxOpenTickets);
+
+        await foundMember.save();
+        const { before, after } = changedValues(previousRouting, routingSnapshot());
+        if (Object.keys(after).length) recordAudit({ req, actor: reqUser, action: 'member.routing_changed', target: auditTarget.user(foundMember), before, after });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Routing preferences updated successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const EMAIL_PREFERENCES = ['newLead', 'reassignment', 'missedChat'];
+
+const getEmailPreferences = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const preferences = Object.fromEntries(EMAIL_PREFERENCES.map(key => [key, foundUser.emailPreferences?.[key] !== false]));
+        return res.status(RouteCode.SUCCESS.statusCode).json(preferences);
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putEmailPreferences = async (req, res, next) => {
+    const updates = EMAIL_PREFERENCES.filter(key => req.body[key] !== undefined);
+    if (updates.length === 0) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        updates.forEach(key => foundUser.emailPreferences[key] = Boolean(req.body[key]));
+        await foundUser.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Email preferences updated successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
 export default {
-    getLogout, postLogin, getMemberList, postRegister, postMember,
-    getMemberDetail, putMemberDetail, deleteMember,
+    getLogout, postLogin, getMemberList, postRegister, postForgotPassword, postResetPassword, putPassword,
+    getMemberDetail, putMemberDetail, deleteMember, putMemberRouting,
+    getEmailPreferences, putEmailPreferences,
 };
\ No newline at end of file
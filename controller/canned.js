@@ -0,0 +1,192 @@
+/*
+|---------------------------------------------------------------------------
+| Canned Responses (Saved Replies) Controllers
+|---------------------------------------------------------------------------
+|
+| This file contains controllers for the saved replies library of a workspace:
+|
+| - `getCannedResponses`: Lists the personal replies of the user and the team replies,
+|   with optional `category`, `scope` and `search` (title or shortcut) filters.
+| - `postCannedResponse`: Creates a reply, team replies require `settings.manage`.
+| - `putCannedResponse`: Updates a reply (its owner, or `settings.manage` for team replies).
+| - `deleteCannedResponse`: Deletes a reply (its owner, or `settings.manage` for team replies).
+| - `putCannedMessage`: Renders a reply for a ticket and sends it as the agent's message.
+|
+| Replies can contain template variables like `{{lead.name}}`, `{{ticket.id}}` and
+| `{{agent.firstName}}`, rendered from the `Lead` and `User` documents (see `util/template.js`).
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import CannedResponse from "../modal/canned-response-modal.js";
+import Lead from "../modal/lead-modal.js";
+import { sendMemberMessage } from "../util/conversation.js";
+import RouteCode from "../util/httpStatus.js";
+import { can } from "../util/permissions.js";
+import getReqUser from '../util/reqUser.js';
+import { buildTemplateContext, renderTemplate, TEMPLATE_VARIABLES } from "../util/template.js";
+
+const normalizeShortcut = (shortcut) => shortcut.trim().replace(/^\//, '').toLowerCase();
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replies visible to a user: their personal replies and the team replies of the workspace
+const visibleQuery = (user) => ({
+    workspace: user.workspace,
+    $or: [{ scope: 'Team' }, { scope: 'Personal', owner: user._id }],
+});
+
+const canManage = (user, cannedResponse) => {
+    if (cannedResponse.scope === 'Team') return can(user, 'settings.manage');
+    return cannedResponse.owner.toString() === user._id.toString();
+}
+
+// Shortcuts must be unique among the replies visible to the owner
+const isShortcutTaken = async (user, scope, shortcut, excludeID = null) => {
+    const query = scope === 'Team'
+        ? { workspace: user.workspace, shortcut }
+        : { ...visibleQuery(user), shortcut };
+    if (excludeID) query._id = { $ne: excludeID };
+
+    return Boolean(await CannedResponse.exists(query));
+}
+
+const formatCannedResponse = (cannedResponse, user) => ({
+    responseID: cannedResponse._id,
+    title: cannedResponse.title,
+    shortcut: cannedResponse.shortcut,
+    category: cannedResponse.category,
+    message: cannedResponse.message,
+    scope: cannedResponse.scope,
+    canEdit: canManage(user, cannedResponse),
+    updatedAt: cannedResponse.updatedAt,
+});
+
+const getCannedResponses = async (req, res, next) => {
+    const { category, scope, search } = req.query;
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = visibleQuery(foundUser);
+        if (category) query.category = category;
+        if (scope === 'Team' || scope === 'Personal') query.$or = query.$or.filter(item => item.scope === scope);
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+            query.$and = [{ $or: [{ title: pattern }, { shortcut: pattern }] }];
+        }
+
+        const foundResponses = await CannedResponse.find(query).sort({ category: 1, shortcut: 1 });
+        const categoryList = await CannedResponse.distinct('category', visibleQuery(foundUser));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            categoryList,
+            variableList: TEMPLATE_VARIABLES,
+            responseList: foundResponses.map(item => formatCannedResponse(item, foundUser)),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postCannedResponse = async (req, res, next) => {
+    const { title, shortcut, category, message, scope = 'Personal' } = req.body;
+    if (!title || !shortcut || !message) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    if (!['Personal', 'Team'].includes(scope)) return next(new CustomError('Invalid scope!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        if (scope === 'Team' && !can(foundUser, 'settings.manage')) return next(new CustomError('You do not have the permission to create team replies!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const finalShortcut = normalizeShortcut(shortcut);
+        if (await isShortcutTaken(foundUser, scope, finalShortcut)) return next(new CustomError('Shortcut already in use!', RouteCode.CONFLICT.statusCode));
+
+        const newResponse = new CannedResponse({
+            workspace: foundUser.workspace,
+            owner: foundUser._id,
+            scope,
+            title: title.trim(),
+            shortcut: finalShortcut,
+            category: category?.trim() || 'General',
+            message,
+        });
+
+        await newResponse.save();
+        return res.status(RouteCode.CREATED.statusCode).json(formatCannedResponse(newResponse, foundUser));
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putCannedResponse = async (req, res, next) => {
+    const { responseID } = req.params;
+    const { title, shortcut, category, message } = req.body;
+    if (!responseID || !title || !shortcut || !message) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundResponse = await CannedResponse.findOne({ _id: responseID, ...visibleQuery(foundUser) });
+        if (!foundResponse) return next(new CustomError('Canned response not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canManage(foundUser, foundResponse)) return next(new CustomError('You can not update this canned response!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const finalShortcut = normalizeShortcut(shortcut);
+        if (await isShortcutTaken(foundUser, foundResponse.scope, finalShortcut, foundResponse._id)) return next(new CustomError('Shortcut already in use!', RouteCode.CONFLICT.statusCode));
+
+        foundResponse.title = title.trim();
+        foundResponse.shortcut = finalShortcut;
+        foundResponse.category = category?.trim() || 'General';
+        foundResponse.message = message;
+
+        await foundResponse.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json(formatCannedResponse(foundResponse, foundUser));
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteCannedResponse = async (req, res, next) => {
+    const { responseID } = req.params;
+    if (!responseID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundResponse = await CannedResponse.findOne({ _id: responseID, ...visibleQuery(foundUser) });
+        if (!foundResponse) return next(new CustomError('Canned response not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canManage(foundUser, foundResponse)) return next(new CustomError('You can not delete this canned response!', RouteCode.UNAUTHORIZED.statusCode));
+
+        await foundResponse.deleteOne();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Canned response deleted successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Send a rendered canned response to a ticket
+const putCannedMessage = async (req, res, next) => {
+    const { leadID, responseID } = req.body;
+    if (!leadID || !responseID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (foundLead.currentAssignee?.toString() !== foundUser._id.toString()) return next(new CustomError('Only current assignee can send the lead!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const foundResponse = await CannedResponse.findOne({ _id: responseID, ...visibleQuery(foundUser) });
+        if (!foundResponse) return next(new CustomError('Canned response not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const message = renderTemplate(foundResponse.message, buildTemplateContext({ lead: foundLead, agent: foundUser }));
+        if (!message.trim()) return next(new CustomError('Canned response renders an empty message!', RouteCode.BAD_REQUEST.statusCode));
+
+        const newConversation = await sendMemberMessage(foundLead, foundUser, message);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Message sent successfully!', messageID: newConversation._id, sentMessage: message });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getCannedResponses, postCannedResponse, putCannedResponse, deleteCannedResponse, putCannedMessage,
+}
@@ -6,14 +6,38 @@
 | This file contains controllers for managing lead tickets, including retrieval,
 | assignment, and status updates. The controllers provide functionality for:
 |
-| - `getTicketList`: Retrieves a paginated list of tickets with optional status filter.
-| - `getLeadList`: Fetches the list of leads assigned to the current user or all leads for Admin.
+| - `getTicketList`: Retrieves a paginated list of the user's tickets.
+| - `getLeadList`: Fetches the list of leads assigned to the current user or all leads with
+|   `tickets.viewAll`, including the unassigned leads waiting in the manual queue.
+|   Both lists include the unread message count of the user and accept the filters and sort
+|   options of `util/ticketFilter.js` (status, priority,
+|   tags, custom fields, ...).
+| - `getTicketProperties` / `putTicketProperties`: Reads and updates the priority, tags and
+|   custom field values of a ticket.
 | - `getAssigneeList`: Returns a list of users who can be assigned to a lead.
+| - `putTicketClaim`: Assigns an unassigned ticket of the queue to the agent claiming it.
 | - `getLeadDetails`: Provides detailed information about a specific lead and its associated conversations.
-| - `putStatusUpdate`: Allows the current assignee to update the status of a lead.
+| - `putTicketRead`: Marks the conversation of a ticket as read by the agent (read receipts, unread counts).
+| - `getTicketTimeline`: Messages, internal notes, status changes and handoffs (from, to, by, reason)
+|   of a ticket in the order they happened.
+| - `putStatusUpdate`: Allows the current assignee (or `tickets.manage`) to update the status of a lead,
+|   resolving it asks the lead for a satisfaction rating when the survey is turned on.
+| - `getAgentStream`: Opens the realtime (SSE) stream of the logged in agent.
+| - `getTicketMessages`: Returns the messages posted after a given message ID (reconnect catch-up).
+| - `postTicketTyping`: Broadcasts the agent's typing indicator to the lead and the other agents.
+| - `putMessage`: Sends the agent's reply, accepts files in the `attachments` field (multipart).
+| - `getTicketAttachment`: Downloads an attachment of a conversation the user can view.
+| - `putLeadSessionRevoke`: Revokes the widget session of a lead, its tokens stop working.
+| - `putSpamStatus`: Flags or unflags a lead as spam, spam leads are hidden from the ticket lists.
+| - `postTicketNote`: Adds an internal note (hidden from the lead) to a ticket and notifies the
+|   mentioned members.
+| - `getTicketSearch`: Ranked search on ticket ID, lead details and message text with highlighted
+|   snippets, combinable with the ticket list filters.
 |
-| The controllers ensure that appropriate permissions are checked before actions are executed, 
-| with validation on input parameters.
+| The controllers validate the input parameters and check the permissions before acting
+| (see `util/permissions.js`): tickets are read by their assignees or with `tickets.viewAll`,
+| and updated by their assignees or with `tickets.manage`. Every query is scoped to the
+| workspace of the logged in user.
 |
 | The system makes use of Mongoose for querying the database and populating associated data 
 | (e.g., assignees and conversations). It also handles errors and responds with the appropriate
@@ -29,37 +53,48 @@
 */
 
 
+import mongoose from "mongoose";
 import { CustomError } from "../middleware/errorMiddleware.js";
+import Attachment from "../modal/attachment-modal.js";
 import ChatbotSettings from "../modal/chat-bot-modal.js";
+import CustomField from "../modal/custom-field-modal.js";
 import LeadConversation from "../modal/lead-conversation-modal.js";
-import Lead from "../modal/lead-modal.js";
+import Lead, { LEAD_PRIORITIES } from "../modal/lead-modal.js";
 import User from "../modal/user-modal.js";
+import { formatAttachment, saveAttachments, sendAttachment } from "../util/attachment.js";
+import { auditTarget, recordAudit } from "../util/audit.js";
+import { canRateTicket, formatCsat, formatCsatSettings } from "../util/csat.js";
+import { findMessagesSince, sendMemberMessage } from "../util/conversation.js";
 import RouteCode from "../util/httpStatus.js";
+import { sendReassignmentMail } from "../util/mail/index.js";
+import { formatCustomField, formatCustomFields, normalizeCustomFieldValue, normalizeTags } from "../util/customField.js";
+import { can, canManageTicket, canViewTicket } from "../util/permissions.js";
+import { searchTickets } from "../util/search.js";
+import { applySlaPolicy, formatSla, recordStatusChange } from "../util/sla.js";
+import { buildTicketFilter, findTickets } from "../util/ticketFilter.js";
+import { assignTicket, buildTicketTimeline, recordStatusHistory } from "../util/ticketHistory.js";
+import { notifyUsers } from "../util/notification.js";
+import { getUnreadCounts, getSeenChecker, markAsRead } from "../util/readCursor.js";
+import { adminChannel, closeChannel, formatMessage, leadChannel, publishToAgents, publishToLead, subscribe, userChannel } from "../util/realtime.js";
 import getReqUser from '../util/reqUser.js';
+import { emitLeadEvent } from "../util/webhook.js";
 
 const getTicketList = async (req, res, next) => {
-    let { page = 1, limit = 10, status = 'All' } = req.query;
+    let { page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;
     page = parseInt(page);
     limit = parseInt(limit);
 
     try {
         const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
 
-        let query = {
-            $or: [
-                { currentAssignee: foundUser._id },
-                { assigneeList: foundUser._id },
-            ],
-        };
-
-        if (status !== 'All') query.status = status;
+        // Tickets the user is or was assigned to
+        const query = await buildTicketFilter(foundUser, req.query, { ownTickets: true });
         const totalLeads = await Lead.countDocuments(query);
         const totalPages = Math.ceil(totalLeads / limit);
 
-        const foundLeads = await Lead.find(query)
-            .skip((page - 1) * limit)
-            .limit(limit)
-            .sort({ createdAt: -1 });
+        const foundLeads = await findTickets(query, { sort, order, skip: (page - 1) * limit, limit });
+        const unreadCounts = await getUnreadCounts(foundLeads, foundUser);
 
         const finalList = await Promise.all(
             foundLeads.map(async ticket => {
@@ -72,6 +107,8 @@ const getTicketList = async (req, res, next) => {
                     leadID: ticket._id,
                     ticketID: ticket.ticketID,
                     latestMessage: foundLatestMessage?.message ?? 'No message',
+                    unreadCount: unreadCounts.get(ticket._id.toString()),
+                    csat: formatCsat(ticket),
                     postedAt: ticket.createdAt,
                     senderDetails: {
                         name: ticket.userName ?? 'N/A',
@@ -79,6 +116,10 @@ const getTicketList = async (req, res, next) => {
                         phone: ticket.userPhone ?? 'N/A',
                     },
                     status: ticket.status,
+                    priority: ticket.priority,
+                    tags: ticket.tags,
+                    customFields: formatCustomFields(ticket),
+                    sla: formatSla(ticket),
                 };
             })
         );
@@ -95,11 +136,16 @@ const getTicketList = async (req, res, next) => {
     }
 };
 const getLeadList = async (req, res, next) => {
+    const { spam = 'false', sort = 'createdAt', order = 'asc' } = req.query;
     try {
         const foundUser = await getReqUser(req, res, next);
-        await foundMissedChats(next);
-        const query = foundUser.userRole === 'Admin' ? {} : { assigneeList: foundUser._id };
-        const foundLeads = await Lead.find(query).populate('currentAssignee').populate('assigneeList').sort({ createdAt: 1 });
+        if (!foundUser) return;
+        const query = await buildTicketFilter(foundUser, req.query);
+
+        // Spam leads are hidden, `tickets.manage` can review them with `?spam=true`
+        query.isSpam = spam === 'true' && can(foundUser, 'tickets.manage') ? true : { $ne: true };
+        const foundLeads = await findTickets(query, { sort, order, populate: ['currentAssignee', 'assigneeList'] });
+        const unreadCounts = await getUnreadCounts(foundLeads, foundUser);
 
         const finalList = await Promise.all(
             foundLeads.map(async lead => {
@@ -112,13 +158,24 @@ const getLeadList = async (req, res, next) => {
                     leadID: lead._id,
                     ticketID: lead.ticketID,
                     latestMessage: foundLatestMessage?.message ?? 'No message',
+                    unreadCount: unreadCounts.get(lead._id.toString()),
                     userName: lead.userName,
                     userPhone: lead.userPhone,
                     userEmail: lead.userEmail,
                     status: lead.status,
                     isMissedChat: lead.isMissedChat,
-                    isCurrentAssignee: lead?.currentAssignee._id?.toString() === foundUser?._id?.toString(),
-                    assigneeName: `${lead?.currentAssignee?.firstName} ${lead?.currentAssignee?.lastName}` ?? 'N/A',
+                    isSpam: lead.isSpam,
+                    spamReason: lead.spamReason,
+                    priority: lead.priority,
+                    tags: lead.tags,
+                    customFields: formatCustomFields(lead),
+                    sla: formatSla(lead),
+                    csat: formatCsat(lead),
+                    isCurrentAssignee: lead?.currentAssignee?._id?.toString() === foundUser?._id?.toString(),
+                    isUnassigned: !lead.currentAssignee,
+                    assigneeName: lead.currentAssignee
+                        ? `${lead.currentAssignee.firstName} ${lead.currentAssignee.lastName}`
+                        : 'Unassigned',
                     postedAt: lead.createdAt,
                     assigneeList: lead.assigneeList?.map(item => ({
                         userID: item._id,
@@ -136,11 +193,13 @@ const getLeadList = async (req, res, next) => {
 const getAssigneeList = async (req, res, next) => {
     const { ticketID } = req.params;
     try {
-        const foundLead = await Lead.findById(ticketID);
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
         if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
 
         const currentAssignee = foundLead.currentAssignee;
-        const foundUsers = await User.find({ _id: { $ne: currentAssignee } });
+        const foundUsers = await User.find({ _id: { $ne: currentAssignee }, workspace: foundUser.workspace });
 
         const assigneeList = foundUsers?.map(user => ({
             userID: user._id,
@@ -158,23 +217,37 @@ const getLeadDetails = async (req, res, next) => {
     if (!ticketID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
 
     try {
-        const foundLead = await Lead.findOne({ _id: ticketID });
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
         if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
 
-        // Get all conversations for this lead, with assigneeID populated
+        // Get all conversations (internal notes included) for this lead, with assigneeID populated
         const foundConversations = await LeadConversation
             .find({ leadID: foundLead._id })
             .populate('assigneeID')
+            .populate('mentions')
+            .populate('attachments')
             .sort({ createdAt: 1 });
+        const isSeen = await getSeenChecker(foundLead);
 
         const finalData = foundConversations.map((item) => ({
             id: item._id,
-            message: item.message,
+            message: item.message ?? '',
             sendBy: item.sendBy,
             senderName:
                 item.sendBy === 'Lead'
                     ? 'Lead'
                     : item.assigneeID?.firstName ?? 'N/A',
+            isNote: item.sendBy === 'Note',
+            // Agent replies seen by the lead, lead messages and notes seen by a member
+            seen: isSeen(item),
+            attachments: item.attachments?.map(formatAttachment) ?? [],
+            mentions: item.mentions?.map(user => ({
+                userID: user._id,
+                userName: `${user.firstName} ${user.lastName}`,
+            })) ?? [],
         }));
 
         return res.status(RouteCode.SUCCESS.statusCode).json(finalData);
@@ -183,18 +256,81 @@ const getLeadDetails = async (req, res, next) => {
     }
 };
 
+// Marks the conversation as read up to `messageID`, or up to the latest message
+const putTicketRead = async (req, res, next) => {
+    const { ticketID } = req.params;
+    const { messageID } = req.body;
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const foundCursor = await markAsRead(foundLead, foundUser, messageID);
+        const unreadCounts = await getUnreadCounts([foundLead], foundUser);
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            message: 'Conversation marked as read!',
+            lastReadMessageAt: foundCursor?.lastReadMessageAt ?? null,
+            unreadCount: unreadCounts.get(foundLead._id.toString()),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const getTicketTimeline = async (req, res, next) => {
+    const { ticketID } = req.params;
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            leadID: foundLead._id,
+            ticketID: foundLead.ticketID,
+            timeline: await buildTicketTimeline(foundLead),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
 // Stataus Update
 const putStatusUpdate = async (req, res, next) => {
     const { leadID, status } = req.body;
     if (!leadID || !status) return next(new CustomError('Please share all details', RouteCode.MISSING_REQ_PARAMS.statusCode));
     try {
         const foundUser = await getReqUser(req, res, next);
-        const foundLead = await Lead.findById(leadID);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
         if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
-        if (foundLead.currentAssignee.toString() !== foundUser._id.toString()) return next(new CustomError('Only current assignee can update the status!', RouteCode.UNAUTHORIZED.statusCode));
+        const isCurrentAssignee = foundLead.currentAssignee?.toString() === foundUser._id.toString();
+        if (!isCurrentAssignee && !can(foundUser, 'tickets.manage')) return next(new CustomError('Only current assignee can update the status!', RouteCode.UNAUTHORIZED.statusCode));
 
+        const previousStatus = foundLead.status;
         foundLead.status = status;
+        if (previousStatus !== foundLead.status) {
+            await recordStatusChange(foundLead);
+            recordStatusHistory(foundLead, previousStatus, foundUser);
+        }
         await foundLead.save();
+
+        const payload = { leadID: foundLead._id, status: foundLead.status };
+        publishToLead(foundLead._id, 'status', payload);
+        publishToAgents(foundLead, 'status', payload);
+        if (previousStatus !== foundLead.status) {
+            // The widget asks the lead to rate the conversation
+            const chatbotSettings = await ChatbotSettings.findOne({ workspace: foundLead.workspace });
+            if (canRateTicket(foundLead, chatbotSettings)) publishToLead(foundLead._id, 'csat', { leadID: foundLead._id, ...formatCsatSettings(chatbotSettings.csat) });
+
+            emitLeadEvent(foundLead, 'status.changed', { previousStatus, status: foundLead.status, changedBy: foundUser._id });
+            recordAudit({ req, actor: foundUser, action: 'ticket.status_changed', target: auditTarget.lead(foundLead), before: { status: previousStatus }, after: { status: foundLead.status } });
+        }
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Status updated successfully!' });
     } catch (error) {
         next(error);
@@ -202,106 +338,370 @@ const putStatusUpdate = async (req, res, next) => {
 }
 // Update lead assignee
 const putLeadAssignee = async (req, res, next) => {
-    const { leadID, assigneeID } = req.body;
+    const { leadID, assigneeID, note } = req.body;
     if (!leadID || !assigneeID) return next(new CustomError('Please share all details', RouteCode.CONFLICT.statusCode));
+    if (note !== undefined && typeof note !== 'string') return next(new CustomError('Invalid note!', RouteCode.BAD_REQUEST.statusCode));
     try {
+        // Only reached with `tickets.reassign`
         const foundUser = await getReqUser(req, res, next);
-        const foundAdmin = await User.findOne({ userRole: 'Admin' });
-        if (!foundAdmin || foundUser._id.toString() !== foundAdmin._id.toString()) return next(new CustomError(!foundAdmin ? 'No Admin found, Contact support!' : 'Only admin can update the assignee!', RouteCode.UNAUTHORIZED.statusCode));
+        if (!foundUser) return;
 
-        const foundLead = await Lead.findById(leadID);
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
         if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
 
-        const foundAssignee = await User.findById(assigneeID);
+        const foundAssignee = await User.findOne({ _id: assigneeID, workspace: foundUser.workspace });
         if (!foundAssignee) return next(new CustomError('Assignee not found!', RouteCode.NOT_FOUND.statusCode));
 
-        foundLead.currentAssignee = foundAssignee._id;
-        foundLead.assigneeList.unshift(foundAssignee._id);
+        if (foundLead.currentAssignee?.equals(foundAssignee._id)) return next(new CustomError('Lead is already assigned to this member!', RouteCode.CONFLICT.statusCode));
 
+        const previousAssignee = assignTicket(foundLead, foundAssignee, { by: foundUser, reason: 'Reassigned', note: note?.trim() || null });
         await foundLead.save();
+
+        const payload = {
+            leadID: foundLead._id,
+            assigneeID: foundAssignee._id,
+            assigneeName: `${foundAssignee.firstName} ${foundAssignee.lastName}`,
+        };
+        publishToLead(foundLead._id, 'assignee', payload);
+        publishToAgents(foundLead, 'assignee', { ...payload, previousAssigneeID: previousAssignee });
+        sendReassignmentMail(foundLead, foundAssignee, foundUser);
+        emitLeadEvent(foundLead, 'assignee.changed', { previousAssignee, assignee: foundAssignee._id, changedBy: foundUser._id });
+        recordAudit({ req, actor: foundUser, action: 'ticket.assignee_changed', target: auditTarget.lead(foundLead), before: { assignee: previousAssignee }, after: { assignee: foundAssignee._id } });
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Lead assigned to new assignee successfully!' });
     } catch (error) {
         next(error);
     }
 }
+// Takes an unassigned ticket of the queue
+const putTicketClaim = async (req, res, next) => {
+    const { ticketID } = req.params;
+    if (!mongoose.isValidObjectId(ticketID)) return next(new CustomError('Invalid ticket ID!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace, isSpam: { $ne: true } });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (foundLead.currentAssignee) return next(new CustomError('Lead is already assigned!', RouteCode.CONFLICT.statusCode));
+        if (foundLead.status !== 'Unresolved') return next(new CustomError('Only unresolved leads can be claimed!', RouteCode.BAD_REQUEST.statusCode));
+
+        assignTicket(foundLead, foundUser, { by: foundUser, reason: 'Claimed' });
+        // Saved only while still unassigned, two agents can claim at the same time
+        foundLead.$where = { currentAssignee: null };
+        try {
+            await foundLead.save();
+        } catch (error) {
+            if (error instanceof mongoose.Error.DocumentNotFoundError) return next(new CustomError('Lead is already assigned!', RouteCode.CONFLICT.statusCode));
+            throw error;
+        }
+
+        const payload = {
+            leadID: foundLead._id,
+            assigneeID: foundUser._id,
+            assigneeName: `${foundUser.firstName} ${foundUser.lastName}`,
+        };
+        publishToLead(foundLead._id, 'assignee', payload);
+        publishToAgents(foundLead, 'assignee', { ...payload, previousAssigneeID: null });
+        emitLeadEvent(foundLead, 'assignee.changed', { previousAssignee: null, assignee: foundUser._id, changedBy: foundUser._id });
+        recordAudit({ req, actor: foundUser, action: 'ticket.assignee_changed', target: auditTarget.lead(foundLead), before: { assignee: null }, after: { assignee: foundUser._id } });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Lead claimed successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
 // Put Message
 const putMessage = async (req, res, next) => {
     const { leadID, message } = req.body;
-    if (!leadID || !message) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    const files = req.files ?? [];
+    if (!leadID || (!message && files.length === 0)) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
     try {
         const foundUser = await getReqUser(req, res, next);
-        const foundLead = await Lead.findById(leadID);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
         if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
-        if (foundLead.currentAssignee.toString() !== foundUser._id.toString()) return next(new CustomError('Only current assignee can send the lead!', RouteCode.UNAUTHORIZED.statusCode));
+        if (foundLead.currentAssignee?.toString() !== foundUser._id.toString()) return next(new CustomError('Only current assignee can send the lead!', RouteCode.UNAUTHORIZED.statusCode));
 
+        const attachments = await saveAttachments({ files, lead: foundLead, uploadedBy: 'Member', uploader: foundUser._id });
+        await sendMemberMessage(foundLead, foundUser, message, attachments);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Message sent successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        // Check if the lead is Missed Chat and set the responseTime
-        const now = new Date();
-        const isFirstMessage = foundLead.responseTime === 0;
-        const leadCreatedAt = foundLead.createdAt;
-        const responseTimeInMs = now.getTime() - new Date(leadCreatedAt).getTime();
+// Realtime stream for the dashboard, users seeing every ticket also receive the events of every lead
+const getAgentStream = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
 
+        const channelList = [userChannel(foundUser._id)];
+        if (can(foundUser, 'tickets.viewAll')) channelList.push(adminChannel(foundUser.workspace));
+        subscribe(req, res, channelList);
+    } catch (error) {
+        next(error);
+    }
+}
 
-        if (isFirstMessage) {
-            const responseTimeInSeconds = Math.floor(responseTimeInMs / 1000);
-            foundLead.responseTime = responseTimeInSeconds;
-        }
+// Catch-up for reconnecting dashboards: messages posted after `since`
+const getTicketMessages = async (req, res, next) => {
+    const { ticketID } = req.params;
+    const { since } = req.query;
+    if (!ticketID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
 
-        const chatbotSettings = await ChatbotSettings.findOne();
-        if (!chatbotSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
 
-        // Check if the lead is Missed Chat
-        const { hour = 0, minute = 0, second = 0 } = chatbotSettings.missedChatTimer || {};
-        const missedTimerMs = ((hour * 60 * 60) + (minute * 60) + second) * 1000; // Convert into miliseconds
+        const foundConversations = await findMessagesSince(foundLead._id, since);
+        const finalList = foundConversations.map(item => formatMessage(item, item.assigneeID?.firstName));
 
-        if (missedTimerMs > 0 && responseTimeInMs > missedTimerMs) {
-            foundLead.isMissedChat = true;
-        }
+        return res.status(RouteCode.SUCCESS.statusCode).json(finalList);
+    } catch (error) {
+        next(error);
+    }
+}
 
-        await foundLead.save();
+const postTicketTyping = async (req, res, next) => {
+    const { leadID, isTyping } = req.body;
+    if (!leadID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
 
-        const newConversation = new LeadConversation({
+        const payload = {
             leadID: foundLead._id,
-            message,
             sendBy: 'Member',
-            assigneeID: foundUser._id,
-        });
+            senderName: foundUser.firstName,
+            isTyping: Boolean(isTyping),
+        };
+        publishToLead(foundLead._id, 'typing', payload);
+        publishToAgents(foundLead, 'typing', { ...payload, userID: foundUser._id });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Typing status shared!' });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        await newConversation.save();
-        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Message sent successfully!' });
+// Download an attachment, only for the agents who can view its ticket
+const getTicketAttachment = async (req, res, next) => {
+    const { attachmentID } = req.params;
+    if (!attachmentID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    if (!mongoose.isValidObjectId(attachmentID)) return next(new CustomError('Invalid attachment ID!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundAttachment = await Attachment.findOne({ _id: attachmentID, workspace: foundUser.workspace });
+        if (!foundAttachment) return next(new CustomError('Attachment not found!', RouteCode.NOT_FOUND.statusCode));
+
+        // Not found rather than unauthorized, the attachment of a hidden ticket is not disclosed
+        const foundLead = await Lead.findOne({ _id: foundAttachment.leadID, workspace: foundUser.workspace });
+        if (!foundLead || !canViewTicket(foundUser, foundLead)) return next(new CustomError('Attachment not found!', RouteCode.NOT_FOUND.statusCode));
+
+        sendAttachment(res, foundAttachment);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Flag or unflag a lead as spam (`tickets.manage`)
+const putSpamStatus = async (req, res, next) => {
+    const { leadID, isSpam } = req.body;
+    if (!leadID || typeof isSpam !== 'boolean') return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+
+        foundLead.isSpam = isSpam;
+        foundLead.spamReason = isSpam ? 'Flagged by admin' : null;
+        await foundLead.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Spam status updated successfully!' });
     } catch (error) {
         next(error);
     }
 }
 
-const foundMissedChats = async (next) => {
+// Revoke the widget session of a lead (the current assignee or `tickets.manage`)
+const putLeadSessionRevoke = async (req, res, next) => {
+    const { leadID } = req.body;
+    if (!leadID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
     try {
-        const now = new Date();
-        const chatbotSettings = await ChatbotSettings.findOne();
-        if (!chatbotSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
-
-        // Check if the lead is Missed Chat
-        const { hour = 0, minute = 0, second = 0 } = chatbotSettings.missedChatTimer || {};
-        const missedTimerMs = ((hour * 60 * 60) + (minute * 60) + second) * 1000; // Convert into miliseconds
-        if (missedTimerMs > 0) {
-            const thresholdTime = new Date(Date.now() - missedTimerMs);
-            await Lead.updateMany(
-                {
-                    responseTime: 0,
-                    isMissedChat: false,
-                    createdAt: { $lt: thresholdTime }
-                },
-                { $set: { isMissedChat: true } }
-            );
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const isCurrentAssignee = foundLead.currentAssignee?.toString() === foundUser._id.toString();
+        if (!isCurrentAssignee && !can(foundUser, 'tickets.manage')) return next(new CustomError('Only current assignee can revoke the session!', RouteCode.UNAUTHORIZED.statusCode));
+
+        foundLead.sessionVersion += 1;
+        foundLead.sessionRevokedAt = new Date();
+        await foundLead.save();
+
+        // Tell the open widgets and close their streams
+        publishToLead(foundLead._id, 'session', { leadID: foundLead._id, revoked: true });
+        closeChannel(leadChannel(foundLead._id));
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Lead session revoked successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const formatTicketProperties = (lead, customFieldList) => ({
+    leadID: lead._id,
+    priority: lead.priority,
+    tags: lead.tags,
+    customFields: formatCustomFields(lead),
+    customFieldList: customFieldList.map(formatCustomField),
+    sla: formatSla(lead),
+});
+
+const getTicketProperties = async (req, res, next) => {
+    const { ticketID } = req.params;
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+        if (!canViewTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can view the ticket!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const customFieldList = await CustomField.find({ workspace: foundUser.workspace }).sort({ position: 1, createdAt: 1 });
+        return res.status(RouteCode.SUCCESS.statusCode).json(formatTicketProperties(foundLead, customFieldList));
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Priority, tags and custom fields, set by the assignees of the ticket or with `tickets.manage`
+const putTicketProperties = async (req, res, next) => {
+    const { ticketID } = req.params;
+    const { priority, tags, customFields } = req.body;
+    if (priority === undefined && tags === undefined && customFields === undefined) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    if (priority !== undefined && !LEAD_PRIORITIES.includes(priority)) return next(new CustomError(`Priority must be one of: ${LEAD_PRIORITIES.join(', ')}`, RouteCode.BAD_REQUEST.statusCode));
+    if (customFields !== undefined && (typeof customFields !== 'object' || customFields === null || Array.isArray(customFields))) return next(new CustomError('Invalid custom fields!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: ticketID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+
+        if (!canManageTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can update the ticket!', RouteCode.UNAUTHORIZED.statusCode));
+
+        const customFieldList = await CustomField.find({ workspace: foundUser.workspace }).sort({ position: 1, createdAt: 1 });
+
+        const previousPriority = foundLead.priority;
+        if (priority !== undefined) foundLead.priority = priority;
+        if (tags !== undefined) foundLead.tags = normalizeTags(tags);
+        if (customFields !== undefined) {
+            Object.entries(customFields).forEach(([key, value]) => {
+                const field = customFieldList.find(item => item.key === key);
+                if (!field) throw new CustomError(`Unknown custom field ${key}!`, RouteCode.BAD_REQUEST.statusCode);
+
+                const normalizedValue = normalizeCustomFieldValue(field, value);
+                if (normalizedValue === null) foundLead.customFields.delete(key);
+                else foundLead.customFields.set(key, normalizedValue);
+            });
         }
+
+        // Another priority can fall under another SLA policy
+        if (foundLead.priority !== previousPriority) await applySlaPolicy(foundLead);
+        await foundLead.save();
+
+        const payload = formatTicketProperties(foundLead, customFieldList);
+        publishToAgents(foundLead, 'properties', { leadID: payload.leadID, priority: payload.priority, tags: payload.tags, customFields: payload.customFields });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Ticket updated successfully!', ...payload });
     } catch (error) {
         next(error);
     }
 }
 
+// Without `tickets.viewAll`, only hits on the tickets the user is in the assigneeList of
+const getTicketSearch = async (req, res, next) => {
+    let { q = '', page = 1, limit = 10, ...filters } = req.query;
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    if (typeof q !== 'string' || q.trim().length < 2) return next(new CustomError('Search must have at least 2 characters!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
 
+        const results = await searchTickets(foundUser, { q, filters, page, limit });
+        return res.status(RouteCode.SUCCESS.statusCode).json(results);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Internal note, only agents can see it
+const postTicketNote = async (req, res, next) => {
+    const { leadID, message, mentions = [] } = req.body;
+    if (!leadID || !message || !Array.isArray(mentions)) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    if (!mongoose.isValidObjectId(leadID)) return next(new CustomError('Invalid lead ID!', RouteCode.BAD_REQUEST.statusCode));
+    if (!mentions.every(userID => mongoose.isValidObjectId(userID))) return next(new CustomError('Invalid mentioned member ID!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundLead = await Lead.findOne({ _id: leadID, workspace: foundUser.workspace });
+        if (!foundLead) return next(new CustomError('Lead not found!', RouteCode.NOT_FOUND.statusCode));
+
+        if (!canManageTicket(foundUser, foundLead)) return next(new CustomError('Only assignees can add notes to the lead!', RouteCode.UNAUTHORIZED.statusCode));
+
+        // Mentions are only allowed for members of the same workspace
+        const mentionedUsers = await User.find({ _id: { $in: mentions }, workspace: foundUser.workspace });
+        if (mentionedUsers.length !== new Set(mentions.map(String)).size) return next(new CustomError('Mentioned member not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const newNote = new LeadConversation({
+            leadID: foundLead._id,
+            message,
+            sendBy: 'Note',
+            assigneeID: foundUser._id,
+            mentions: mentionedUsers.map(user => user._id),
+        });
+        await newNote.save();
+        await markAsRead(foundLead, foundUser, newNote._id);
+
+        publishToAgents(foundLead, 'message', {
+            ...formatMessage(newNote, foundUser.firstName),
+            isNote: true,
+            mentions: mentionedUsers.map(user => user._id),
+        }, newNote._id);
+
+        await notifyUsers({
+            workspace: foundUser.workspace,
+            recipients: mentionedUsers.map(user => user._id),
+            type: 'Mention',
+            leadID: foundLead._id,
+            conversationID: newNote._id,
+            actor: foundUser._id,
+            message: `${foundUser.firstName} mentioned you on ticket ${foundLead.ticketID}`,
+        });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Note added successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
 
 export default {
     getTicketList, getLeadList, getLeadDetails,
-    putStatusUpdate, putLeadAssignee, getAssigneeList, putMessage
+    putStatusUpdate, putLeadAssignee, putTicketClaim, getAssigneeList, putMessage,
+    getAgentStream, getTicketMessages, getTicketTimeline, putTicketRead, postTicketTyping, postTicketNote, getTicketAttachment,
+    putLeadSessionRevoke, putSpamStatus, getTicketSearch, getTicketProperties, putTicketProperties,
 }
\ No newline at end of file
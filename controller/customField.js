@@ -0,0 +1,140 @@
+/*
+|---------------------------------------------------------------------------
+| Custom Field Controllers
+|---------------------------------------------------------------------------
+|
+| Admins (`settings.manage`) define the extra ticket fields of their workspace, agents fill them in
+| on the tickets (`PUT /chat/ticket/:ticketID/properties`).
+|
+| - `getCustomFields`: Lists the custom fields of the workspace and the ticket priorities.
+| - `postCustomField`: Creates a field (key, label, type and the options of select fields).
+| - `putCustomField`: Updates the label, options or position of a field. The key and the
+|   type cannot change; values of removed select options are cleared from the tickets.
+| - `deleteCustomField`: Deletes a field and clears its values from the tickets.
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import CustomField, { CUSTOM_FIELD_TYPES } from "../modal/custom-field-modal.js";
+import Lead, { LEAD_PRIORITIES } from "../modal/lead-modal.js";
+import { CUSTOM_FIELD_KEY, formatCustomField } from "../util/customField.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+
+const normalizeOptions = (options) => Array.isArray(options)
+    ? [...new Set(options.map(option => String(option).trim()).filter(Boolean))]
+    : null;
+
+const getCustomFields = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundFields = await CustomField.find({ workspace: foundUser.workspace }).sort({ position: 1, createdAt: 1 });
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            priorityList: LEAD_PRIORITIES,
+            typeList: CUSTOM_FIELD_TYPES,
+            fieldList: foundFields.map(formatCustomField),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postCustomField = async (req, res, next) => {
+    const { key, label, type, options = [], position = 0 } = req.body;
+    if (!key || !label || !type) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    const normalizedKey = String(key).trim().toLowerCase();
+    const normalizedOptions = normalizeOptions(options);
+    if (!CUSTOM_FIELD_KEY.test(normalizedKey)) return next(new CustomError('Key must start with a letter and only use letters, numbers and underscores!', RouteCode.BAD_REQUEST.statusCode));
+    if (!CUSTOM_FIELD_TYPES.includes(type)) return next(new CustomError(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`, RouteCode.BAD_REQUEST.statusCode));
+    if (type === 'select' && !normalizedOptions?.length) return next(new CustomError('Select fields need at least one option!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundField = await CustomField.findOne({ workspace: foundUser.workspace, key: normalizedKey });
+        if (foundField) return next(new CustomError('A field with this key already exists!', RouteCode.CONFLICT.statusCode));
+
+        const newField = new CustomField({
+            workspace: foundUser.workspace,
+            key: normalizedKey,
+            label,
+            type,
+            options: type === 'select' ? normalizedOptions : [],
+            position: Number(position) || 0,
+        });
+        await newField.save();
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Custom field created successfully!', field: formatCustomField(newField) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putCustomField = async (req, res, next) => {
+    const { fieldID } = req.params;
+    const { label, options, position } = req.body;
+    if (!fieldID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundField = await CustomField.findOne({ _id: fieldID, workspace: foundUser.workspace });
+        if (!foundField) return next(new CustomError('Custom field not found!', RouteCode.NOT_FOUND.statusCode));
+
+        if (label !== undefined) {
+            if (!String(label).trim()) return next(new CustomError('Label is required!', RouteCode.BAD_REQUEST.statusCode));
+            foundField.label = label;
+        }
+        if (position !== undefined) foundField.position = Number(position) || 0;
+
+        if (options !== undefined && foundField.type === 'select') {
+            const normalizedOptions = normalizeOptions(options);
+            if (!normalizedOptions?.length) return next(new CustomError('Select fields need at least one option!', RouteCode.BAD_REQUEST.statusCode));
+
+            // Tickets cannot keep a value that is no longer an option
+            const removedOptions = foundField.options.filter(option => !normalizedOptions.includes(option));
+            if (removedOptions.length > 0) {
+                await Lead.updateMany(
+                    { workspace: foundUser.workspace, [`customFields.${foundField.key}`]: { $in: removedOptions } },
+                    { $unset: { [`customFields.${foundField.key}`]: '' } }
+                );
+            }
+            foundField.options = normalizedOptions;
+        }
+
+        await foundField.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Custom field updated successfully!', field: formatCustomField(foundField) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteCustomField = async (req, res, next) => {
+    const { fieldID } = req.params;
+    if (!fieldID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundField = await CustomField.findOne({ _id: fieldID, workspace: foundUser.workspace });
+        if (!foundField) return next(new CustomError('Custom field not found!', RouteCode.NOT_FOUND.statusCode));
+
+        await Lead.updateMany(
+            { workspace: foundUser.workspace, [`customFields.${foundField.key}`]: { $exists: true } },
+            { $unset: { [`customFields.${foundField.key}`]: '' } }
+        );
+        await foundField.deleteOne();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Custom field deleted successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getCustomFields, postCustomField, putCustomField, deleteCustomField,
+};
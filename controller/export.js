@@ -0,0 +1,199 @@
+/*
+|---------------------------------------------------------------------------
+| Export Controllers (`data.export`)
+|---------------------------------------------------------------------------
+|
+| - `getLeadsExport`: Leads with the details shared through the lead form and the custom field values.
+| - `getTicketsExport`: Tickets with status, priority, assignee history, response time, SLA status and CSAT rating.
+| - `getTranscriptsExport`: Full conversations, one row per message in CSV, one entry per ticket in JSON.
+|   Internal notes are only included with `notes=true`.
+|
+| Every export accepts `format=csv|json` (default `csv`) and the filters and sort options of the
+| ticket list (see `util/ticketFilter.js`). The output is streamed (see `util/export.js`).
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import CustomField from "../modal/custom-field-modal.js";
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import User from "../modal/user-modal.js";
+import { createExportWriter, EXPORT_FORMATS, isExportFormat } from "../util/export.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { formatSla } from "../util/sla.js";
+import { buildTicketFilter, ticketCursor } from "../util/ticketFilter.js";
+
+// Names of the members of the workspace by ID
+async function loadMemberNames(workspaceID) {
+    const foundUsers = await User.find({ workspace: workspaceID }).select('firstName lastName email');
+    return new Map(foundUsers.map(user => [user._id.toString(), { name: `${user.firstName} ${user.lastName}`.trim(), email: user.email }]));
+}
+
+// Streams every lead matching the filters through `writeLead`, stops when the client leaves
+async function streamLeads(req, res, next, { name, columns, prepare, writeLead }) {
+    const { format = 'csv', sort = 'createdAt', order = 'asc' } = req.query;
+    if (!isExportFormat(format)) return next(new CustomError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = await buildTicketFilter(foundUser, req.query);
+        const context = { format, foundUser, ...await prepare?.(foundUser) };
+        const cursor = ticketCursor(query, { sort, order });
+
+        const writer = createExportWriter(res, { format, name, columns: typeof columns === 'function' ? columns(context) : columns });
+        try {
+            for await (const lead of cursor) {
+                if (writer.isClosed) break;
+                await writeLead(writer, lead, context);
+            }
+        } finally {
+            await cursor.close();
+        }
+        if (!writer.isClosed) await writer.end();
+    } catch (error) {
+        // The download already started, the client gets a truncated file
+        if (res.headersSent) {
+            console.error(`Export ${name} error:`, error);
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Disposition');
+        next(error);
+    }
+}
+
+const getLeadsExport = (req, res, next) => streamLeads(req, res, next, {
+    name: 'leads',
+    prepare: async (foundUser) => ({
+        customFields: await CustomField.find({ workspace: foundUser.workspace }).sort({ position: 1, createdAt: 1 }),
+    }),
+    columns: ({ customFields }) => [
+        { key: 'ticketID', label: 'Ticket ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'phone', label: 'Phone' },
+        { key: 'detailsShared', label: 'Details Shared' },
+        { key: 'receivedOffline', label: 'Received Offline' },
+        { key: 'status', label: 'Status' },
+        { key: 'priority', label: 'Priority' },
+        { key: 'tags', label: 'Tags' },
+        ...customFields.map(field => ({ label: field.label, value: row => row.customFields[field.key] })),
+        { key: 'createdAt', label: 'Created At' },
+    ],
+    writeLead: (writer, lead, { customFields }) => writer.write({
+        leadID: lead._id,
+        ticketID: lead.ticketID,
+        name: lead.userName ?? null,
+        email: lead.userEmail ?? null,
+        phone: lead.userPhone ?? null,
+        detailsShared: Boolean(lead.isDetailsShared),
+        receivedOffline: Boolean(lead.receivedOffline),
+        status: lead.status,
+        priority: lead.priority ?? 'Normal',
+        tags: lead.tags ?? [],
+        // Values of the fields removed since then are left out
+        customFields: Object.fromEntries(customFields.map(field => [field.key, lead.customFields?.[field.key] ?? null])),
+        createdAt: lead.createdAt,
+    }),
+});
+
+const getTicketsExport = (req, res, next) => streamLeads(req, res, next, {
+    name: 'tickets',
+    prepare: async (foundUser) => ({ members: await loadMemberNames(foundUser.workspace) }),
+    columns: [
+        { key: 'ticketID', label: 'Ticket ID' },
+        { key: 'status', label: 'Status' },
+        { key: 'priority', label: 'Priority' },
+        { key: 'tags', label: 'Tags' },
+        { value: row => row.currentAssignee?.name, label: 'Assignee' },
+        { value: row => row.currentAssignee?.email, label: 'Assignee Email' },
+        { value: row => row.assigneeHistory.map(assignee => assignee.name), label: 'Assignee History' },
+        { key: 'responseTime', label: 'Response Time (s)' },
+        { key: 'isMissedChat', label: 'Missed Chat' },
+        { value: row => row.sla?.firstResponse, label: 'First Response SLA' },
+        { value: row => row.sla?.resolution, label: 'Resolution SLA' },
+        { key: 'messageCount', label: 'Messages' },
+        { value: row => row.csat?.rating, label: 'CSAT Rating' },
+        { value: row => row.csat?.comment, label: 'CSAT Comment' },
+        { key: 'createdAt', label: 'Created At' },
+        { key: 'resolvedAt', label: 'Resolved At' },
+    ],
+    writeLead: async (writer, lead, { members }) => {
+        const findMember = (userID) => userID ? { id: userID, ...members.get(userID.toString()) ?? { name: 'Deleted member', email: null } } : null;
+        // Handoffs of the assignment history, older leads only have `assigneeList` (latest assignee first)
+        const assignees = lead.assignmentHistory?.length
+            ? [lead.assignmentHistory[0].from, ...lead.assignmentHistory.map(entry => entry.to)]
+            : [...(lead.assigneeList ?? [])].reverse();
+        const assigneeHistory = assignees.filter(Boolean)
+            .filter((userID, index, list) => userID.toString() !== list[index - 1]?.toString())
+            .map(findMember);
+        const sla = formatSla(lead);
+
+        return writer.write({
+            leadID: lead._id,
+            ticketID: lead.ticketID,
+            status: lead.status,
+            priority: lead.priority ?? 'Normal',
+            tags: lead.tags ?? [],
+            currentAssignee: findMember(lead.currentAssignee),
+            assigneeHistory,
+            responseTime: lead.responseTime,
+            isMissedChat: Boolean(lead.isMissedChat),
+            sla: sla && { firstResponse: sla.firstResponse.status, nextResponse: sla.nextResponse.status, resolution: sla.resolution.status },
+            messageCount: await LeadConversation.countDocuments({ leadID: lead._id, sendBy: { $ne: 'Note' } }),
+            csat: lead.csat?.submittedAt ? { rating: lead.csat.rating, comment: lead.csat.comment, agent: findMember(lead.csat.agent), submittedAt: lead.csat.submittedAt } : null,
+            createdAt: lead.createdAt,
+            resolvedAt: lead.status === 'Resolved' ? lead.sla?.resolution?.achievedAt ?? null : null,
+        });
+    },
+});
+
+const getTranscriptsExport = (req, res, next) => streamLeads(req, res, next, {
+    name: 'transcripts',
+    prepare: async (foundUser) => ({ members: await loadMemberNames(foundUser.workspace) }),
+    columns: [
+        { key: 'ticketID', label: 'Ticket ID' },
+        { key: 'leadName', label: 'Lead Name' },
+        { key: 'leadEmail', label: 'Lead Email' },
+        { key: 'sentAt', label: 'Sent At' },
+        { key: 'sendBy', label: 'Sent By' },
+        { key: 'sender', label: 'Sender' },
+        { key: 'message', label: 'Message' },
+        { key: 'attachments', label: 'Attachments' },
+    ],
+    writeLead: async (writer, lead, { format, members }) => {
+        const messageQuery = { leadID: lead._id };
+        if (req.query.notes !== 'true') messageQuery.sendBy = { $ne: 'Note' };
+        const foundConversation = await LeadConversation.find(messageQuery).populate('attachments').sort({ createdAt: 1 });
+
+        const messages = foundConversation.map(item => ({
+            id: item._id,
+            sentAt: item.createdAt,
+            sendBy: item.sendBy,
+            sender: item.sendBy === 'Lead' ? lead.userName ?? 'Lead' : members.get(item.assigneeID?.toString())?.name ?? 'N/A',
+            message: item.message ?? '',
+            attachments: item.attachments?.filter(attachment => attachment?.originalName).map(attachment => attachment.originalName) ?? [],
+        }));
+
+        if (format === 'json') {
+            return writer.write({
+                leadID: lead._id,
+                ticketID: lead.ticketID,
+                leadName: lead.userName ?? null,
+                leadEmail: lead.userEmail ?? null,
+                status: lead.status,
+                createdAt: lead.createdAt,
+                messages,
+            });
+        }
+
+        for (const message of messages) {
+            if (writer.isClosed) return;
+            await writer.write({ ticketID: lead.ticketID, leadName: lead.userName, leadEmail: lead.userEmail, ...message });
+        }
+    },
+});
+
+export default {
+    getLeadsExport, getTicketsExport, getTranscriptsExport,
+}
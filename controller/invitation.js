@@ -0,0 +1,288 @@
+/*
+|---------------------------------------------------------------------------
+| Member Invitation Controllers
+|---------------------------------------------------------------------------
+|
+| Admins (`members.manage`) invite new members by email and role, the invitee receives a single-use link
+| (valid for `INVITATION_EXPIRY_HOURS`, default 72) and chooses their own name and password.
+|
+| - `getInvitations`: Lists the invitations of the workspace, pending ones (expired included) by default,
+|   `?status=Pending|Expired|Accepted|Revoked|All` to filter.
+| - `postInvitation`: Invites an email with a role (`Admin`, `Member` or the ID of a custom role, only
+|   admins invite admins and nobody grants a permission they do not hold) and emails the link.
+| - `postInvitationResend`: Sends a new link, the previous one stops working.
+| - `deleteInvitation`: Revokes a pending invitation.
+| - `getInvitation`: Public, describes the invitation of a link (email, role, workspace).
+| - `postInvitationAccept`: Public, creates the member account from a link.
+|
+| Only a hash of the link token is stored. Emails are stored in lower case and compared with the
+| accounts regardless of case, `Foo@x.com` and `foo@x.com` are the same invitee.
+*/
+
+import bcrypt from "bcryptjs";
+import { configDotenv } from "dotenv";
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import Invitation from "../modal/invitation-modal.js";
+import Role, { BUILT_IN_ROLES } from "../modal/role-modal.js";
+import User from "../modal/user-modal.js";
+import Workspace from "../modal/workspace-modal.js";
+import { auditTarget, recordAudit } from "../util/audit.js";
+import RouteCode from "../util/httpStatus.js";
+import { generateRandomToken, hashToken } from "../util/jwtToken.js";
+import { sendInvitationMail } from "../util/mail/index.js";
+import { can } from "../util/permissions.js";
+import getReqUser from '../util/reqUser.js';
+
+configDotenv();
+const { SALT, DASHBOARD_URL, INVITATION_URL, INVITATION_EXPIRY_HOURS = 72 } = process.env;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accounts created before the emails were normalized keep their case
+const findUserByEmail = (email) => User.findOne({ email: new RegExp(`^${escapeRegExp(email)}$`, 'i') });
+
+// Pending invitations past their expiry are reported as expired
+const invitationStatus = (invitation, now = new Date()) => invitation.status === 'Pending' && invitation.expiresAt <= now ? 'Expired' : invitation.status;
+
+const formatInvitation = (invitation) => ({
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    customRole: invitation.customRole?._id
+        ? { id: invitation.customRole._id, name: invitation.customRole.name }
+        : invitation.customRole ?? null,
+    status: invitationStatus(invitation),
+    invitedBy: invitation.invitedBy?._id
+        ? { id: invitation.invitedBy._id, name: `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}` }
+        : invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    sendCount: invitation.sendCount,
+    lastSentAt: invitation.lastSentAt,
+    acceptedAt: invitation.acceptedAt,
+    createdAt: invitation.createdAt,
+});
+
+async function findInvitation(req, foundUser, next) {
+    const { invitationID } = req.params;
+    if (!mongoose.isValidObjectId(invitationID)) {
+        next(new CustomError('Invalid invitation ID!', RouteCode.BAD_REQUEST.statusCode));
+        return null;
+    }
+
+    const foundInvitation = await Invitation.findOne({ _id: invitationID, workspace: foundUser.workspace });
+    if (!foundInvitation) next(new CustomError('Invitation not found!', RouteCode.NOT_FOUND.statusCode));
+    return foundInvitation;
+}
+
+// A pending, unexpired invitation from the link token
+const findInvitationByToken = (token) => Invitation.findOne({
+    tokenHash: hashToken(String(token)),
+    status: 'Pending',
+    expiresAt: { $gt: new Date() },
+});
+
+// Issues a new link token (the previous one stops working) and emails it
+async function sendInvitation(invitation, inviter) {
+    const token = generateRandomToken();
+    const expiresInHours = Number(INVITATION_EXPIRY_HOURS);
+
+    invitation.tokenHash = hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    const workspace = await Workspace.findById(invitation.workspace);
+    const invitationURL = INVITATION_URL || `${DASHBOARD_URL ?? ''}/accept-invitation`;
+    sendInvitationMail({ invitation, inviter, workspace, link: `${invitationURL}?token=${token}`, expiresInHours });
+}
+
+const getInvitations = async (req, res, next) => {
+    const { status } = req.query;
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { workspace: foundUser.workspace };
+        if (status === 'Accepted' || status === 'Revoked') query.status = status;
+        else if (status !== 'All') query.status = 'Pending';
+        // Expired invitations are stored as pending
+        if (status === 'Pending') query.expiresAt = { $gt: new Date() };
+        if (status === 'Expired') query.expiresAt = { $lte: new Date() };
+
+        const foundInvitations = await Invitation.find(query).populate('invitedBy', 'firstName lastName').populate('customRole', 'name').sort({ createdAt: -1 });
+        const invitationList = foundInvitations.map(formatInvitation);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ invitationList });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postInvitation = async (req, res, next) => {
+    const { designation } = req.body;
+    const role = req.body.role ?? designation ?? 'Member';
+    if (typeof req.body.email !== 'string') return next(new CustomError("Please share a valid email!", RouteCode.BAD_REQUEST.statusCode));
+    const email = req.body.email.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) return next(new CustomError("Please share a valid email!", RouteCode.BAD_REQUEST.statusCode));
+    if (!BUILT_IN_ROLES.includes(role) && !mongoose.isValidObjectId(role)) return next(new CustomError(`Role must be one of: ${BUILT_IN_ROLES.join(', ')} or a custom role ID`, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        if (role === 'Admin' && foundUser.userRole !== 'Admin') return next(new CustomError("Only admin can invite an admin!", RouteCode.UNAUTHORIZED.statusCode));
+
+        // Custom roles are given to members, with the permissions the inviter holds
+        let foundRole = null;
+        if (!BUILT_IN_ROLES.includes(role)) {
+            foundRole = await Role.findOne({ _id: role, workspace: foundUser.workspace });
+            if (!foundRole) return next(new CustomError("Role not found!", RouteCode.NOT_FOUND.statusCode));
+            const missingPermission = foundRole.permissions.find(permission => !can(foundUser, permission));
+            if (missingPermission) return next(new CustomError(`You can not grant the ${missingPermission} permission!`, RouteCode.UNAUTHORIZED.statusCode));
+        }
+
+        const existingUser = await findUserByEmail(email);
+        if (existingUser) return next(new CustomError("User with this email already exists!", RouteCode.CONFLICT.statusCode));
+
+        const pendingInvitation = await Invitation.findOne({ workspace: foundUser.workspace, email: new RegExp(`^${escapeRegExp(email)}$`, 'i'), status: 'Pending' });
+        if (pendingInvitation) return next(new CustomError("This email is already invited, resend the invitation instead!", RouteCode.CONFLICT.statusCode));
+
+        const newInvitation = new Invitation({
+            workspace: foundUser.workspace,
+            email,
+            role: foundRole ? 'Member' : role,
+            customRole: foundRole?._id ?? null,
+            invitedBy: foundUser._id,
+            expiresAt: new Date(),
+        });
+        await sendInvitation(newInvitation, foundUser);
+        recordAudit({ req, actor: foundUser, action: 'member.invited', target: auditTarget.invitation(newInvitation), after: { email: newInvitation.email, role: newInvitation.role, customRole: newInvitation.customRole } });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            message: 'Invitation sent successfully!',
+            invitation: { ...formatInvitation(newInvitation), customRole: foundRole ? { id: foundRole._id, name: foundRole.name } : null },
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postInvitationResend = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundInvitation = await findInvitation(req, foundUser, next);
+        if (!foundInvitation) return;
+
+        // Expired invitations can be sent again, accepted and revoked ones can not
+        if (foundInvitation.status !== 'Pending') return next(new CustomError(`The invitation is ${foundInvitation.status.toLowerCase()}!`, RouteCode.CONFLICT.statusCode));
+
+        foundInvitation.sendCount += 1;
+        await sendInvitation(foundInvitation, foundUser);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Invitation sent again!', invitation: formatInvitation(foundInvitation) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteInvitation = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundInvitation = await findInvitation(req, foundUser, next);
+        if (!foundInvitation) return;
+
+        if (foundInvitation.status !== 'Pending') return next(new CustomError(`The invitation is ${foundInvitation.status.toLowerCase()}!`, RouteCode.CONFLICT.statusCode));
+
+        foundInvitation.status = 'Revoked';
+        foundInvitation.tokenHash = null;
+        await foundInvitation.save();
+        recordAudit({ req, actor: foundUser, action: 'member.invitation_revoked', target: auditTarget.invitation(foundInvitation), before: { status: 'Pending' }, after: { status: 'Revoked' } });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Invitation revoked successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const getInvitation = async (req, res, next) => {
+    const { token } = req.query;
+    if (!token) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundInvitation = await findInvitationByToken(token);
+        if (!foundInvitation) return next(new CustomError("The invitation is invalid or has expired!", RouteCode.NOT_FOUND.statusCode));
+
+        const foundWorkspace = await Workspace.findById(foundInvitation.workspace);
+        const foundRole = foundInvitation.customRole ? await Role.findById(foundInvitation.customRole) : null;
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            email: foundInvitation.email,
+            role: foundRole?.name ?? foundInvitation.role,
+            workspace: foundWorkspace?.name,
+            expiresAt: foundInvitation.expiresAt,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postInvitationAccept = async (req, res, next) => {
+    const { token, firstName, lastName, phone, password, confirmPassword } = req.body;
+    if (!token || !firstName?.trim() || !lastName?.trim() || !password || !confirmPassword) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    if (password !== confirmPassword) return next(new CustomError("Passwords do not match!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundInvitation = await findInvitationByToken(token);
+        if (!foundInvitation) return next(new CustomError("The invitation is invalid or has expired!", RouteCode.NOT_FOUND.statusCode));
+
+        const existingUser = await findUserByEmail(foundInvitation.email);
+        if (existingUser) return next(new CustomError("User with this email already exists!", RouteCode.CONFLICT.statusCode));
+
+        // The link is consumed by the same update that checks it, it can not be used twice
+        const acceptedInvitation = await Invitation.findOneAndUpdate(
+            { _id: foundInvitation._id, tokenHash: foundInvitation.tokenHash, status: 'Pending' },
+            { $set: { status: 'Accepted', tokenHash: null, acceptedAt: new Date() } },
+            { new: true }
+        );
+        if (!acceptedInvitation) return next(new CustomError("The invitation is invalid or has expired!", RouteCode.NOT_FOUND.statusCode));
+
+        // The custom role may have been deleted since the invitation, the member keeps the Member role
+        const foundRole = acceptedInvitation.customRole
+            ? await Role.findOne({ _id: acceptedInvitation.customRole, workspace: acceptedInvitation.workspace })
+            : null;
+
+        const newUser = new User({
+            firstName: firstName.trim(),
+            lastName: lastName.trim(),
+            email: acceptedInvitation.email,
+            contact: phone?.trim(),
+            password: await bcrypt.hash(password, Number(SALT)),
+            parent: acceptedInvitation.invitedBy,
+            workspace: acceptedInvitation.workspace,
+            userRole: acceptedInvitation.role,
+            role: foundRole?._id ?? null,
+        });
+
+        try {
+            await newUser.save();
+        } catch (error) {
+            // Give the link back so the invitee can try again
+            await Invitation.updateOne({ _id: acceptedInvitation._id }, { $set: { status: 'Pending', tokenHash: foundInvitation.tokenHash, acceptedAt: null } });
+            throw error;
+        }
+
+        acceptedInvitation.acceptedUser = newUser._id;
+        await acceptedInvitation.save();
+        recordAudit({ req, actor: newUser, action: 'member.created', target: auditTarget.user(newUser), after: { email: newUser.email, userRole: newUser.userRole, role: newUser.role, invitation: acceptedInvitation._id } });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Account created successfully, you can login now' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getInvitations, postInvitation, postInvitationResend, deleteInvitation, getInvitation, postInvitationAccept,
+}
@@ -0,0 +1,95 @@
+/*
+|---------------------------------------------------------------------------
+| Background Job Controllers (`settings.manage`)
+|---------------------------------------------------------------------------
+|
+| - `getJobs`: Lists the background jobs with their interval, next run, last run and whether they run now.
+| - `getJobRuns`: Paginated run history of a job (filterable by status).
+| - `postJobRun`: Runs a job now for the workspace of the user.
+|
+| The history only shows the manual runs of the workspace, the scheduled runs cover every
+| workspace and stay on the server (logs, `lastRunAt` and `lastStatus` of the job).
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import JobRun from "../modal/job-run-modal.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { getJobs as getJobStates, getRegisteredJob, runJob } from "../util/scheduler.js";
+
+const formatJobRun = (jobRun) => ({
+    id: jobRun._id,
+    job: jobRun.job,
+    trigger: jobRun.trigger,
+    triggeredBy: jobRun.triggeredBy,
+    status: jobRun.status,
+    startedAt: jobRun.startedAt,
+    finishedAt: jobRun.finishedAt,
+    durationMs: jobRun.durationMs,
+    result: jobRun.result,
+    error: jobRun.error,
+});
+
+const getJobs = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ jobList: await getJobStates() });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const getJobRuns = async (req, res, next) => {
+    const { jobName } = req.params;
+    let { page = 1, limit = 20, status } = req.query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+    if (!getRegisteredJob(jobName)) return next(new CustomError('Job not found!', RouteCode.NOT_FOUND.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { job: jobName, workspace: foundUser.workspace };
+        if (['Running', 'Success', 'Failed'].includes(status)) query.status = status;
+
+        const totalRuns = await JobRun.countDocuments(query);
+        const foundRuns = await JobRun.find(query)
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            totalRuns,
+            totalPages: Math.ceil(totalRuns / limit),
+            currentPage: page,
+            limit,
+            runList: foundRuns.map(formatJobRun),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postJobRun = async (req, res, next) => {
+    const { jobName } = req.params;
+    if (!getRegisteredJob(jobName)) return next(new CustomError('Job not found!', RouteCode.NOT_FOUND.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const jobRun = await runJob(jobName, { triggeredBy: foundUser._id, workspace: foundUser.workspace });
+        if (!jobRun) return next(new CustomError('The job is already running, try again later!', RouteCode.CONFLICT.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Job finished!', run: formatJobRun(jobRun) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getJobs, getJobRuns, postJobRun,
+}
@@ -7,32 +7,83 @@
 | for lead performance and status tracking. The key controllers include:
 |
 | - `getLeadsDetails`: Retrieves detailed information about a specific lead, 
-|   including the lead's conversation history.
-| - `postNewLead`: Creates a new lead, generates a unique ticket ID, assigns 
-|   it to an Admin, and initiates the first conversation for the lead.
+|   including the lead's conversation history (without the agents' internal notes), "seen" indicators
+|   and the number of unread agent replies.
+| - `postNewLead`: Creates a new lead in the requested workspace, generates a unique ticket ID,
+|   routes it to an agent (see `util/routing.js`), and initiates the first conversation for the lead.
+| - `postOfflineLead`: Creates a lead from the offline form (name, email, phone and message) shown
+|   outside of business hours. Filling the honeypot field flags the lead as spam.
 | - `postLeadForm`: Updates the personal details (name, email, phone) for a 
-|   specific lead and marks the lead as having shared details.
+|   specific lead and marks the lead as having shared details. Submissions filling the
+|   honeypot field or sent too fast flag the lead as spam.
 | - `putLeadMessage`: Adds a new message to a lead's conversation, sent by the lead itself.
-| - `getLeadsAnalytics`: Provides analytics on the leads, including total lead counts, resolution rates, average response times, and weekly missed chat data.
+|   Accepts `multipart/form-data` with files in the `attachments` field.
+| - `getLeadAttachment`: Downloads an attachment of the lead's own conversation.
+| - `getLeadStream`: Opens the realtime (SSE) stream of a lead for the chat widget.
+| - `getLeadMessages`: Returns the messages posted after a given message ID (reconnect catch-up).
+| - `postLeadTyping`: Broadcasts the lead's typing indicator to the agents.
+| - `getLeadCsat` / `postLeadCsat`: Satisfaction survey of a resolved ticket: whether the lead can still
+|   rate it, and the rating (1 to 5) with an optional comment, accepted once per ticket.
+| - `putLeadRead`: Marks the agent replies as read by the lead (read receipts).
+| - `putLeadEmailPreference`: Turns the reply notification emails of the lead on or off.
+| - `postLeadSessionRenew`: Issues a new widget session token for a (recently expired) token.
+| - `getLeadsAnalytics`: Provides analytics on the leads of a date range (see `util/analytics.js`), including lead counts,
+|   resolution rates, response and resolution times per day, week or month, per-agent metrics and a comparison with the previous period.
 |
-| The `getTicketID` function generates unique ticket IDs based on the current date and ensures that no duplicate ticket IDs are assigned.
+| Leads created outside of the business hours of the workspace are flagged `receivedOffline`.
+|
+| The `getTicketID` function generates unique ticket IDs based on the current date and ensures that no duplicate ticket IDs are assigned within a workspace.
+|
+| Public (widget) controllers only find leads of the workspace resolved from the widget key (`req.workspace`),
+| analytics are computed for the workspace of the logged in user. `postNewLead` returns a signed widget
+| session token, the other widget controllers use the lead verified by `isLeadSession` (`req.lead`).
 |
 | Analytics include:
-| - Total lead count
-| - Resolved lead count and percentage
-| - Average response time for leads
+| - Total lead count, resolved lead percentage and average response time (all time)
 | - Weekly graph of missed chats (last 10 weeks)
+| - Lead, resolution, missed chat and response / resolution time metrics of the range, per bucket and compared
+|   with the previous period of the same length
+| - Tickets handled and resolved, messages sent, first response and resolution time per agent
+| - Ticket counts (total and resolved) per priority, per tag and per option of the select custom fields (range)
+| - SLA compliance (met, breached and pending tickets) per target, overall and per priority (range)
 |
 */
 
 
+import { configDotenv } from "dotenv";
 import { CustomError } from "../middleware/errorMiddleware.js";
+import { getLeadSessionToken } from "../middleware/isLeadSession.js";
+import Attachment from "../modal/attachment-modal.js";
 import LeadConversation from "../modal/lead-conversation-modal.js";
-import Lead from "../modal/lead-modal.js";
-import User from "../modal/user-modal.js";
+import ChatbotSettings from "../modal/chat-bot-modal.js";
+import CustomField from "../modal/custom-field-modal.js";
+import Lead, { LEAD_PRIORITIES } from "../modal/lead-modal.js";
+import { comparePeriods, getAgentMetrics, getLeadMetrics, getLeadSummary, getMissedChatGraph, getPreviousRange, parseAnalyticsRange } from "../util/analytics.js";
+import { formatAttachment, saveAttachments, sendAttachment } from "../util/attachment.js";
+import { canRateTicket, formatCsat, formatCsatSettings, validateCsat } from "../util/csat.js";
+import { getAvailability } from "../util/businessHours.js";
+import { findMessagesSince } from "../util/conversation.js";
 import RouteCode from "../util/httpStatus.js";
+import { generateLeadSessionToken, verifyLeadSessionToken } from "../util/jwtToken.js";
+import getReqUser from '../util/reqUser.js';
+import { sendNewLeadMail } from "../util/mail/index.js";
+import { formatMessage, leadChannel, publishToAgents, publishToLead, subscribe } from "../util/realtime.js";
+import { getLeadUnreadCount, getSeenChecker, markAsRead } from "../util/readCursor.js";
+import { pickAssignee } from "../util/routing.js";
+import { applySlaPolicy, getSlaCompliance, recordLeadMessage } from "../util/sla.js";
+import { assignTicket } from "../util/ticketHistory.js";
+import { emitLeadEvent } from "../util/webhook.js";
+
+configDotenv();
+const { LEAD_SESSION_EXPIRY = '24h', LEAD_SESSION_RENEW_WINDOW_HOURS = 168, LEAD_FORM_MIN_SUBMIT_SECONDS = 3 } = process.env;
+
+function issueLeadSession(lead) {
+    const sessionToken = generateLeadSessionToken(lead, LEAD_SESSION_EXPIRY);
+    const { exp } = verifyLeadSessionToken(sessionToken);
+    return { sessionToken, sessionExpiresAt: new Date(exp * 1000) };
+}
 
-async function getTicketID() {
+async function getTicketID(workspaceID) {
     const fullYear = new Date().getFullYear();
     const month = new Date().getMonth() + 1;
     const day = new Date().getDate();
@@ -41,12 +92,12 @@ async function getTicketID() {
     let ticketID = baseTicketID;
 
     let count = 1;
-    let foundLead = await Lead.findOne({ ticketID });
+    let foundLead = await Lead.findOne({ ticketID, workspace: workspaceID });
 
     while (foundLead) {
         const suffix = count > 9 ? count : `0${count}`;
         ticketID = `${baseTicketID}-${suffix}`;
-        foundLead = await Lead.findOne({ ticketID });
+        foundLead = await Lead.findOne({ ticketID, workspace: workspaceID });
         count++;
     }
 
@@ -54,14 +105,12 @@ async function getTicketID() {
 }
 
 const getLeadsDetails = async (req, res, next) => {
-    const { leadID } = req.params;
-    if (!leadID) return next(new CustomError("Invalid Lead ID!", RouteCode.BAD_REQUEST.statusCode));
-
     try {
-        const foundLead = await Lead.findById(leadID);
-        if (!foundLead) return next(new CustomError("Lead not found!", RouteCode.NOT_FOUND.statusCode));
+        const foundLead = req.lead;
 
-        const foundConversation = await LeadConversation.find({ leadID: leadID }).sort({ createdAt: 1 });
+        // Internal notes are never shared with the lead
+        const foundConversation = await LeadConversation.find({ leadID: foundLead._id, sendBy: { $ne: 'Note' } }).populate('attachments').sort({ createdAt: 1 });
+        const isSeen = await getSeenChecker(foundLead);
 
         const finalOBJ = {
             leadID: foundLead._id,
@@ -71,10 +120,14 @@ const getLeadsDetails = async (req, res, next) => {
             isFirstMessageShared: foundLead.isFirstMessageShared,
             detailsShared: foundLead.isDetailsShared,
             status: foundLead.status,
+            unreadCount: await getLeadUnreadCount(foundLead),
             conversation: foundConversation?.map(item => ({
                 id: item._id,
-                message: item.message,
+                message: item.message ?? '',
                 sendBy: item.sendBy,
+                // Own messages seen by an agent, agent replies seen by the lead
+                seen: isSeen(item),
+                attachments: item.attachments?.map(formatAttachment) ?? [],
             })) ?? []
         }
 
@@ -84,51 +137,113 @@ const getLeadsDetails = async (req, res, next) => {
     }
 }
 
+// Creates the lead with its first message and lets the agents know (spam leads are kept quiet)
+async function createLead(workspaceID, message, leadDetails = {}) {
+    const chatbotSettings = await ChatbotSettings.findOne({ workspace: workspaceID });
+    const { isOnline } = getAvailability(chatbotSettings);
+
+    // Null when the workspace uses the manual queue or no agent is available
+    const foundAssignee = leadDetails.isSpam ? null : await pickAssignee(workspaceID);
+
+    const ticketID = await getTicketID(workspaceID)
+    const newLead = new Lead({
+        workspace: workspaceID,
+        ticketID: ticketID,
+        isFirstMessageShared: true,
+        isDetailsShared: false,
+        receivedOffline: !isOnline,
+        ...leadDetails,
+    });
+    if (foundAssignee) assignTicket(newLead, foundAssignee, { reason: 'Routing' });
+    await applySlaPolicy(newLead);
+
+    await newLead.save();
+    const leadID = newLead._id;
+    const newConversation = new LeadConversation({
+        leadID,
+        message,
+        sendBy: 'Lead',
+    });
+
+    await newConversation.save();
+    if (newLead.isSpam) return { newLead, chatbotSettings };
+
+    publishToAgents(newLead, 'lead', { leadID, ticketID, status: newLead.status, postedAt: newLead.createdAt });
+    const messagePayload = formatMessage(newConversation);
+    publishToAgents(newLead, 'message', messagePayload, newConversation._id);
+    sendNewLeadMail(newLead, message);
+    emitLeadEvent(newLead, 'lead.created', { message: messagePayload });
+    emitLeadEvent(newLead, 'message.posted', { message: messagePayload });
+    if (newLead.isDetailsShared) emitLeadEvent(newLead, 'lead.details_shared');
+    await markAsRead(newLead, null, newConversation._id);
+    return { newLead, chatbotSettings };
+}
+
 const postNewLead = async (req, res, next) => {
     const { message } = req.body;
     if (!message) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
     try {
-        const foundAdmin = await User.findOne({ userRole: 'Admin' });
-        if (!foundAdmin) return next(new CustomError("No Admin found, Contact support!", RouteCode.UNAUTHORIZED.statusCode));
-
-        const ticketID = await getTicketID()
-        const newLead = new Lead({
-            ticketID: ticketID,
-            currentAssignee: foundAdmin._id,
-            assigneeList: [foundAdmin._id],
-            isFirstMessageShared: true,
-            isDetailsShared: false,
-        });
+        const { newLead } = await createLead(req.workspace._id, message);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ leadID: newLead._id, ...issueLeadSession(newLead) });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        await newLead.save();
-        const leadID = newLead._id;
-        const newConversation = new LeadConversation({
-            leadID,
-            message,
-            sendBy: 'Lead',
-        });
+// Offline form: the details and the message are shared at once
+const postOfflineLead = async (req, res, next) => {
+    const { name, email, phone, message, website } = req.body;
+    if (!name || !email || !phone || !message) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
-        await newConversation.save();
-        return res.status(RouteCode.SUCCESS.statusCode).json({ leadID: leadID });
+    try {
+        const leadDetails = {
+            userName: name.trim(),
+            userEmail: email.trim(),
+            userPhone: phone.trim(),
+            isDetailsShared: true,
+        };
+        // Bots fill the hidden `website` field (honeypot), they get the usual answer
+        if (website) Object.assign(leadDetails, { isSpam: true, spamReason: 'Honeypot field filled' });
+
+        const { newLead, chatbotSettings } = await createLead(req.workspace._id, message, leadDetails);
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            leadID: newLead._id,
+            ...issueLeadSession(newLead),
+            message: chatbotSettings?.offline?.thankYouMessage ?? 'Message sent successfully!',
+        });
     } catch (error) {
         next(error);
     }
 }
 
 const postLeadForm = async (req, res, next) => {
-    const { leadID, name, email, phone } = req.body;
-    if (!leadID || !name || !email || !phone) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    const { name, email, phone, website } = req.body;
+    if (!name || !email || !phone) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
     try {
-        const foundLead = await Lead.findById(leadID);
-        if (!foundLead) return next(new CustomError("Lead not found!", RouteCode.NOT_FOUND.statusCode));
+        const foundLead = req.lead;
+
+        // Bots fill the hidden `website` field (honeypot) or submit faster than a person can type.
+        // They get the usual answer so they don't learn they were caught.
+        const secondsToSubmit = (Date.now() - new Date(foundLead.createdAt).getTime()) / 1000;
+        const spamReason = website
+            ? 'Honeypot field filled'
+            : secondsToSubmit < Number(LEAD_FORM_MIN_SUBMIT_SECONDS) ? 'Form submitted too fast' : null;
+
+        if (spamReason) {
+            foundLead.isSpam = true;
+            foundLead.spamReason = spamReason;
+            await foundLead.save();
+            return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Lead details updated successfully!' });
+        }
 
         foundLead.userName = name.trim();
         foundLead.userEmail = email.trim();
         foundLead.userPhone = phone.trim();
         foundLead.isDetailsShared = true;
         await foundLead.save();
+        emitLeadEvent(foundLead, 'lead.details_shared');
 
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Lead details updated successfully!' });
     } catch (error) {
@@ -137,84 +252,292 @@ const postLeadForm = async (req, res, next) => {
 }
 
 const putLeadMessage = async (req, res, next) => {
-    const { leadID, message } = req.body;
-    if (!leadID || !message) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+    const { message } = req.body;
+    const files = req.files ?? [];
+    if (!message && files.length === 0) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
     try {
-        const foundLead = await Lead.findById(leadID);
-        if (!foundLead) return next(new CustomError("Lead not found!", RouteCode.NOT_FOUND.statusCode));
+        const foundLead = req.lead;
+
+        const attachments = await saveAttachments({ files, lead: foundLead, uploadedBy: 'Lead' });
+
+        // Starts the next response SLA when the lead is waiting for an answer again
+        await recordLeadMessage(foundLead);
+        await foundLead.save();
 
         const newConversation = new LeadConversation({
             leadID: foundLead._id,
             message,
             sendBy: 'Lead',
+            attachments,
         });
 
         await newConversation.save();
+        await markAsRead(foundLead, null, newConversation._id);
+
+        const payload = formatMessage(newConversation);
+        publishToLead(foundLead._id, 'message', payload, newConversation._id);
+        publishToAgents(foundLead, 'message', payload, newConversation._id);
+        emitLeadEvent(foundLead, 'message.posted', { message: payload });
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Message sent successfully!' });
     } catch (error) {
         next(error);
     }
 }
 
+// Download an attachment of the lead's conversation
+const getLeadAttachment = async (req, res, next) => {
+    const { attachmentID } = req.params;
+    if (!attachmentID) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
 
-// Analytics
-const getWeekNumber = (date) => {
-    const start = new Date(date.getFullYear(), 0, 1);
-    const diff = (date.getTime() - start.getTime()) / (1000 * 60 * 60 * 24);
-    return Math.ceil((diff + start.getDay() + 1) / 7);
-};
+    try {
+        const foundLead = req.lead;
 
-const getLeadsAnalytics = async (req, res, next) => {
+        // Only attachments of a message the lead can see (internal notes excluded)
+        const foundConversation = await LeadConversation.findOne({ leadID: foundLead._id, attachments: attachmentID, sendBy: { $ne: 'Note' } });
+        const foundAttachment = foundConversation && await Attachment.findOne({ _id: attachmentID, leadID: foundLead._id });
+        if (!foundAttachment) return next(new CustomError("Attachment not found!", RouteCode.NOT_FOUND.statusCode));
+
+        sendAttachment(res, foundAttachment);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Renews the widget session, expired tokens are accepted during the renewal window
+const postLeadSessionRenew = async (req, res, next) => {
+    const token = getLeadSessionToken(req);
+    if (!token) return next(new CustomError("Lead session is missing!", RouteCode.UNAUTHORIZED.statusCode));
+
+    let decoded;
+    try {
+        decoded = verifyLeadSessionToken(token, true);
+    } catch (error) {
+        return next(new CustomError("Invalid lead session!", RouteCode.UNAUTHORIZED.statusCode));
+    }
+
+    const renewWindowInSeconds = Number(LEAD_SESSION_RENEW_WINDOW_HOURS) * 60 * 60;
+    if (decoded.exp + renewWindowInSeconds < Math.floor(Date.now() / 1000)) return next(new CustomError("Lead session can no longer be renewed!", RouteCode.UNAUTHORIZED.statusCode));
+
+    try {
+        const foundLead = await Lead.findOne({ _id: decoded.id, workspace: req.workspace._id });
+        if (!foundLead) return next(new CustomError("Invalid lead session!", RouteCode.UNAUTHORIZED.statusCode));
+        if (foundLead.sessionVersion !== decoded.ver) return next(new CustomError("Lead session has been revoked!", RouteCode.UNAUTHORIZED.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ leadID: foundLead._id, ...issueLeadSession(foundLead) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Realtime stream for the chat widget
+const getLeadStream = (req, res) => {
+    subscribe(req, res, [leadChannel(req.lead._id)]);
+}
+
+// Catch-up for reconnecting widgets: messages posted after `since`
+const getLeadMessages = async (req, res, next) => {
+    const { since } = req.query;
+
+    try {
+        const foundLead = req.lead;
+
+        const foundConversation = await findMessagesSince(foundLead._id, since, { sendBy: { $ne: 'Note' } });
+        const finalList = foundConversation.map(item => formatMessage(item, item.assigneeID?.firstName));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json(finalList);
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postLeadTyping = async (req, res, next) => {
+    const { isTyping } = req.body;
+
+    try {
+        const foundLead = req.lead;
+
+        publishToAgents(foundLead, 'typing', { leadID: foundLead._id, sendBy: 'Lead', isTyping: Boolean(isTyping) });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Typing status shared!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const getLeadCsat = async (req, res, next) => {
     try {
-        const totalLeadCount = await Lead.countDocuments();
-        const resolvedLeadCount = await Lead.countDocuments({ status: 'Resolved' });
-        const totalResolvedLeads = totalLeadCount === 0
-            ? 0
-            : Math.round((resolvedLeadCount / totalLeadCount) * 100);
-
-
-        const totalLeads = await Lead.find();
-
-        // Average Response Time
-        let averateResponseTime = 0;
-        const responseData = totalLeads?.reduce(
-            (acc, lead) => {
-                if (lead.responseTime !== 0) {
-                    acc.count++;
-                    acc.sum += lead.responseTime;
-                }
-                return acc;
+        const foundLead = req.lead;
+        const chatbotSettings = await ChatbotSettings.findOne({ workspace: foundLead.workspace });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            ...formatCsatSettings(chatbotSettings?.csat),
+            canRate: canRateTicket(foundLead, chatbotSettings),
+            submission: foundLead.csat?.submittedAt
+                ? { rating: foundLead.csat.rating, comment: foundLead.csat.comment, submittedAt: foundLead.csat.submittedAt }
+                : null,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postLeadCsat = async (req, res, next) => {
+    const { rating, comment } = req.body;
+    const validationError = validateCsat(req.body);
+    if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundLead = req.lead;
+        const chatbotSettings = await ChatbotSettings.findOne({ workspace: foundLead.workspace });
+        if (!chatbotSettings?.csat?.enabled) return next(new CustomError("The survey is turned off!", RouteCode.CONFLICT.statusCode));
+        if (foundLead.status !== 'Resolved') return next(new CustomError("The conversation can be rated once it is resolved!", RouteCode.CONFLICT.statusCode));
+
+        // The check and the answer are one update, a ticket can not be rated twice
+        const ratedLead = await Lead.findOneAndUpdate(
+            { _id: foundLead._id, status: 'Resolved', 'csat.submittedAt': null },
+            {
+                $set: {
+                    csat: {
+                        rating: Number(rating),
+                        comment: comment?.trim() || null,
+                        agent: foundLead.currentAssignee ?? null,
+                        submittedAt: new Date(),
+                    },
+                },
             },
-            { sum: 0, count: 0 }
+            { new: true }
         );
-        if (responseData.count > 0) {
-            averateResponseTime = responseData.sum / responseData.count;
-        }
+        if (!ratedLead) return next(new CustomError("You already rated this conversation!", RouteCode.CONFLICT.statusCode));
+
+        const payload = { leadID: ratedLead._id, ...formatCsat(ratedLead) };
+        publishToAgents(ratedLead, 'csat', payload);
+        emitLeadEvent(ratedLead, 'csat.submitted', { csat: formatCsat(ratedLead) });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: chatbotSettings.csat.thankYouMessage });
+    } catch (error) {
+        next(error);
+    }
+}
 
-        // Missed Chats Weekly Graph (last 10 weeks)
-        const missedChatLeads = totalLeads.filter((lead) => lead.isMissedChat);
-        const currentYear = new Date().getFullYear();
-        const missedChatsByWeek = Array(10).fill(0);
-
-        missedChatLeads.forEach((lead) => {
-            const leadDate = new Date(lead.createdAt);
-            if (leadDate.getFullYear() === currentYear) {
-                const weekNum = getWeekNumber(leadDate);
-                const currentWeek = getWeekNumber(new Date());
-
-                const weekIndexFromNow = currentWeek - weekNum;
-                if (weekIndexFromNow >= 0 && weekIndexFromNow < 10) {
-                    missedChatsByWeek[9 - weekIndexFromNow] += 1;
-                }
-            }
+// Marks the agent replies as read up to `messageID`, or up to the latest message
+const putLeadRead = async (req, res, next) => {
+    const { messageID } = req.body;
+
+    try {
+        const foundLead = req.lead;
+
+        const foundCursor = await markAsRead(foundLead, null, messageID);
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            message: 'Conversation marked as read!',
+            lastReadMessageAt: foundCursor?.lastReadMessageAt ?? null,
+            unreadCount: await getLeadUnreadCount(foundLead),
         });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putLeadEmailPreference = async (req, res, next) => {
+    const { emailNotifications } = req.body;
+    if (emailNotifications === undefined) return next(new CustomError("Invalid details shared!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundLead = req.lead;
+        foundLead.emailNotifications = Boolean(emailNotifications);
+        await foundLead.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Email preference updated successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+
+// Analytics
+const TOP_TAGS = 20;
+
+// Ticket counts per priority, per tag (most used) and per option of the select custom fields
+async function getPropertyBreakdowns(workspaceQuery) {
+    const countByResolution = {
+        total: { $sum: 1 },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+    };
+
+    const priorityCounts = await Lead.aggregate([
+        { $match: workspaceQuery },
+        { $group: { _id: '$priority', ...countByResolution } },
+    ]);
+    const tagCounts = await Lead.aggregate([
+        { $match: workspaceQuery },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', ...countByResolution } },
+        { $sort: { total: -1, _id: 1 } },
+        { $limit: TOP_TAGS },
+    ]);
+
+    const selectFields = await CustomField.find({ workspace: workspaceQuery.workspace, type: 'select' }).sort({ position: 1, createdAt: 1 });
+    const customFieldBreakdown = await Promise.all(selectFields.map(async field => {
+        const optionCounts = await Lead.aggregate([
+            { $match: { ...workspaceQuery, [`customFields.${field.key}`]: { $in: field.options } } },
+            { $group: { _id: `$customFields.${field.key}`, ...countByResolution } },
+        ]);
+        return {
+            key: field.key,
+            label: field.label,
+            options: field.options.map(option => {
+                const found = optionCounts.find(item => item._id === option);
+                return { option, total: found?.total ?? 0, resolved: found?.resolved ?? 0 };
+            }),
+        };
+    }));
+
+    return {
+        priorityBreakdown: LEAD_PRIORITIES.map(priority => {
+            // Leads created before priorities existed count as Normal
+            const found = priorityCounts.filter(item => (item._id ?? 'Normal') === priority);
+            return {
+                priority,
+                total: found.reduce((sum, item) => sum + item.total, 0),
+                resolved: found.reduce((sum, item) => sum + item.resolved, 0),
+            };
+        }),
+        tagBreakdown: tagCounts.map(item => ({ tag: item._id, total: item.total, resolved: item.resolved })),
+        customFieldBreakdown,
+    };
+}
+
+const getLeadsAnalytics = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const workspaceQuery = { workspace: foundUser.workspace, isSpam: { $ne: true } };
+
+        // Buckets follow the timezone of the business hours unless another one is requested
+        const chatbotSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        const range = parseAnalyticsRange(req.query, chatbotSettings?.businessHours?.timezone ?? 'UTC');
+        const previousRange = getPreviousRange(range);
+        const rangeQuery = { ...workspaceQuery, createdAt: { $gte: range.from, $lt: range.to } };
+
+        const { summary, series } = await getLeadMetrics(workspaceQuery, range);
+        const previousSummary = await getLeadSummary(workspaceQuery, previousRange);
+        const allTime = await getLeadSummary(workspaceQuery);
 
         const finalList = {
-            totalLeads: totalLeadCount,
-            totalResolvedLeads,
-            averateResponseTime: Math.round(averateResponseTime),
-            leadGraph: missedChatsByWeek,
+            // All time totals and the weekly missed chat graph of the dashboard
+            totalLeads: allTime.totalLeads,
+            totalResolvedLeads: allTime.resolutionRate,
+            averateResponseTime: allTime.averageResponseTime,
+            leadGraph: await getMissedChatGraph(workspaceQuery, range.timezone),
+            range: { from: range.from, to: range.to, bucket: range.bucket, timezone: range.timezone },
+            summary,
+            previousPeriod: {
+                from: previousRange.from,
+                to: previousRange.to,
+                summary: previousSummary,
+                comparison: comparePeriods(summary, previousSummary),
+            },
+            series,
+            agents: await getAgentMetrics(workspaceQuery, range),
+            ...await getPropertyBreakdowns(rangeQuery),
+            slaCompliance: await getSlaCompliance(rangeQuery),
         };
 
         res.status(RouteCode.SUCCESS.statusCode).json(finalList);
@@ -223,7 +546,8 @@ const getLeadsAnalytics = async (req, res, next) => {
     }
 };
 
-
 export default {
-    getLeadsDetails, postNewLead, postLeadForm, putLeadMessage, getLeadsAnalytics
+    getLeadsDetails, postNewLead, postOfflineLead, postLeadForm, putLeadMessage, getLeadsAnalytics,
+    getLeadStream, getLeadMessages, postLeadTyping, getLeadAttachment, postLeadSessionRenew,
+    putLeadEmailPreference, putLeadRead, getLeadCsat, postLeadCsat,
 }
\ No newline at end of file
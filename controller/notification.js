@@ -0,0 +1,68 @@
+/*
+|---------------------------------------------------------------------------
+| Notification Controllers
+|---------------------------------------------------------------------------
+|
+| - `getNotifications`: Paginated list of the logged in user's notifications with the unread count.
+| - `putNotificationsRead`: Marks the given notifications (or all of them) as read.
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import Notification from "../modal/notification-modal.js";
+import RouteCode from "../util/httpStatus.js";
+import { formatNotification } from "../util/notification.js";
+import getReqUser from '../util/reqUser.js';
+
+const getNotifications = async (req, res, next) => {
+    let { page = 1, limit = 20, unreadOnly = 'false' } = req.query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { recipient: foundUser._id };
+        if (unreadOnly === 'true') query.isRead = false;
+
+        const totalNotifications = await Notification.countDocuments(query);
+        const unreadCount = await Notification.countDocuments({ recipient: foundUser._id, isRead: false });
+        const foundNotifications = await Notification.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            totalNotifications,
+            unreadCount,
+            totalPages: Math.ceil(totalNotifications / limit),
+            currentPage: page,
+            limit,
+            notificationList: foundNotifications.map(formatNotification),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putNotificationsRead = async (req, res, next) => {
+    const { notificationIDs } = req.body;
+    if (notificationIDs !== undefined && !Array.isArray(notificationIDs)) return next(new CustomError('Invalid details shared!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { recipient: foundUser._id, isRead: false };
+        if (notificationIDs) query._id = { $in: notificationIDs };
+
+        await Notification.updateMany(query, { $set: { isRead: true } });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Notifications marked as read!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getNotifications, putNotificationsRead,
+}
@@ -0,0 +1,225 @@
+/*
+|---------------------------------------------------------------------------
+| Role Controllers (`members.manage`)
+|---------------------------------------------------------------------------
+|
+| Custom roles bundle permissions (see `util/permissions.js`) and are given to members,
+| e.g. a Supervisor seeing and reassigning every ticket, or a Read-only role with analytics.
+|
+| - `getRoles`: Lists the permissions, the built-in roles (`Admin`, `Member`) and the custom roles
+|   of the workspace with the number of members holding them.
+| - `postRole`: Creates a custom role (name, description, permissions).
+| - `putRole`: Updates the name, description or permissions of a custom role.
+| - `deleteRole`: Deletes a custom role no member holds anymore.
+| - `putMemberRole`: Gives a member a built-in or custom role.
+|
+| Nobody can grant a permission they do not hold, and only admins make or unmake admins.
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import Role, { BUILT_IN_ROLES, PERMISSIONS } from "../modal/role-modal.js";
+import User from "../modal/user-modal.js";
+import Workspace from "../modal/workspace-modal.js";
+import { auditTarget, changedValues, recordAudit } from "../util/audit.js";
+import RouteCode from "../util/httpStatus.js";
+import { can, PERMISSION_DESCRIPTIONS } from "../util/permissions.js";
+import getReqUser from '../util/reqUser.js';
+
+const roleSnapshot = (role) => ({ name: role.name, description: role.description, permissions: [...role.permissions] });
+
+const formatRole = (role, memberCount) => ({
+    id: role._id,
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions,
+    isBuiltIn: false,
+    memberCount,
+});
+
+// Returns an error message, null when the role details are valid
+function validateRole({ name, description, permissions }, isUpdate) {
+    if (!isUpdate || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) return 'Please share a role name!';
+        if (BUILT_IN_ROLES.some(builtIn => builtIn.toLowerCase() === name.trim().toLowerCase())) return `${name.trim()} is a built-in role!`;
+    }
+    if (description !== undefined && typeof description !== 'string') return 'Invalid description!';
+    if (!isUpdate || permissions !== undefined) {
+        if (!Array.isArray(permissions)) return 'Please share the permissions of the role!';
+        const unknownPermission = permissions.find(permission => !PERMISSIONS.includes(permission));
+        if (unknownPermission) return `Unknown permission ${unknownPermission}!`;
+    }
+    return null;
+}
+
+const ungrantedPermission = (foundUser, permissions = []) => permissions.find(permission => !can(foundUser, permission));
+
+async function findRole(req, foundUser, next) {
+    const { roleID } = req.params;
+    if (!mongoose.isValidObjectId(roleID)) {
+        next(new CustomError('Invalid role ID!', RouteCode.BAD_REQUEST.statusCode));
+        return null;
+    }
+
+    const foundRole = await Role.findOne({ _id: roleID, workspace: foundUser.workspace });
+    if (!foundRole) next(new CustomError('Role not found!', RouteCode.NOT_FOUND.statusCode));
+    return foundRole;
+}
+
+const getRoles = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const [foundRoles, roleCounts] = await Promise.all([
+            Role.find({ workspace: foundUser.workspace }).sort({ name: 1 }),
+            User.aggregate([
+                { $match: { workspace: foundUser.workspace } },
+                { $group: { _id: { userRole: '$userRole', role: '$role' }, count: { $sum: 1 } } },
+            ]),
+        ]);
+        const countOf = (match) => roleCounts.filter(match).reduce((total, item) => total + item.count, 0);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            permissionList: PERMISSIONS.map(key => ({ key, description: PERMISSION_DESCRIPTIONS[key] })),
+            roleList: [
+                { id: 'Admin', name: 'Admin', description: 'Every permission', permissions: PERMISSIONS, isBuiltIn: true, memberCount: countOf(item => item._id.userRole === 'Admin') },
+                { id: 'Member', name: 'Member', description: 'Works on the tickets assigned to them', permissions: [], isBuiltIn: true, memberCount: countOf(item => item._id.userRole !== 'Admin' && !item._id.role) },
+                ...foundRoles.map(role => formatRole(role, countOf(item => item._id.userRole !== 'Admin' && item._id.role?.toString() === role._id.toString()))),
+            ],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postRole = async (req, res, next) => {
+    const { name, description = '', permissions } = req.body;
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const validationError = validateRole(req.body, false);
+        if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+        const missingPermission = ungrantedPermission(foundUser, permissions);
+        if (missingPermission) return next(new CustomError(`You can not grant the ${missingPermission} permission!`, RouteCode.UNAUTHORIZED.statusCode));
+
+        const existingRole = await Role.findOne({ workspace: foundUser.workspace, name: name.trim() }).collation({ locale: 'en', strength: 2 });
+        if (existingRole) return next(new CustomError('A role with this name already exists!', RouteCode.CONFLICT.statusCode));
+
+        const newRole = await Role.create({
+            workspace: foundUser.workspace,
+            name: name.trim(),
+            description: description.trim(),
+            permissions: [...new Set(permissions)],
+        });
+        recordAudit({ req, actor: foundUser, action: 'role.created', target: auditTarget.role(newRole), after: roleSnapshot(newRole) });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Role created successfully!', role: formatRole(newRole, 0) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putRole = async (req, res, next) => {
+    const { name, description, permissions } = req.body;
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundRole = await findRole(req, foundUser, next);
+        if (!foundRole) return;
+
+        const validationError = validateRole(req.body, true);
+        if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+        // The permissions removed from the role count too, they change what its members can do
+        const missingPermission = ungrantedPermission(foundUser, [...foundRole.permissions, ...permissions ?? []]);
+        if (missingPermission) return next(new CustomError(`You can not change a role with the ${missingPermission} permission!`, RouteCode.UNAUTHORIZED.statusCode));
+
+        if (name !== undefined && name.trim().toLowerCase() !== foundRole.name.toLowerCase()) {
+            const existingRole = await Role.findOne({ workspace: foundUser.workspace, name: name.trim(), _id: { $ne: foundRole._id } }).collation({ locale: 'en', strength: 2 });
+            if (existingRole) return next(new CustomError('A role with this name already exists!', RouteCode.CONFLICT.statusCode));
+        }
+
+        const previousRole = roleSnapshot(foundRole);
+        if (name !== undefined) foundRole.name = name.trim();
+        if (description !== undefined) foundRole.description = description.trim();
+        if (permissions !== undefined) foundRole.permissions = [...new Set(permissions)];
+        await foundRole.save();
+        const { before, after } = changedValues(previousRole, roleSnapshot(foundRole));
+        if (Object.keys(after).length) recordAudit({ req, actor: foundUser, action: 'role.updated', target: auditTarget.role(foundRole), before, after });
+
+        const memberCount = await User.countDocuments({ workspace: foundUser.workspace, userRole: { $ne: 'Admin' }, role: foundRole._id });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Role updated successfully!', role: formatRole(foundRole, memberCount) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteRole = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundRole = await findRole(req, foundUser, next);
+        if (!foundRole) return;
+
+        const memberCount = await User.countDocuments({ workspace: foundUser.workspace, role: foundRole._id });
+        if (memberCount) return next(new CustomError(`${memberCount} member(s) still have this role, give them another role first!`, RouteCode.CONFLICT.statusCode));
+
+        await foundRole.deleteOne();
+        recordAudit({ req, actor: foundUser, action: 'role.deleted', target: auditTarget.role(foundRole), before: roleSnapshot(foundRole) });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Role deleted successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// `role` is `Admin`, `Member` or the ID of a custom role
+const putMemberRole = async (req, res, next) => {
+    const { memberID } = req.params;
+    const { role } = req.body;
+    if (!mongoose.isValidObjectId(memberID)) return next(new CustomError("Invalid member ID!", RouteCode.BAD_REQUEST.statusCode));
+    if (!BUILT_IN_ROLES.includes(role) && !mongoose.isValidObjectId(role)) return next(new CustomError("Invalid role!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundMember = await User.findOne({ _id: memberID, workspace: foundUser.workspace });
+        if (!foundMember) return next(new CustomError("Member not found!", RouteCode.NOT_FOUND.statusCode));
+        if (foundMember._id.equals(foundUser._id)) return next(new CustomError("You can not change your own role!", RouteCode.BAD_REQUEST.statusCode));
+        if ((role === 'Admin' || foundMember.userRole === 'Admin') && foundUser.userRole !== 'Admin') return next(new CustomError("Only admin can make or unmake an admin!", RouteCode.UNAUTHORIZED.statusCode));
+
+        // The owner always stays admin of the workspace
+        const foundWorkspace = await Workspace.findById(foundUser.workspace);
+        if (foundWorkspace?.owner?.equals(foundMember._id) && role !== 'Admin') return next(new CustomError("The owner of the workspace stays admin!", RouteCode.CONFLICT.statusCode));
+
+        let foundRole = null;
+        if (!BUILT_IN_ROLES.includes(role)) {
+            foundRole = await Role.findOne({ _id: role, workspace: foundUser.workspace });
+            if (!foundRole) return next(new CustomError("Role not found!", RouteCode.NOT_FOUND.statusCode));
+            const missingPermission = ungrantedPermission(foundUser, foundRole.permissions);
+            if (missingPermission) return next(new CustomError(`You can not grant the ${missingPermission} permission!`, RouteCode.UNAUTHORIZED.statusCode));
+        }
+
+        const previousRole = { userRole: foundMember.userRole, role: foundMember.role };
+        foundMember.userRole = role === 'Admin' ? 'Admin' : 'Member';
+        foundMember.role = foundRole?._id ?? null;
+        await foundMember.save();
+        const { before, after } = changedValues(previousRole, { userRole: foundMember.userRole, role: foundMember.role });
+        if (Object.keys(after).length) recordAudit({ req, actor: foundUser, action: 'member.role_changed', target: auditTarget.user(foundMember), before, after });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            message: 'Role updated successfully!',
+            userRole: foundMember.userRole,
+            role: foundRole ? { id: foundRole._id, name: foundRole.name } : null,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getRoles, postRole, putRole, deleteRole, putMemberRole,
+}
@@ -0,0 +1,101 @@
+/*
+|---------------------------------------------------------------------------
+| Login Session Controllers
+|---------------------------------------------------------------------------
+|
+| Every device the user logged in from has its own session (see `util/session.js`).
+|
+| - `getSessions`: Lists the active sessions of the logged in user (device, IP, last seen),
+|   the session of the current device is flagged with `isCurrent`.
+| - `deleteSession`: Revokes one session, revoking the current one logs this device out.
+| - `deleteSessions`: Revokes every other session (`includeCurrent=true` to log this device out too).
+| - `postMemberLogout`: Logs a member of the workspace out of every device (`members.manage`).
+|
+| Revoked devices are logged out (440) on their next request.
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import Session from "../modal/session-modal.js";
+import User from "../modal/user-modal.js";
+import { auditTarget, recordAudit } from "../util/audit.js";
+import RouteCode from "../util/httpStatus.js";
+import { closeChannel, userChannel } from "../util/realtime.js";
+import getReqUser from '../util/reqUser.js';
+import { clearAuthCookies, formatSession, revokeSessions } from "../util/session.js";
+
+const getSessions = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundSessions = await Session.find({ user: foundUser._id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+        return res.status(RouteCode.SUCCESS.statusCode).json({ sessionList: foundSessions.map(session => formatSession(session, req.user.sid)) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteSession = async (req, res, next) => {
+    const { sessionID } = req.params;
+    if (!mongoose.isValidObjectId(sessionID)) return next(new CustomError("Invalid session ID!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const revokedCount = await revokeSessions({ _id: sessionID, user: foundUser._id }, 'Revoked');
+        if (!revokedCount) return next(new CustomError("Session not found!", RouteCode.NOT_FOUND.statusCode));
+
+        if (sessionID === req.user.sid?.toString()) clearAuthCookies(res);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Session revoked successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteSessions = async (req, res, next) => {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const query = { user: foundUser._id };
+        if (!includeCurrent) query._id = { $ne: req.user.sid };
+        const revokedCount = await revokeSessions(query, 'Revoked');
+
+        if (includeCurrent) clearAuthCookies(res);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Sessions revoked successfully!', revokedCount });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postMemberLogout = async (req, res, next) => {
+    const { memberID } = req.params;
+    if (!mongoose.isValidObjectId(memberID)) return next(new CustomError("Invalid member ID!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundMember = await User.findOne({ _id: memberID, workspace: foundUser.workspace });
+        if (!foundMember) return next(new CustomError("Member not found!", RouteCode.NOT_FOUND.statusCode));
+        if (foundMember._id.equals(foundUser._id)) return next(new CustomError("Use the session list to log yourself out!", RouteCode.BAD_REQUEST.statusCode));
+        if (foundMember.userRole === 'Admin' && foundUser.userRole !== 'Admin') return next(new CustomError("Only admin can log an admin out!", RouteCode.UNAUTHORIZED.statusCode));
+
+        const revokedCount = await revokeSessions({ user: foundMember._id }, 'ForcedLogout');
+        // Open dashboard streams would stay connected until the next request
+        closeChannel(userChannel(foundMember._id));
+        recordAudit({ req, actor: foundUser, action: 'member.logged_out', target: auditTarget.user(foundMember), after: { revokedCount } });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Member logged out of every device!', revokedCount });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getSessions, deleteSession, deleteSessions, postMemberLogout,
+}
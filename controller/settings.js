@@ -5,9 +5,19 @@
 |
 | This file handles chatbot settings, including:
 |
-| - `loadDefaultSettings`: Initializes and saves default chatbot settings.
-| - `getBotSettings`: Retrieves current chatbot settings from the database.
-| - `putChatBotSettings`: Updates chatbot settings with provided data.
+| - `loadDefaultSettings`: Initializes and saves default chatbot settings for a workspace.
+| - `getBotSettings`: Retrieves the chatbot settings of the requested workspace (widget key).
+| - `putChatBotSettings`: Updates the chatbot settings of the user's workspace (`settings.manage`).
+| - `getRoutingSettings`: Retrieves the lead routing strategy of the user's workspace.
+| - `putRoutingSettings`: Updates the lead routing strategy (`settings.manage`).
+| - `getBusinessHours`: Retrieves the business hours, holidays, offline widget texts and the current availability.
+| - `putBusinessHours`: Updates the business hours, holidays and offline widget texts (`settings.manage`),
+|   enabled business hours need at least one opening interval.
+| - `getCsatSettings` / `putCsatSettings`: Reads and updates the satisfaction survey (on or off and its
+|   texts) shown to the leads of resolved tickets, updating needs `settings.manage`.
+|
+| The widget settings (`getBotSettings`) include the availability of the team (`isOnline`, `nextOpenAt`)
+| the offline welcome message and form shown outside of business hours, and the satisfaction survey.
 |
 | The controllers interact with the `ChatbotSettings` model to fetch and 
 | save settings, ensuring that defaults are loaded if no settings exist. 
@@ -18,11 +28,18 @@
 
 import { CustomError } from "../middleware/errorMiddleware.js";
 import ChatbotSettings from "../modal/chat-bot-modal.js"
+import { auditTarget, changedValues, recordAudit } from "../util/audit.js";
+import { CSAT_TEXTS, formatCsatSettings } from "../util/csat.js";
 import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { DEFAULT_ROUTING_STRATEGY, ROUTING_STRATEGIES } from "../util/routing.js";
+import { reapplySlaPolicies } from "../util/sla.js";
+import { getAvailability, isValidTimezone } from "../util/businessHours.js";
 
-async function loadDefaultSettings() {
+async function loadDefaultSettings(workspaceID) {
     try {
         const defaultSettings = new ChatbotSettings({
+            workspace: workspaceID,
             headerColor: '#33475B',
             backgroundColor: '#EEEEEE',
             customizedMessages: ['How can i help you?', 'Ask me anything!'],
@@ -50,13 +67,14 @@ async function loadDefaultSettings() {
 
 const getBotSettings = async (req, res, next) => {
     try {
-        const data = await ChatbotSettings.find();
+        const data = await ChatbotSettings.find({ workspace: req.workspace._id });
         if (!data || data.length === 0) {
-            await loadDefaultSettings();
+            await loadDefaultSettings(req.workspace._id);
             return next(new CustomError('Something went wrong, Please retry!', RouteCode.EXPECTATION_FAILED.statusCode));
         }
 
         const { headerColor, backgroundColor, customizedMessages, formPlaceholder, welcomeMessage, missedChatTimer } = data[0];
+        const { isOnline, nextOpenAt } = getAvailability(data[0]);
         const foundSettings = {
             headerColor: headerColor,
             backgroundColor: backgroundColor,
@@ -72,7 +90,14 @@ const getBotSettings = async (req, res, next) => {
                 hour: missedChatTimer.hour,
                 minute: missedChatTimer.minute,
                 second: missedChatTimer.second,
-            }
+            },
+            availability: {
+                isOnline,
+                nextOpenAt,
+                timezone: data[0].businessHours?.timezone ?? 'UTC',
+            },
+            offline: formatOfflineSettings(data[0].offline),
+            csat: formatCsatSettings(data[0].csat),
         };
 
         return res.status(RouteCode.SUCCESS.statusCode).json(foundSettings);
@@ -81,13 +106,19 @@ const getBotSettings = async (req, res, next) => {
     }
 }
 
+const BOT_SETTINGS_KEYS = ['headerColor', 'backgroundColor', 'customizedMessages', 'formPlaceholder', 'welcomeMessage', 'missedChatTimer'];
+const botSettingsSnapshot = (settings) => Object.fromEntries(BOT_SETTINGS_KEYS.map(key => [key, settings?.[key]]));
+
 const putChatBotSettings = async (req, res, next) => {
     const { headerColor, backgroundColor, customizedMessages, formPlaceholder, welcomeMessage, missedChatTimer } = req.body;
     if (!headerColor || !backgroundColor || !customizedMessages || !formPlaceholder || !welcomeMessage || !missedChatTimer) return next(new CustomError('Please share all details', RouteCode.CONFLICT.statusCode));
 
     try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const previousSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
         const updatedSettings = await ChatbotSettings.findOneAndUpdate(
-            {}, // Find any one document
+            { workspace: foundUser.workspace },
             {
                 headerColor,
                 backgroundColor,
@@ -110,17 +141,213 @@ const putChatBotSettings = async (req, res, next) => {
 
         // If no document was found to update then create one
         if (!updatedSettings) {
-            await loadDefaultSettings();
+            await loadDefaultSettings(foundUser.workspace);
             return next(new CustomError('Something went wrong, Please retry!', RouteCode.EXPECTATION_FAILED.statusCode));
         }
 
+        // The missed chat timer is the first response target of the tickets without SLA policy
+        const timerKey = (timer) => `${timer?.hour}:${timer?.minute}:${timer?.second}`;
+        if (timerKey(previousSettings?.missedChatTimer) !== timerKey(updatedSettings.missedChatTimer)) {
+            await reapplySlaPolicies(foundUser.workspace);
+        }
+        const { before, after } = changedValues(botSettingsSnapshot(previousSettings), botSettingsSnapshot(updatedSettings));
+        if (Object.keys(after).length) recordAudit({ req, actor: foundUser, action: 'settings.bot_updated', target: auditTarget.settings(updatedSettings), before, after });
+
         return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Chatbot Setting have updated succesfully!' });
     } catch (error) {
         next(error)
     }
 }
 
+const getRoutingSettings = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            strategy: foundSettings.routing?.strategy ?? DEFAULT_ROUTING_STRATEGY,
+            strategies: ROUTING_STRATEGIES,
+        });
+    } catch (error) {
+        next(error)
+    }
+}
+
+const putRoutingSettings = async (req, res, next) => {
+    const { strategy } = req.body;
+    if (!ROUTING_STRATEGIES.includes(strategy)) return next(new CustomError('Invalid routing strategy!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const previousStrategy = foundSettings.routing.strategy;
+        foundSettings.routing.strategy = strategy;
+        await foundSettings.save();
+        if (previousStrategy !== strategy) {
+            recordAudit({ req, actor: foundUser, action: 'settings.routing_updated', target: auditTarget.settings(foundSettings), before: { strategy: previousStrategy }, after: { strategy } });
+        }
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Routing settings updated successfully!' });
+    } catch (error) {
+        next(error)
+    }
+}
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const OFFLINE_TEXTS = ['welcomeMessage', 'formTitle', 'thankYouMessage'];
+const OFFLINE_PLACEHOLDERS = ['name', 'email', 'phone', 'message', 'submitButton'];
+
+const formatOfflineSettings = (offline) => ({
+    ...Object.fromEntries(OFFLINE_TEXTS.map(key => [key, offline?.[key]])),
+    formPlaceholder: Object.fromEntries(OFFLINE_PLACEHOLDERS.map(key => [key, offline?.formPlaceholder?.[key]])),
+});
+
+const businessHoursSnapshot = (settings) => ({
+    businessHours: {
+        enabled: Boolean(settings.businessHours?.enabled),
+        timezone: settings.businessHours?.timezone ?? 'UTC',
+        schedule: settings.businessHours?.schedule?.map(({ day, open, close }) => ({ day, open, close })) ?? [],
+    },
+    holidays: settings.holidays.map(({ date, name, recurring }) => ({ date, name, recurring })),
+    offline: formatOfflineSettings(settings.offline),
+});
+
+// Returns an error message, or null when the details are valid
+function validateBusinessHours({ businessHours, holidays, offline }) {
+    if (businessHours !== undefined) {
+        const { timezone, schedule } = businessHours ?? {};
+        if (typeof businessHours !== 'object' || businessHours === null) return 'Invalid business hours!';
+        if (timezone !== undefined && !isValidTimezone(timezone)) return 'Invalid timezone!';
+        if (schedule !== undefined) {
+            if (!Array.isArray(schedule)) return 'Schedule must be a list!';
+            const invalidEntry = schedule.find(entry => !Number.isInteger(entry?.day) || entry.day < 0 || entry.day > 6
+                || !TIME_FORMAT.test(entry.open ?? '') || !TIME_FORMAT.test(entry.close ?? '') || entry.close <= entry.open);
+            if (invalidEntry) return 'Schedule entries need a day (0-6) and an opening time before the closing time (HH:mm)!';
+        }
+    }
+    if (holidays !== undefined) {
+        if (!Array.isArray(holidays)) return 'Holidays must be a list!';
+        const invalidHoliday = holidays.find(holiday => !DATE_FORMAT.test(holiday?.date ?? '') || Number.isNaN(new Date(holiday.date).getTime()));
+        if (invalidHoliday) return 'Holidays need a date (YYYY-MM-DD)!';
+    }
+    if (offline !== undefined && (typeof offline !== 'object' || offline === null)) return 'Invalid offline settings!';
+    return null;
+}
+
+const getBusinessHours = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const { enabled, timezone, schedule } = foundSettings.businessHours ?? {};
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            businessHours: {
+                enabled: Boolean(enabled),
+                timezone: timezone ?? 'UTC',
+                schedule: schedule?.map(({ day, open, close }) => ({ day, open, close })) ?? [],
+            },
+            holidays: foundSettings.holidays.map(({ date, name, recurring }) => ({ date, name, recurring })),
+            offline: formatOfflineSettings(foundSettings.offline),
+            availability: getAvailability(foundSettings),
+        });
+    } catch (error) {
+        next(error)
+    }
+}
+
+const putBusinessHours = async (req, res, next) => {
+    const { businessHours, holidays, offline } = req.body;
+    const validationError = validateBusinessHours(req.body);
+    if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const previousSettings = businessHoursSnapshot(foundSettings);
+        if (businessHours?.enabled !== undefined) foundSettings.businessHours.enabled = Boolean(businessHours.enabled);
+        if (businessHours?.timezone !== undefined) foundSettings.businessHours.timezone = businessHours.timezone;
+        if (businessHours?.schedule !== undefined) foundSettings.businessHours.schedule = businessHours.schedule.map(({ day, open, close }) => ({ day, open, close }));
+        // The team would never be available
+        if (foundSettings.businessHours.enabled && foundSettings.businessHours.schedule.length === 0) {
+            return next(new CustomError('Business hours need at least one opening interval in the schedule!', RouteCode.BAD_REQUEST.statusCode));
+        }
+        if (holidays !== undefined) foundSettings.holidays = holidays.map(({ date, name = '', recurring = false }) => ({ date, name, recurring: Boolean(recurring) }));
+        if (offline !== undefined) {
+            OFFLINE_TEXTS.forEach(key => {
+                if (typeof offline[key] === 'string') foundSettings.offline[key] = offline[key];
+            });
+            OFFLINE_PLACEHOLDERS.forEach(key => {
+                if (typeof offline.formPlaceholder?.[key] === 'string') foundSettings.offline.formPlaceholder[key] = offline.formPlaceholder[key];
+            });
+        }
+
+        await foundSettings.save();
+        // SLA due times only count working time
+        if (businessHours !== undefined || holidays !== undefined) await reapplySlaPolicies(foundUser.workspace);
+        const { before, after } = changedValues(previousSettings, businessHoursSnapshot(foundSettings));
+        if (Object.keys(after).length) recordAudit({ req, actor: foundUser, action: 'settings.business_hours_updated', target: auditTarget.settings(foundSettings), before, after });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Business hours updated successfully!' });
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getCsatSettings = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json(formatCsatSettings(foundSettings.csat));
+    } catch (error) {
+        next(error)
+    }
+}
+
+const putCsatSettings = async (req, res, next) => {
+    const { enabled } = req.body;
+    if (enabled === undefined && CSAT_TEXTS.every(key => req.body[key] === undefined)) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    const invalidText = CSAT_TEXTS.find(key => req.body[key] !== undefined && (typeof req.body[key] !== 'string' || !req.body[key].trim()));
+    if (invalidText) return next(new CustomError(`Invalid ${invalidText}!`, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundSettings = await ChatbotSettings.findOne({ workspace: foundUser.workspace });
+        if (!foundSettings) return next(new CustomError('Chatbot settings not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const previousSettings = formatCsatSettings(foundSettings.csat);
+        if (enabled !== undefined) foundSettings.csat.enabled = Boolean(enabled);
+        CSAT_TEXTS.forEach(key => {
+            if (req.body[key] !== undefined) foundSettings.csat[key] = req.body[key].trim();
+        });
+        await foundSettings.save();
+
+        const { before, after } = changedValues(previousSettings, formatCsatSettings(foundSettings.csat));
+        if (Object.keys(after).length) recordAudit({ req, actor: foundUser, action: 'settings.csat_updated', target: auditTarget.settings(foundSettings), before, after });
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Satisfaction survey updated successfully!', csat: formatCsatSettings(foundSettings.csat) });
+    } catch (error) {
+        next(error)
+    }
+}
+
 
 export default {
-    loadDefaultSettings, getBotSettings, putChatBotSettings
+    loadDefaultSettings, getBotSettings, putChatBotSettings, getRoutingSettings, putRoutingSettings,
+    getBusinessHours, putBusinessHours, getCsatSettings, putCsatSettings,
 }
\ No newline at end of file
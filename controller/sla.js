@@ -0,0 +1,158 @@
+/*
+|---------------------------------------------------------------------------
+| SLA Policy Controllers
+|---------------------------------------------------------------------------
+|
+| - `getSlaPolicies`: Lists the SLA policies of the workspace.
+| - `postSlaPolicy`: Creates a policy (`settings.manage`).
+| - `putSlaPolicy`: Updates a policy (`settings.manage`).
+| - `deleteSlaPolicy`: Deletes a policy (`settings.manage`).
+|
+| A policy has first response, next response and resolution targets in minutes (0 = no target),
+| the priorities it covers and the percentage of a target after which a ticket is at risk.
+| A priority belongs to one policy at most, the default policy covers the others.
+| Changing the policies recomputes the SLA due times of the unresolved tickets.
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import { LEAD_PRIORITIES } from "../modal/lead-modal.js";
+import SlaPolicy from "../modal/sla-policy-modal.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { reapplySlaPolicies, SLA_TARGETS } from "../util/sla.js";
+
+const formatPolicy = (policy) => ({
+    policyID: policy._id,
+    name: policy.name,
+    priorities: policy.priorities,
+    isDefault: policy.isDefault,
+    targets: policy.targets,
+    atRiskPercent: policy.atRiskPercent,
+    updatedAt: policy.updatedAt,
+});
+
+// Returns an error message, or null when the details are valid
+function validatePolicy({ name, priorities, targets, atRiskPercent }, isNew) {
+    if (isNew && (!name || !String(name).trim())) return 'Please share all details';
+    if (name !== undefined && !String(name).trim()) return 'Name is required!';
+    if (priorities !== undefined && (!Array.isArray(priorities) || priorities.some(priority => !LEAD_PRIORITIES.includes(priority)))) {
+        return `Priorities must be some of: ${LEAD_PRIORITIES.join(', ')}`;
+    }
+    if (targets !== undefined) {
+        if (typeof targets !== 'object' || targets === null) return 'Invalid targets!';
+        const invalidTarget = SLA_TARGETS.find(target => targets[target] !== undefined && (!Number.isFinite(Number(targets[target])) || Number(targets[target]) < 0));
+        if (invalidTarget) return `Invalid ${invalidTarget} target!`;
+    }
+    if (atRiskPercent !== undefined && !(Number(atRiskPercent) >= 1 && Number(atRiskPercent) <= 99)) return 'At risk percentage must be between 1 and 99!';
+    return null;
+}
+
+// A priority can only be covered by one policy
+async function findPriorityConflict(workspaceID, priorities, excludeID = null) {
+    if (!priorities?.length) return null;
+    const query = { workspace: workspaceID, priorities: { $in: priorities } };
+    if (excludeID) query._id = { $ne: excludeID };
+    return SlaPolicy.findOne(query);
+}
+
+function applyPolicyDetails(policy, { name, priorities, isDefault, targets, atRiskPercent }) {
+    if (name !== undefined) policy.name = String(name).trim();
+    if (priorities !== undefined) policy.priorities = [...new Set(priorities)];
+    if (isDefault !== undefined) policy.isDefault = Boolean(isDefault);
+    if (atRiskPercent !== undefined) policy.atRiskPercent = Number(atRiskPercent);
+    if (targets !== undefined) {
+        SLA_TARGETS.forEach(target => {
+            if (targets[target] !== undefined) policy.targets[target] = Number(targets[target]);
+        });
+    }
+}
+
+const getSlaPolicies = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundPolicies = await SlaPolicy.find({ workspace: foundUser.workspace }).sort({ isDefault: -1, createdAt: 1 });
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            priorityList: LEAD_PRIORITIES,
+            policyList: foundPolicies.map(formatPolicy),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postSlaPolicy = async (req, res, next) => {
+    const validationError = validatePolicy(req.body, true);
+    if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const conflictingPolicy = await findPriorityConflict(foundUser.workspace, req.body.priorities);
+        if (conflictingPolicy) return next(new CustomError(`Priority already covered by ${conflictingPolicy.name}!`, RouteCode.CONFLICT.statusCode));
+
+        const newPolicy = new SlaPolicy({ workspace: foundUser.workspace });
+        applyPolicyDetails(newPolicy, req.body);
+
+        // Only one default policy
+        if (newPolicy.isDefault) await SlaPolicy.updateMany({ workspace: foundUser.workspace }, { $set: { isDefault: false } });
+        await newPolicy.save();
+        await reapplySlaPolicies(foundUser.workspace);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'SLA policy created successfully!', policy: formatPolicy(newPolicy) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putSlaPolicy = async (req, res, next) => {
+    const { policyID } = req.params;
+    const validationError = validatePolicy(req.body, false);
+    if (!policyID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+    if (validationError) return next(new CustomError(validationError, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundPolicy = await SlaPolicy.findOne({ _id: policyID, workspace: foundUser.workspace });
+        if (!foundPolicy) return next(new CustomError('SLA policy not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const conflictingPolicy = await findPriorityConflict(foundUser.workspace, req.body.priorities, foundPolicy._id);
+        if (conflictingPolicy) return next(new CustomError(`Priority already covered by ${conflictingPolicy.name}!`, RouteCode.CONFLICT.statusCode));
+
+        applyPolicyDetails(foundPolicy, req.body);
+        if (foundPolicy.isDefault) await SlaPolicy.updateMany({ workspace: foundUser.workspace, _id: { $ne: foundPolicy._id } }, { $set: { isDefault: false } });
+        await foundPolicy.save();
+        await reapplySlaPolicies(foundUser.workspace);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'SLA policy updated successfully!', policy: formatPolicy(foundPolicy) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteSlaPolicy = async (req, res, next) => {
+    const { policyID } = req.params;
+    if (!policyID) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundPolicy = await SlaPolicy.findOne({ _id: policyID, workspace: foundUser.workspace });
+        if (!foundPolicy) return next(new CustomError('SLA policy not found!', RouteCode.NOT_FOUND.statusCode));
+
+        await foundPolicy.deleteOne();
+        await reapplySlaPolicies(foundUser.workspace);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'SLA policy deleted successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getSlaPolicies, postSlaPolicy, putSlaPolicy, deleteSlaPolicy,
+};
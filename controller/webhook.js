@@ -0,0 +1,220 @@
+/*
+|---------------------------------------------------------------------------
+| Webhook Controllers (`settings.manage`)
+|---------------------------------------------------------------------------
+|
+| - `getWebhooks`: Lists the webhook endpoints of the workspace and the events they can receive.
+| - `postWebhook`: Registers an endpoint (URL, events, description) and returns its signing secret.
+| - `putWebhook`: Updates the URL, events, description or active flag of an endpoint.
+| - `deleteWebhook`: Removes an endpoint and its delivery history.
+| - `putWebhookSecret`: Issues a new signing secret, the previous one stops being used.
+| - `getWebhookDeliveries`: Paginated delivery history of an endpoint (filterable by status).
+| - `postDeliveryReplay`: Sends a past delivery again.
+|
+| The secret is only returned when it is created or rotated. URLs must be HTTP(S) and resolve
+| to public addresses (`isPublicWebhookURL`).
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import WebhookDelivery from "../modal/webhook-delivery-modal.js";
+import Webhook from "../modal/webhook-modal.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+import { generateWebhookSecret, isPublicWebhookURL, replayDelivery, WEBHOOK_EVENTS } from "../util/webhook.js";
+
+const formatWebhook = (webhook) => ({
+    id: webhook._id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    isActive: webhook.isActive,
+    createdAt: webhook.createdAt,
+});
+
+const formatDelivery = (delivery) => ({
+    id: delivery._id,
+    event: delivery.event,
+    eventID: delivery.eventID,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'Pending' ? delivery.nextAttemptAt : null,
+    responseStatus: delivery.responseStatus,
+    responseBody: delivery.responseBody,
+    error: delivery.error,
+    deliveredAt: delivery.deliveredAt,
+    replayOf: delivery.replayOf,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt,
+});
+
+const PRIVATE_URL_ERROR = 'Please share a valid HTTP(S) URL of a public host!';
+
+const isValidEventList = (events) => Array.isArray(events) && events.length > 0 && events.every(event => WEBHOOK_EVENTS.includes(event));
+
+async function findWebhook(req, foundUser, next) {
+    const { webhookID } = req.params;
+    if (!mongoose.isValidObjectId(webhookID)) {
+        next(new CustomError('Invalid webhook ID!', RouteCode.BAD_REQUEST.statusCode));
+        return null;
+    }
+
+    const foundWebhook = await Webhook.findOne({ _id: webhookID, workspace: foundUser.workspace });
+    if (!foundWebhook) next(new CustomError('Webhook not found!', RouteCode.NOT_FOUND.statusCode));
+    return foundWebhook;
+}
+
+const getWebhooks = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundWebhooks = await Webhook.find({ workspace: foundUser.workspace }).sort({ createdAt: -1 });
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            events: WEBHOOK_EVENTS,
+            webhookList: foundWebhooks.map(formatWebhook),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postWebhook = async (req, res, next) => {
+    const { url, events, description = '' } = req.body;
+    if (!url || typeof url !== 'string') return next(new CustomError('Please share a valid URL!', RouteCode.BAD_REQUEST.statusCode));
+    if (!isValidEventList(events)) return next(new CustomError(`Events must be some of: ${WEBHOOK_EVENTS.join(', ')}`, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        if (!(await isPublicWebhookURL(url))) return next(new CustomError(PRIVATE_URL_ERROR, RouteCode.BAD_REQUEST.statusCode));
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const newWebhook = new Webhook({
+            workspace: foundUser.workspace,
+            url,
+            description,
+            events: [...new Set(events)],
+            secret: generateWebhookSecret(),
+            createdBy: foundUser._id,
+        });
+        await newWebhook.save();
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            message: 'Webhook created successfully!',
+            webhook: { ...formatWebhook(newWebhook), secret: newWebhook.secret },
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putWebhook = async (req, res, next) => {
+    const { url, events, description, isActive } = req.body;
+    if (url !== undefined && (!url || typeof url !== 'string')) return next(new CustomError('Please share a valid URL!', RouteCode.BAD_REQUEST.statusCode));
+    if (events !== undefined && !isValidEventList(events)) return next(new CustomError(`Events must be some of: ${WEBHOOK_EVENTS.join(', ')}`, RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        if (url !== undefined && !(await isPublicWebhookURL(url))) return next(new CustomError(PRIVATE_URL_ERROR, RouteCode.BAD_REQUEST.statusCode));
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWebhook = await findWebhook(req, foundUser, next);
+        if (!foundWebhook) return;
+
+        if (url !== undefined) foundWebhook.url = url;
+        if (events !== undefined) foundWebhook.events = [...new Set(events)];
+        if (description !== undefined) foundWebhook.description = description;
+        if (isActive !== undefined) foundWebhook.isActive = Boolean(isActive);
+
+        await foundWebhook.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Webhook updated successfully!', webhook: formatWebhook(foundWebhook) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const deleteWebhook = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWebhook = await findWebhook(req, foundUser, next);
+        if (!foundWebhook) return;
+
+        await foundWebhook.deleteOne();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Webhook deleted successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putWebhookSecret = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWebhook = await findWebhook(req, foundUser, next);
+        if (!foundWebhook) return;
+
+        foundWebhook.secret = generateWebhookSecret();
+        await foundWebhook.save();
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Webhook secret updated successfully!', secret: foundWebhook.secret });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const getWebhookDeliveries = async (req, res, next) => {
+    let { page = 1, limit = 20, status } = req.query;
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWebhook = await findWebhook(req, foundUser, next);
+        if (!foundWebhook) return;
+
+        const query = { webhook: foundWebhook._id };
+        if (['Pending', 'Success', 'Failed'].includes(status)) query.status = status;
+
+        const totalDeliveries = await WebhookDelivery.countDocuments(query);
+        const foundDeliveries = await WebhookDelivery.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        return res.status(RouteCode.SUCCESS.statusCode).json({
+            totalDeliveries,
+            totalPages: Math.ceil(totalDeliveries / limit),
+            currentPage: page,
+            limit,
+            deliveryList: foundDeliveries.map(formatDelivery),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const postDeliveryReplay = async (req, res, next) => {
+    const { deliveryID } = req.params;
+    if (!mongoose.isValidObjectId(deliveryID)) return next(new CustomError('Invalid delivery ID!', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWebhook = await findWebhook(req, foundUser, next);
+        if (!foundWebhook) return;
+        if (!foundWebhook.isActive) return next(new CustomError('Enable the webhook before replaying deliveries!', RouteCode.CONFLICT.statusCode));
+
+        const foundDelivery = await WebhookDelivery.findOne({ _id: deliveryID, webhook: foundWebhook._id });
+        if (!foundDelivery) return next(new CustomError('Delivery not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const replay = await replayDelivery(foundDelivery);
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Delivery queued for replay!', delivery: formatDelivery(replay) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getWebhooks, postWebhook, putWebhook, deleteWebhook,
+    putWebhookSecret, getWebhookDeliveries, postDeliveryReplay,
+};
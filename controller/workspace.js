@@ -0,0 +1,82 @@
+/*
+|---------------------------------------------------------------------------
+| Workspace Controllers
+|---------------------------------------------------------------------------
+|
+| - `getWorkspace`: Returns the workspace of the logged in user, including the
+|   widget key the chat widget uses to identify it.
+| - `putWorkspace`: Renames the workspace (`settings.manage`).
+| - `putWidgetKey`: Issues a new widget key, the previous one stops working (`settings.manage`).
+*/
+
+import { v4 as uuidv4 } from 'uuid';
+import { CustomError } from "../middleware/errorMiddleware.js";
+import Workspace from "../modal/workspace-modal.js";
+import { auditTarget, recordAudit } from "../util/audit.js";
+import RouteCode from "../util/httpStatus.js";
+import getReqUser from '../util/reqUser.js';
+
+const formatWorkspace = (workspace) => ({
+    id: workspace._id,
+    name: workspace.name,
+    widgetKey: workspace.widgetKey,
+    createdAt: workspace.createdAt,
+});
+
+const getWorkspace = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+        const foundWorkspace = await Workspace.findById(foundUser.workspace);
+        if (!foundWorkspace) return next(new CustomError('Workspace not found!', RouteCode.NOT_FOUND.statusCode));
+
+        return res.status(RouteCode.SUCCESS.statusCode).json(formatWorkspace(foundWorkspace));
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putWorkspace = async (req, res, next) => {
+    const { name } = req.body;
+    if (!name || !name.trim()) return next(new CustomError('Please share all details', RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundWorkspace = await Workspace.findById(foundUser.workspace);
+        if (!foundWorkspace) return next(new CustomError('Workspace not found!', RouteCode.NOT_FOUND.statusCode));
+
+        const previousName = foundWorkspace.name;
+        foundWorkspace.name = name.trim();
+        await foundWorkspace.save();
+        if (previousName !== foundWorkspace.name) {
+            recordAudit({ req, actor: foundUser, action: 'workspace.updated', target: auditTarget.workspace(foundWorkspace), before: { name: previousName }, after: { name: foundWorkspace.name } });
+        }
+        return res.status(RouteCode.SUCCESS.statusCode).json({ message: 'Workspace updated successfully!' });
+    } catch (error) {
+        next(error);
+    }
+}
+
+const putWidgetKey = async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const foundWorkspace = await Workspace.findById(foundUser.workspace);
+        if (!foundWorkspace) return next(new CustomError('Workspace not found!', RouteCode.NOT_FOUND.statusCode));
+
+        foundWorkspace.widgetKey = uuidv4();
+        await foundWorkspace.save();
+        // The keys are not logged, the old one stops working anyway
+        recordAudit({ req, actor: foundUser, action: 'workspace.widget_key_rotated', target: auditTarget.workspace(foundWorkspace) });
+        return res.status(RouteCode.SUCCESS.statusCode).json(formatWorkspace(foundWorkspace));
+    } catch (error) {
+        next(error);
+    }
+}
+
+export default {
+    getWorkspace, putWorkspace, putWidgetKey,
+}
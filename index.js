@@ -19,10 +19,13 @@ import mongoSanitize from 'express-mongo-sanitize';
 
 
 configDotenv();
-const { PORT, FRONTEND_PORT, RENDER_FRONTED_PORT, REMOTE_FRONTEND_PORT, DEV_FRONTEND_PORT } = process.env;
+const { PORT, FRONTEND_PORT, RENDER_FRONTED_PORT, REMOTE_FRONTEND_PORT, DEV_FRONTEND_PORT, TRUST_PROXY } = process.env;
 const SERVER_PORT = PORT || 3000;
 const app = express();
 
+// Behind a proxy (e.g. Render) the client IP used by the rate limits comes from X-Forwarded-For
+if (TRUST_PROXY) app.set('trust proxy', Number.isNaN(Number(TRUST_PROXY)) ? TRUST_PROXY : Number(TRUST_PROXY));
+
 // Connect to DB first before setting up the server
 await connectDB();
 
@@ -4,10 +4,13 @@
 |--------------------------------------------------------------------------
 |
 | This file establishes the connection to MongoDB using Mongoose and loads default 
-| chatbot settings if none exist in the database.
+| chatbot settings for every workspace that has none.
 |
 | - The `connectDB` function connects to MongoDB using the URI from the `.env` file.
-| - If no chatbot settings are found, it triggers the creation of default settings
+| - Data created before workspaces existed is moved into a default workspace.
+| - The background jobs are registered and, unless `SCHEDULER_ENABLED=false` (e.g. instances
+|   that only serve requests), the scheduler starts (see `util/scheduler.js`).
+| - If a workspace has no chatbot settings, it triggers the creation of default settings
 |   via the `settingsController.loadDefaultSettings` method.
 | - Upon successful connection and settings load, a success message is logged, 
 |   and an event `connected` is emitted.
@@ -20,24 +23,26 @@
 
 import { configDotenv } from 'dotenv';
 import mongoose from 'mongoose';
-import settingsController from '../controller/settings.js';
-import ChatbotSettings from '../modal/chat-bot-modal.js';
+import { registerJobs } from '../util/jobs.js';
+import { startScheduler } from '../util/scheduler.js';
+import { ensureWorkspaceSettings, migrateLegacyData } from '../util/workspace.js';
 
 configDotenv();
-const { MONGO_URI } = process.env;
+const { MONGO_URI, SCHEDULER_ENABLED = 'true' } = process.env;
 
 // Connect to MongoDB
 const connectDB = async () => {
     try {
         await mongoose.connect(MONGO_URI);
 
-        const settingsCount = await ChatbotSettings.countDocuments();
-        // If the Settings Count is zero, create default settings
-        if (settingsCount === 0) {
-            const response = await settingsController.loadDefaultSettings();
-            if (!response) return;
-            console.log('Default Settings created successfully');
-        }
+        const defaultWorkspace = await migrateLegacyData();
+        if (defaultWorkspace) console.log(`Legacy data moved to workspace ${defaultWorkspace._id}`);
+
+        // Create default settings for the workspaces without any
+        await ensureWorkspaceSettings();
+
+        registerJobs();
+        if (SCHEDULER_ENABLED !== 'false') startScheduler();
         mongoose.connection.emit('connected');
     } catch (err) {
         console.error('MongoDB connection error:', err);
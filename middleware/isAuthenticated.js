@@ -7,10 +7,14 @@
 | protected routes. It checks for the presence of an `accessToken` or `refreshToken` in cookies, validates them, and attaches user info to
 | `req.user`. If no token is found or the token is invalid/expired, a 440  error is returned. (440 will automatically send a logout request (we've setup))
 
-| - Access tokens are short-lived for secure, frequent API access.
-| - Refresh tokens are used to obtain new access tokens without re-login.
+| - Access tokens are short-lived for secure, frequent API access, and only accepted while the
+|   login session they belong to is active (see `util/session.js`).
+| - Refresh tokens are used to obtain new access tokens without re-login, every refresh rotates
+|   the refresh token of the session.
 | - Tokens are stored in HttpOnly cookies for security, with the `path`
 |   attribute ensuring proper scope and minimizing exposure.
+| - Users who must change their password (old default password) get a 403 error everywhere
+|   except on the routes marked with `allowPasswordChange` (change password and logout).
 */
 
 
@@ -18,17 +22,25 @@ import { configDotenv } from "dotenv";
 import jwt from "jsonwebtoken";
 import User from "../modal/user-modal.js";
 import RouteCode from "../util/httpStatus.js";
-import { generateJWTToken } from "../util/jwtToken.js";
+import { clearAuthCookies, isSessionActive, refreshSession, setAccessCookie } from "../util/session.js";
 import { CustomError } from "./errorMiddleware.js";
 
 configDotenv();
-const { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, NODE_ENV } = process.env;
+const { ACCESS_TOKEN_SECRET } = process.env;
+
+const passwordChangeRequired = () => new CustomError("Please change your password to continue!", RouteCode.FORBIDDEN.statusCode);
+
+// Marks the routes a user who must change the password can still reach, placed before `isAuth`
+export const allowPasswordChange = (req, res, next) => {
+    req.allowPasswordChange = true;
+    next();
+};
 
 // IsAuth Middlware for checking if the user is authenticated
 const isAuth = (req, res, next) => {
     try {
         const accessToken = req.cookies.access_token;
-        if (!accessToken) next(new CustomError("Something went wrong, Login again!", RouteCode.LOGOUT_REQESTED.statusCode));
+        if (!accessToken) return next(new CustomError("Something went wrong, Login again!", RouteCode.LOGOUT_REQESTED.statusCode));
 
         // Verify Access Token
         jwt.verify(accessToken, ACCESS_TOKEN_SECRET, async (err, decoded) => {
@@ -38,6 +50,16 @@ const isAuth = (req, res, next) => {
             }
 
             if (!decoded || !decoded.id) return next(new CustomError("Something went wrong, Login again!", RouteCode.LOGOUT_REQESTED.statusCode))
+            try {
+                // Revoked sessions are logged out on their next request
+                if (!await isSessionActive(decoded.sid, decoded.id)) {
+                    clearAuthCookies(res);
+                    return next(new CustomError("Session expired, please log in again", RouteCode.LOGOUT_REQESTED.statusCode));
+                }
+            } catch (error) {
+                return next(error);
+            }
+            if (decoded.mustChangePassword && !req.allowPasswordChange) return next(passwordChangeRequired());
             req.user = decoded;
             return next();
         });
@@ -47,36 +69,22 @@ const isAuth = (req, res, next) => {
 // Handle Token Refresh
 const handleTokenRefresh = async (req, res, next) => {
     try {
-        // Get the refresh token from the cookies
-        const refreshToken = req.cookies.refresh_token;
-        if (!refreshToken) return next(new CustomError("Something went wrong, Login again!", 440));
-
-        // Find the user with the refresh token
-        const foundUser = await User.findOne({ refresh_token: refreshToken });
-        if (!foundUser) return next(new CustomError("Something went wrong, Login again!", 440));
+        // Rotate the refresh token of the session (missing, expired, revoked or reused tokens log out)
+        const foundSession = await refreshSession(req, res);
+        const foundUser = foundSession && await User.findById(foundSession.user);
+        if (!foundUser) {
+            clearAuthCookies(res);
+            return next(new CustomError("Session expired, please log in again", RouteCode.LOGOUT_REQESTED.statusCode));
+        }
 
-        // Verify the refresh token
-        jwt.verify(refreshToken, REFRESH_TOKEN_SECRET, (err, decoded) => {
-            if (err) {
-                res.clearCookie("access_token");
-                res.clearCookie("refresh_token");
-                return next(new CustomError("Session expired, please log in again", 440));
-            }
-
-            // Generate new access token
-            const newAccessToken = generateJWTToken(foundUser, 'access', '1h');
-            res.cookie("access_token", newAccessToken, {
-                httpOnly: true, secure: NODE_ENV === "production",
-                sameSite: "Lax",
-                path: "/"
-            });
+        // Generate new access token
+        setAccessCookie(res, foundUser, foundSession._id);
 
-            req.user = decoded;
-            next();
-        });
+        if (foundUser.mustChangePassword && !req.allowPasswordChange) return next(passwordChangeRequired());
+        req.user = { id: foundUser._id.toString(), sid: foundSession._id.toString() };
+        next();
     } catch (error) {
-        res.clearCookie("access_token");
-        res.clearCookie("refresh_token");
+        clearAuthCookies(res);
         next(error);
     }
 };
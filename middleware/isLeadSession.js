@@ -0,0 +1,61 @@
+/*
+|--------------------------------------------------------------------------
+| Lead Session Middleware
+|--------------------------------------------------------------------------
+|
+| Protects the public (widget) lead routes. `postNewLead` issues a signed session
+| token to the widget, which shares it on every request through the
+| `Authorization: Bearer <token>` header, the `x-lead-token` header or the `token`
+| query parameter (EventSource connections and download links cannot set headers).
+|
+| - The token must be valid, not expired and issued for a lead of the resolved workspace.
+| - Tokens issued before the agents revoked the session (`sessionVersion`) are refused.
+| - A `leadID` shared in the params or body must be the lead of the token. Multipart bodies are
+|   parsed after the session is checked, `matchLeadSession` checks their `leadID` once parsed.
+|
+| The lead is attached to `req.lead`. Failures return 401 (not 440, which logs agents out).
+*/
+
+import Lead from "../modal/lead-modal.js";
+import RouteCode from "../util/httpStatus.js";
+import { verifyLeadSessionToken } from "../util/jwtToken.js";
+import { CustomError } from "./errorMiddleware.js";
+
+export const getLeadSessionToken = (req) => {
+    const authorization = req.get('authorization');
+    if (authorization?.startsWith('Bearer ')) return authorization.slice(7).trim();
+    const token = req.get('x-lead-token') || req.query.token;
+    return typeof token === 'string' ? token : null;
+};
+
+const isLeadSession = async (req, res, next) => {
+    const token = getLeadSessionToken(req);
+    if (!token) return next(new CustomError("Lead session is missing!", RouteCode.UNAUTHORIZED.statusCode));
+
+    let decoded;
+    try {
+        decoded = verifyLeadSessionToken(token);
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError' ? "Lead session expired, please renew it!" : "Invalid lead session!";
+        return next(new CustomError(message, RouteCode.UNAUTHORIZED.statusCode));
+    }
+
+    try {
+        const foundLead = await Lead.findOne({ _id: decoded.id, workspace: req.workspace._id });
+        if (!foundLead) return next(new CustomError("Invalid lead session!", RouteCode.UNAUTHORIZED.statusCode));
+        if (foundLead.sessionVersion !== decoded.ver) return next(new CustomError("Lead session has been revoked!", RouteCode.UNAUTHORIZED.statusCode));
+
+        req.lead = foundLead;
+        matchLeadSession(req, res, next);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const matchLeadSession = (req, res, next) => {
+    const requestedLeadID = req.params.leadID || req.body?.leadID;
+    if (requestedLeadID && requestedLeadID.toString() !== req.lead._id.toString()) return next(new CustomError("Lead session does not match the lead!", RouteCode.FORBIDDEN.statusCode));
+    next();
+};
+
+export default isLeadSession;
@@ -0,0 +1,33 @@
+/*
+|--------------------------------------------------------------------------
+| Permission Middleware
+|--------------------------------------------------------------------------
+|
+| Route-level authorization, placed after `isAuth`:
+|
+|   router.route('/webhooks').get(isAuth, requirePermission('settings.manage'), ...)
+|
+| The request goes through when the logged in user holds every given permission
+| (see `util/permissions.js`), otherwise a 401 error names the missing permission.
+| The loaded user is kept on the request, `getReqUser` returns it to the controller.
+*/
+
+import RouteCode from "../util/httpStatus.js";
+import { can, PERMISSION_DESCRIPTIONS } from "../util/permissions.js";
+import getReqUser from "../util/reqUser.js";
+import { CustomError } from "./errorMiddleware.js";
+
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        const foundUser = await getReqUser(req, res, next);
+        if (!foundUser) return;
+
+        const missingPermission = permissions.find(permission => !can(foundUser, permission));
+        if (missingPermission) return next(new CustomError(`You do not have the permission to ${PERMISSION_DESCRIPTIONS[missingPermission]}!`, RouteCode.UNAUTHORIZED.statusCode));
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default requirePermission;
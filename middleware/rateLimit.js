@@ -0,0 +1,74 @@
+/*
+|--------------------------------------------------------------------------
+| Rate Limit Middleware
+|--------------------------------------------------------------------------
+|
+| `rateLimit` creates a middleware counting the requests of a key (client IP or
+| lead session) in a fixed window. Once the limit is reached a 429 error is returned
+| with the `Retry-After` header. Counters live in the configured store (see `util/rateLimit`).
+|
+| - `byIP`: Keys the requests by client IP (set `TRUST_PROXY` when behind a proxy).
+| - `byLeadSession`: Keys the requests by the lead of the session (after `isLeadSession`).
+| - `byEmail`: Keys the requests by the email of the body (password reset requests).
+|
+| The limits of the public lead routes are configured from the environment, see `.env.example`.
+*/
+
+import { configDotenv } from "dotenv";
+import RouteCode from "../util/httpStatus.js";
+import { getRateLimitStore } from "../util/rateLimit/index.js";
+import { CustomError } from "./errorMiddleware.js";
+
+configDotenv();
+const {
+    LEAD_CREATE_IP_LIMIT = 5, LEAD_CREATE_WINDOW_SECONDS = 600,
+    LEAD_MESSAGE_IP_LIMIT = 150, LEAD_MESSAGE_SESSION_LIMIT = 30, LEAD_MESSAGE_WINDOW_SECONDS = 60,
+    LEAD_FORM_IP_LIMIT = 25, LEAD_FORM_SESSION_LIMIT = 5, LEAD_FORM_WINDOW_SECONDS = 600,
+    PASSWORD_RESET_IP_LIMIT = 10, PASSWORD_RESET_EMAIL_LIMIT = 3, PASSWORD_RESET_WINDOW_SECONDS = 900,
+    INVITATION_IP_LIMIT = 20, INVITATION_WINDOW_SECONDS = 900,
+} = process.env;
+
+export const byIP = (req) => req.ip;
+export const byLeadSession = (req) => req.lead?._id?.toString() ?? req.ip;
+export const byEmail = (req) => String(req.body?.email ?? '').trim().toLowerCase() || req.ip;
+
+export const rateLimit = ({ name, max, windowSeconds, keyGenerator = byIP }) => {
+    const windowMs = Number(windowSeconds) * 1000;
+    const limit = Number(max);
+
+    return async (req, res, next) => {
+        try {
+            const key = `${name}:${keyGenerator(req)}`;
+            const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+            const retryAfter = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+            res.set({
+                'RateLimit-Limit': limit,
+                'RateLimit-Remaining': Math.max(0, limit - count),
+                'RateLimit-Reset': retryAfter,
+            });
+
+            if (count > limit) {
+                res.set('Retry-After', retryAfter);
+                return next(new CustomError("Too many requests, please try again later!", RouteCode.TOO_MANY_REQUESTS.statusCode));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Limits of the public lead routes, IP limits are higher as visitors can share an IP (NAT)
+export const leadCreateLimit = rateLimit({ name: 'lead-create-ip', max: LEAD_CREATE_IP_LIMIT, windowSeconds: LEAD_CREATE_WINDOW_SECONDS });
+export const leadMessageIPLimit = rateLimit({ name: 'lead-message-ip', max: LEAD_MESSAGE_IP_LIMIT, windowSeconds: LEAD_MESSAGE_WINDOW_SECONDS });
+export const leadMessageSessionLimit = rateLimit({ name: 'lead-message-session', max: LEAD_MESSAGE_SESSION_LIMIT, windowSeconds: LEAD_MESSAGE_WINDOW_SECONDS, keyGenerator: byLeadSession });
+export const leadFormIPLimit = rateLimit({ name: 'lead-form-ip', max: LEAD_FORM_IP_LIMIT, windowSeconds: LEAD_FORM_WINDOW_SECONDS });
+export const leadFormSessionLimit = rateLimit({ name: 'lead-form-session', max: LEAD_FORM_SESSION_LIMIT, windowSeconds: LEAD_FORM_WINDOW_SECONDS, keyGenerator: byLeadSession });
+
+// Password reset requests, the email limit keeps a mailbox from being flooded
+export const passwordResetIPLimit = rateLimit({ name: 'password-reset-ip', max: PASSWORD_RESET_IP_LIMIT, windowSeconds: PASSWORD_RESET_WINDOW_SECONDS });
+export const passwordResetEmailLimit = rateLimit({ name: 'password-reset-email', max: PASSWORD_RESET_EMAIL_LIMIT, windowSeconds: PASSWORD_RESET_WINDOW_SECONDS, keyGenerator: byEmail });
+
+// Public invitation routes (link check and acceptance)
+export const invitationIPLimit = rateLimit({ name: 'invitation-ip', max: INVITATION_IP_LIMIT, windowSeconds: INVITATION_WINDOW_SECONDS });
@@ -0,0 +1,83 @@
+/*
+|--------------------------------------------------------------------------
+| Attachment Upload Middleware
+|--------------------------------------------------------------------------
+|
+| Parses `multipart/form-data` requests with Multer and keeps the files in memory
+| until they are handed to the storage adapter. Other requests (JSON) pass through.
+|
+| - Files are read from the `attachments` field.
+| - `ATTACHMENT_MAX_SIZE_MB` (default 10) limits the size of each file and
+|   `ATTACHMENT_MAX_FILES` (default 5) the number of files per message.
+| - Only the MIME types in `ALLOWED_MIME_TYPES` are accepted. The declared type is not trusted:
+|   the file extension must belong to it and the content must start with its signature (magic
+|   bytes), text files must not contain binary data.
+*/
+
+import { configDotenv } from "dotenv";
+import multer from "multer";
+import path from "path";
+import { CustomError } from "./errorMiddleware.js";
+import RouteCode from "../util/httpStatus.js";
+
+configDotenv();
+const { ATTACHMENT_MAX_SIZE_MB = 10, ATTACHMENT_MAX_FILES = 5 } = process.env;
+
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];
+const OLE_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+// MIME type -> extensions and content signatures (offset, bytes), `text` has no signature
+const FILE_TYPES = {
+    'image/png': { extensions: ['.png'], signatures: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]] },
+    'image/jpeg': { extensions: ['.jpg', '.jpeg'], signatures: [[0, [0xFF, 0xD8, 0xFF]]] },
+    'image/gif': { extensions: ['.gif'], signatures: [[0, [0x47, 0x49, 0x46, 0x38]]] },
+    'image/webp': { extensions: ['.webp'], signatures: [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]] },
+    'application/pdf': { extensions: ['.pdf'], signatures: [[0, [0x25, 0x50, 0x44, 0x46, 0x2D]]] },
+    'text/plain': { extensions: ['.txt'], text: true },
+    'text/csv': { extensions: ['.csv'], text: true },
+    'application/msword': { extensions: ['.doc'], signatures: [[0, OLE_SIGNATURE]] },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], signatures: [[0, ZIP_SIGNATURE]] },
+    'application/vnd.ms-excel': { extensions: ['.xls'], signatures: [[0, OLE_SIGNATURE]] },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], signatures: [[0, ZIP_SIGNATURE]] },
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES);
+
+const matchesFileType = (file) => {
+    const fileType = FILE_TYPES[file.mimetype];
+    if (!fileType?.extensions.includes(path.extname(file.originalname).toLowerCase())) return false;
+    // Text files can be empty, a NUL byte means binary content
+    if (fileType.text) return !file.buffer.includes(0);
+    return fileType.signatures.every(([offset, bytes]) => bytes.every((byte, index) => file.buffer[offset + index] === byte));
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Number(ATTACHMENT_MAX_SIZE_MB) * 1024 * 1024,
+        files: Number(ATTACHMENT_MAX_FILES),
+    },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return callback(new CustomError(`File type ${file.mimetype} is not allowed!`, RouteCode.UNSUPPORTED_MEDIA_TYPE.statusCode));
+        }
+        callback(null, true);
+    },
+});
+
+const uploadAttachments = (req, res, next) => {
+    upload.array('attachments', Number(ATTACHMENT_MAX_FILES))(req, res, (err) => {
+        if (!err) {
+            const mismatchedFile = (req.files ?? []).find(file => !matchesFileType(file));
+            if (mismatchedFile) return next(new CustomError(`File ${mismatchedFile.originalname} does not match its type ${mismatchedFile.mimetype}!`, RouteCode.UNSUPPORTED_MEDIA_TYPE.statusCode));
+            return next();
+        }
+        if (err instanceof CustomError) return next(err);
+
+        if (err.code === 'LIMIT_FILE_SIZE') return next(new CustomError(`Files can not be larger than ${ATTACHMENT_MAX_SIZE_MB}MB!`, RouteCode.PAYLOAD_TOO_LARGE.statusCode));
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') return next(new CustomError(`You can share up to ${ATTACHMENT_MAX_FILES} files in the attachments field!`, RouteCode.BAD_REQUEST.statusCode));
+        next(err);
+    });
+};
+
+export default uploadAttachments;
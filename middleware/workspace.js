@@ -0,0 +1,31 @@
+/*
+|--------------------------------------------------------------------------
+| Workspace Resolution Middleware
+|--------------------------------------------------------------------------
+|
+| Public (widget) routes have no logged in user, so the workspace is identified
+| by its widget key, shared through the `x-workspace-key` header or the
+| `workspace` query parameter (EventSource connections cannot set headers).
+| The found workspace is attached to `req.workspace`.
+*/
+
+import { CustomError } from "./errorMiddleware.js";
+import Workspace from "../modal/workspace-modal.js";
+import RouteCode from "../util/httpStatus.js";
+
+const resolveWorkspace = async (req, res, next) => {
+    const widgetKey = req.get('x-workspace-key') || req.query.workspace;
+    if (!widgetKey || typeof widgetKey !== 'string') return next(new CustomError("Workspace key is missing!", RouteCode.BAD_REQUEST.statusCode));
+
+    try {
+        const foundWorkspace = await Workspace.findOne({ widgetKey });
+        if (!foundWorkspace) return next(new CustomError("Workspace not found!", RouteCode.NOT_FOUND.statusCode));
+
+        req.workspace = foundWorkspace;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default resolveWorkspace;
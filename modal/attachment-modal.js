@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Attachment Schema
+|---------------------------------------------------------------------------
+| Defines schema for files shared in a lead conversation: owning lead, uploader,
+| original file name, MIME type, size and the key of the file in the storage adapter.
+*/
+
+const attachmentSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    leadID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true,
+        index: true,
+    },
+    uploadedBy: {
+        type: String,
+        enum: ['Lead', 'Member'],
+        default: 'Lead',
+    },
+    uploader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    storage: { type: String, required: true },
+    storageKey: { type: String, required: true },
+}, { timestamps: true });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+export default Attachment;
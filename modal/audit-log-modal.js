@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Audit Log Schema
+|---------------------------------------------------------------------------
+| Defines schema for the audit log of a workspace: who did what (`action`, see
+| `AUDIT_ACTIONS`) to which target, the values before and after the change, and the IP
+| and user agent of the request. The name of the actor and a label of the target are
+| copied, entries stay readable once the member or the ticket is deleted.
+| Actions done by the server itself (e.g. routing) have no actor.
+|
+| The log is append-only: entries can be created, never updated or deleted.
+*/
+
+export const AUDIT_ACTIONS = [
+    'auth.login',
+    'auth.login_failed',
+    'member.invited',
+    'member.invitation_revoked',
+    'member.created',
+    'member.updated',
+    'member.deleted',
+    'member.role_changed',
+    'member.routing_changed',
+    'member.logged_out',
+    'role.created',
+    'role.updated',
+    'role.deleted',
+    'settings.bot_updated',
+    'settings.business_hours_updated',
+    'settings.routing_updated',
+    'settings.csat_updated',
+    'workspace.updated',
+    'workspace.widget_key_rotated',
+    'ticket.status_changed',
+    'ticket.assignee_changed',
+];
+
+export const AUDIT_TARGET_TYPES = ['User', 'Invitation', 'Role', 'ChatbotSettings', 'Workspace', 'Lead'];
+
+const auditLogSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    actorName: { type: String, default: 'System' },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true,
+    },
+    targetType: {
+        type: String,
+        enum: AUDIT_TARGET_TYPES,
+        required: true,
+    },
+    targetID: { type: mongoose.Schema.Types.ObjectId, default: null },
+    targetLabel: { type: String, default: null },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ workspace: 1, createdAt: -1 });
+auditLogSchema.index({ workspace: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ workspace: 1, actor: 1, createdAt: -1 });
+auditLogSchema.index({ workspace: 1, targetType: 1, targetID: 1, createdAt: -1 });
+
+// Append-only: existing entries are never saved again, updated or deleted
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Audit log entries can not be changed'));
+    next();
+});
+
+const rejectChange = function (next) {
+    next(new Error('Audit log entries can not be changed'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
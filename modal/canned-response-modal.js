@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Canned Response Schema
+|---------------------------------------------------------------------------
+| Defines schema for saved replies: title, shortcut, category and message template.
+| `Personal` replies belong to their owner, `Team` replies are shared with the whole workspace.
+| The message may contain template variables such as `{{lead.name}}` (see `util/template.js`).
+*/
+
+const cannedResponseSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    scope: {
+        type: String,
+        enum: ['Personal', 'Team'],
+        default: 'Personal',
+    },
+    title: { type: String, required: true, trim: true },
+    shortcut: { type: String, required: true, trim: true, lowercase: true },
+    category: { type: String, trim: true, default: 'General' },
+    message: { type: String, required: true },
+}, { timestamps: true });
+
+const CannedResponse = mongoose.model('CannedResponse', cannedResponseSchema);
+export default CannedResponse;
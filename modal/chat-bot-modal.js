@@ -3,12 +3,21 @@
 | Chatbot Settings Schema
 |---------------------------------------------------------------------------
 | Defines the schema for chatbot settings: UI colors, messages, form placeholders, 
-| welcome message, and missed chat timer.
+| welcome message, missed chat timer and lead routing strategy. One settings document per workspace.
+| Business hours (weekly schedule in a timezone) and holidays define when the team is working,
+| outside of them the widget shows the offline welcome message and form (see `util/businessHours.js`).
+| `csat` turns on the satisfaction survey of the resolved tickets and holds its texts (see `util/csat.js`).
 */
 
 import mongoose from 'mongoose';
 
 const chatbotSettingsSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        unique: true,
+    },
     headerColor: { type: String, default: '#33475B' },
     backgroundColor: { type: String, default: '#EEEEEE' },
     customizedMessages: {
@@ -28,6 +37,53 @@ const chatbotSettingsSchema = new mongoose.Schema({
         minute: { type: Number },
         second: { type: Number },
     },
+    businessHours: {
+        enabled: { type: Boolean, default: false },
+        timezone: { type: String, default: 'UTC' },
+        // Several entries per day are allowed (e.g. a lunch break)
+        schedule: [{
+            _id: false,
+            day: { type: Number, min: 0, max: 6, required: true },
+            open: { type: String, required: true },
+            close: { type: String, required: true },
+        }],
+    },
+    holidays: [{
+        _id: false,
+        date: { type: String, required: true },
+        name: { type: String, trim: true, default: '' },
+        recurring: { type: Boolean, default: false },
+    }],
+    offline: {
+        welcomeMessage: { type: String, default: "We're offline right now. Leave us a message and we'll get back to you." },
+        formTitle: { type: String, default: 'Leave a message' },
+        formPlaceholder: {
+            name: { type: String, default: 'Your name' },
+            email: { type: String, default: 'example@gmail.com' },
+            phone: { type: String, default: '+1 (000) 000-0000' },
+            message: { type: String, default: 'How can we help?' },
+            submitButton: { type: String, default: 'Send' },
+        },
+        thankYouMessage: { type: String, default: "Thanks! We'll reply as soon as we're back." },
+    },
+    csat: {
+        enabled: { type: Boolean, default: false },
+        question: { type: String, default: 'How would you rate the help you received?' },
+        commentPlaceholder: { type: String, default: 'Tell us more (optional)' },
+        thankYouMessage: { type: String, default: 'Thanks for your feedback!' },
+    },
+    routing: {
+        strategy: {
+            type: String,
+            enum: ['admin', 'round-robin', 'least-open-tickets', 'manual-queue'],
+            default: 'admin',
+        },
+        lastAssignee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
 }, { timestamps: true });
 
 const ChatbotSettings = mongoose.model('ChatbotSettings', chatbotSettingsSchema);
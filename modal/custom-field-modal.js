@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Custom Field Schema
+|---------------------------------------------------------------------------
+| Defines schema for the ticket fields an admin adds to a workspace: key, label, type
+| (`text`, `number`, `select` or `date`), the options of `select` fields and the display order.
+| The values are stored on the lead, in `Lead.customFields` under the field key.
+*/
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date'];
+
+const customFieldSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    key: { type: String, required: true, trim: true, lowercase: true },
+    label: { type: String, required: true, trim: true },
+    type: {
+        type: String,
+        enum: CUSTOM_FIELD_TYPES,
+        required: true,
+    },
+    options: [{ type: String, trim: true }],
+    position: { type: Number, default: 0 },
+}, { timestamps: true });
+
+customFieldSchema.index({ workspace: 1, key: 1 }, { unique: true });
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+export default CustomField;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Invitation Schema
+|---------------------------------------------------------------------------
+| Defines schema for the invitations of new members to a workspace: email, role (and the custom
+| role of a member, see `Role`), who
+| invited them, the hash of the single-use link token and its expiry, how many times
+| it was sent, and the status (`Pending`, `Accepted` or `Revoked`).
+| Pending invitations past their expiry are reported as `Expired`.
+*/
+
+const invitationSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+    },
+    role: {
+        type: String,
+        enum: ['Admin', 'Member'],
+        default: 'Member',
+    },
+    customRole: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role',
+        default: null,
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    tokenHash: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['Pending', 'Accepted', 'Revoked'],
+        default: 'Pending',
+    },
+    sendCount: { type: Number, default: 1 },
+    lastSentAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date, default: null },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, { timestamps: true });
+
+invitationSchema.index({ workspace: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ tokenHash: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+export default Invitation;
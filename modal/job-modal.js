@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Job Schema
+|---------------------------------------------------------------------------
+| Defines schema for the state of a background job (see `util/scheduler.js`), shared by every
+| server instance: next scheduled run, last run and the lock (instance and expiry) held while
+| the job runs, so only one instance runs a job at a time.
+*/
+
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: {
+        type: String,
+        enum: ['Success', 'Failed', null],
+        default: null,
+    },
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+}, { timestamps: true });
+
+const Job = mongoose.model('Job', jobSchema);
+export default Job;
@@ -0,0 +1,51 @@
+import { configDotenv } from 'dotenv';
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Job Run Schema
+|---------------------------------------------------------------------------
+| Defines schema for the record of a background job run: job name, trigger (schedule or
+| manual, by whom), the instance that ran it, status, duration and the result (or error).
+| Manual runs of an admin only cover their workspace, scheduled runs cover every workspace
+| (`workspace: null`). Records expire after `JOB_RUN_RETENTION_DAYS` (default 30).
+*/
+
+configDotenv();
+const { JOB_RUN_RETENTION_DAYS = 30 } = process.env;
+
+const jobRunSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+    },
+    trigger: {
+        type: String,
+        enum: ['Schedule', 'Manual'],
+        default: 'Schedule',
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    instance: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['Running', 'Success', 'Failed'],
+        default: 'Running',
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+}, { timestamps: true });
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: Number(JOB_RUN_RETENTION_DAYS) * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+export default JobRun;
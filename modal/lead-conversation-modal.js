@@ -5,6 +5,9 @@ import mongoose from 'mongoose';
 | Lead Conversation Schema
 |---------------------------------------------------------------------------
 | Defines schema for storing lead conversations: lead ID, message, sender, and assignee.
+| `Note` messages are internal notes between agents, they are never shown to the lead.
+| Notes can mention other members of the workspace. Messages can carry attachments.
+| The text index on `message` is used by the ticket search.
 */
 
 const leadConversationSchema = new mongoose.Schema({
@@ -13,10 +16,14 @@ const leadConversationSchema = new mongoose.Schema({
         ref: 'Lead',
         required: true,
     },
-    message: { type: String, required: true },
+    // Messages can be empty when they only share attachments
+    message: {
+        type: String,
+        required: function () { return !this.attachments?.length; },
+    },
     sendBy: {
         type: String,
-        enum: ['Lead', 'Member'],
+        enum: ['Lead', 'Member', 'Note'],
         default: 'Lead',
     },
     assigneeID: {
@@ -24,7 +31,13 @@ const leadConversationSchema = new mongoose.Schema({
         ref: 'User',
         default: null,
     },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Attachment' }],
 }, { timestamps: true });
 
+leadConversationSchema.index({ message: 'text' });
+leadConversationSchema.index({ leadID: 1, createdAt: 1 });
+leadConversationSchema.index({ assigneeID: 1, createdAt: 1 });
+
 const LeadConversation = mongoose.model('LeadConversation', leadConversationSchema);
 export default LeadConversation;
\ No newline at end of file
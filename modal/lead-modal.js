@@ -1,15 +1,61 @@
 import mongoose from 'mongoose';
 import LeadConversation from './lead-conversation-modal.js';
+import ReadCursor from './read-cursor-modal.js';
+import { removeLeadAttachments } from '../util/attachment.js';
+
+// Ordered from the lowest to the highest
+export const LEAD_PRIORITIES = ['Low', 'Normal', 'High', 'Urgent'];
+export const ASSIGNMENT_REASONS = ['Routing', 'Reassigned', 'Claimed', 'MemberDeleted'];
 
 /*
 |---------------------------------------------------------------------------
 | Lead Schema
 |---------------------------------------------------------------------------
 | Defines schema for storing lead information: ticket ID, user details, assignees, message status, and chat details.
-| Includes pre-delete hook to remove related conversations.
+| Leads belong to a workspace and ticket IDs are unique within it.
+| Tickets carry a priority, free-form tags and the values of the workspace custom fields.
+| `sla` tracks each SLA target of the ticket (see `util/sla.js`): start, due and at risk times, when it
+| was achieved, when it was breached, the breach count and when the at risk warning was sent.
+| `csat` is the satisfaction survey answer of the lead (once, after resolution, see `util/csat.js`).
+| `assignmentHistory` and `statusHistory` record every handoff and status change, oldest first
+| (see `util/ticketHistory.js`), `assigneeList` holds everyone the ticket was assigned to, latest first.
+| Includes pre-delete hook to remove related conversations, read cursors and attachment files.
 */
 
+const slaTargetSchema = new mongoose.Schema({
+    startedAt: { type: Date, default: null },
+    dueAt: { type: Date, default: null },
+    atRiskAt: { type: Date, default: null },
+    achievedAt: { type: Date, default: null },
+    breachedAt: { type: Date, default: null },
+    breaches: { type: Number, default: 0 },
+    warnedAt: { type: Date, default: null },
+}, { _id: false });
+
+// `by` is null for the handoffs made by the server (routing, deleted member)
+const assignmentSchema = new mongoose.Schema({
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, enum: ASSIGNMENT_REASONS, required: true },
+    note: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: ['Resolved', 'Unresolved'], required: true },
+    to: { type: String, enum: ['Resolved', 'Unresolved'], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const leadSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true,
+    },
     ticketID: { type: String, required: true },
     userName: { type: String },
     userEmail: { type: String },
@@ -22,21 +68,68 @@ const leadSchema = new mongoose.Schema({
         default: null,
     },
     assigneeList: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }],
+    assignmentHistory: [assignmentSchema],
+    statusHistory: [statusChangeSchema],
+    // Incremented to revoke every widget session token issued before
+    sessionVersion: { type: Number, default: 0 },
+    sessionRevokedAt: { type: Date, default: null },
     isFirstMessageShared: { type: Boolean, default: false },
     isDetailsShared: { type: Boolean, default: false },
+    // Created outside of business hours (offline form or chat)
+    receivedOffline: { type: Boolean, default: false },
+    // The lead can turn off the reply emails sent to `userEmail`
+    emailNotifications: { type: Boolean, default: true },
+    // Spam leads are kept out of the ticket lists and the analytics
+    isSpam: { type: Boolean, default: false, index: true },
+    spamReason: { type: String, default: null },
     status: {
         type: String,
         enum: ['Resolved', 'Unresolved'],
         default: 'Unresolved',
     },
+    priority: {
+        type: String,
+        enum: LEAD_PRIORITIES,
+        default: 'Normal',
+    },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    // Custom field key -> value (see `CustomField`)
+    customFields: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    // `agent` is the assignee when the lead answered
+    csat: {
+        type: new mongoose.Schema({
+            rating: { type: Number, min: 1, max: 5, required: true },
+            comment: { type: String, default: null },
+            agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            submittedAt: { type: Date, required: true },
+        }, { _id: false }),
+        default: undefined,
+    },
+    sla: {
+        type: new mongoose.Schema({
+            policy: { type: mongoose.Schema.Types.ObjectId, ref: 'SlaPolicy', default: null },
+            firstResponse: { type: slaTargetSchema, default: () => ({}) },
+            nextResponse: { type: slaTargetSchema, default: () => ({}) },
+            resolution: { type: slaTargetSchema, default: () => ({}) },
+        }, { _id: false }),
+        default: undefined,
+    },
 }, { timestamps: true });
 
-const Lead = mongoose.model('Lead', leadSchema);
+leadSchema.index({ workspace: 1, ticketID: 1 }, { unique: true });
+leadSchema.index({ workspace: 1, tags: 1 });
+leadSchema.index({ workspace: 1, createdAt: 1 });
 
 leadSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
     const lead = this;
     try {
         await LeadConversation.deleteMany({ leadID: lead._id });
+        await ReadCursor.deleteMany({ lead: lead._id });
+        await removeLeadAttachments(lead._id);
         console.log(`Deleted lead ${lead._id}`);
         next();
     } catch (error) {
@@ -44,4 +137,6 @@ leadSchema.pre('deleteOne', { document: true, query: false }, async function (ne
     }
 });
 
+// Compile the model after registering the hooks, otherwise they are never applied
+const Lead = mongoose.model('Lead', leadSchema);
 export default Lead;
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Notification Schema
+|---------------------------------------------------------------------------
+| Defines schema for in-app notifications of agents: recipient, type, the lead and
+| message that triggered it, the user who triggered it and the read status.
+| Types: `Mention` (internal notes), `SlaAtRisk` and `SlaBreached` (SLA warnings).
+*/
+
+const notificationSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    type: {
+        type: String,
+        enum: ['Mention', 'SlaAtRisk', 'SlaBreached'],
+        default: 'Mention',
+    },
+    leadID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        default: null,
+    },
+    conversationID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadConversation',
+        default: null,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    message: { type: String, required: true },
+    isRead: { type: Boolean, default: false },
+}, { timestamps: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Read Cursor Schema
+|---------------------------------------------------------------------------
+| Defines schema for how far a participant has read the conversation of a lead:
+| one cursor per member (`readerType: 'Member'`) and one for the lead itself
+| (`readerType: 'Lead'`, without `reader`). The cursor points at the last message
+| read; `lastReadMessageAt` is its creation time, every message posted later is unread.
+| Cursors only move forward (see `util/readCursor.js`).
+*/
+
+const readCursorSchema = new mongoose.Schema({
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true,
+    },
+    readerType: {
+        type: String,
+        enum: ['Member', 'Lead'],
+        required: true,
+    },
+    reader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    lastReadMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadConversation',
+        required: true,
+    },
+    lastReadMessageAt: { type: Date, required: true },
+    readAt: { type: Date, default: Date.now },
+});
+
+readCursorSchema.index({ lead: 1, readerType: 1, reader: 1 }, { unique: true });
+readCursorSchema.index({ reader: 1, lead: 1 });
+
+const ReadCursor = mongoose.model('ReadCursor', readCursorSchema);
+export default ReadCursor;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Role Schema
+|---------------------------------------------------------------------------
+| Defines schema for the custom roles of a workspace (e.g. Supervisor, Read-only): a name,
+| a description and the permissions the role bundles. Custom roles are given to members
+| (`User.role`), the built-in `Admin` holds every permission and `Member` none.
+*/
+
+export const PERMISSIONS = [
+    'members.manage',
+    'settings.manage',
+    'analytics.view',
+    'data.export',
+    'tickets.viewAll',
+    'tickets.reassign',
+    'tickets.manage',
+    'audit.view',
+];
+
+export const BUILT_IN_ROLES = ['Admin', 'Member'];
+
+const roleSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: '' },
+    permissions: [{ type: String, enum: PERMISSIONS }],
+}, { timestamps: true });
+
+roleSchema.index({ workspace: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Role = mongoose.model('Role', roleSchema);
+export default Role;
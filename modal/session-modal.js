@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Session Schema
+|---------------------------------------------------------------------------
+| Defines schema for the login sessions of users, one per device: the hash of the
+| current refresh token (rotated on every refresh), the hash of the previous one (kept
+| to tell a concurrent refresh from a reused token), the user agent and IP of the device,
+| when it was last seen and when the session ends.
+| Revoked sessions keep `revokedAt` and the reason, sessions are removed once expired.
+*/
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        enum: ['Logout', 'Revoked', 'ForcedLogout', 'PasswordChanged', 'TokenReuse', null],
+        default: null,
+    },
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
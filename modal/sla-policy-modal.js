@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| SLA Policy Schema
+|---------------------------------------------------------------------------
+| Defines schema for the service level targets of a workspace: first response, next response
+| and resolution targets (in minutes, 0 = no target), the ticket priorities the policy covers
+| and when a ticket is "at risk" (percentage of the target elapsed).
+| The default policy covers the priorities no other policy lists.
+*/
+
+const slaPolicySchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    priorities: [{ type: String }],
+    isDefault: { type: Boolean, default: false },
+    targets: {
+        firstResponse: { type: Number, default: 0, min: 0 },
+        nextResponse: { type: Number, default: 0, min: 0 },
+        resolution: { type: Number, default: 0, min: 0 },
+    },
+    atRiskPercent: { type: Number, default: 80, min: 1, max: 99 },
+}, { timestamps: true });
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+export default SlaPolicy;
@@ -1,14 +1,22 @@
 import mongoose from 'mongoose';
 import Lead from './lead-modal.js';
 import LeadConversation from './lead-conversation-modal.js';
+import Notification from './notification-modal.js';
+import ReadCursor from './read-cursor-modal.js';
+import Session from './session-modal.js';
+import { rerouteMemberLeads } from '../util/routing.js';
 
 /*
 |---------------------------------------------------------------------------
 | User Schema
 |---------------------------------------------------------------------------
-| Defines schema for storing user details: name, email, role, and password.
-| Includes pre-delete hook to reassign leads and conversations before deletion.
-| Only members are reassigned; admins cannot be deleted.
+| Defines schema for storing user details: name, email, role (built-in `Admin` or `Member`, members
+| can also have a custom role, see `Role`), password, routing and email preferences,
+| the pending password reset (hashed single-use token) and whether the password must be changed.
+| Includes pre-delete hook to reassign leads and conversations (and remove the notifications and
+| login sessions) before deletion.
+| Only members are reassigned; admins cannot be deleted. Unresolved leads are rerouted
+| with the workspace routing strategy, the rest go to an admin of the same workspace.
 */
 
 const userSchema = new mongoose.Schema({
@@ -33,6 +41,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true,
+    },
     parent: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -43,33 +57,59 @@ const userSchema = new mongoose.Schema({
         enum: ['Admin', 'Member'],
         default: 'Member',
     },
-    refresh_token: { type: String },
+    // Custom role of a member, its permissions replace the ones of `Member`
+    role: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role',
+        default: null,
+    },
+    routing: {
+        optOut: { type: Boolean, default: false },
+        maxOpenTickets: { type: Number, default: 0, min: 0 },
+    },
+    // Ticket event emails the user wants to receive
+    emailPreferences: {
+        newLead: { type: Boolean, default: true },
+        reassignment: { type: Boolean, default: true },
+        missedChat: { type: Boolean, default: true },
+    },
+    // Pending password reset: hash of the single-use token and its expiry
+    passwordReset: {
+        tokenHash: { type: String, default: null },
+        expiresAt: { type: Date, default: null },
+    },
+    passwordChangedAt: { type: Date, default: null },
+    // Set for members created with the old shared default password
+    mustChangePassword: { type: Boolean, default: false },
 }, { timestamps: true });
 
-const User = mongoose.model('User', userSchema);
-
 userSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
     const member = this;
     try {
         // Only allow deleting members
         if (member.userRole !== 'Member') return next();
 
-        const adminUser = await User.findOne({ userRole: 'Admin' });
+        const adminUser = await User.findOne({ userRole: 'Admin', workspace: member.workspace });
         if (!adminUser) return next(new Error('No admin user found for reassignment'));
 
-        // Update currentAssignee
+        // Reroute unresolved leads, the resolved ones are kept by the admin
+        await rerouteMemberLeads(member);
         await Lead.updateMany(
             { currentAssignee: member._id },
-            { currentAssignee: adminUser._id }
+            {
+                $set: { currentAssignee: adminUser._id },
+                $push: { assignmentHistory: { from: member._id, to: adminUser._id, by: null, reason: 'MemberDeleted', note: null, at: new Date() } },
+            }
         );
 
-        // Update assigneeList
+        // Update assigneeList (separate updates, $pull and $addToSet conflict on the same path)
         await Lead.updateMany(
             { assigneeList: member._id },
-            {
-                $pull: { assigneeList: member._id },
-                $addToSet: { assigneeList: adminUser._id },
-            }
+            { $addToSet: { assigneeList: adminUser._id } }
+        );
+        await Lead.updateMany(
+            { assigneeList: member._id },
+            { $pull: { assigneeList: member._id } }
         );
 
         // Update LeadConversation assigneeID
@@ -78,6 +118,10 @@ userSchema.pre('deleteOne', { document: true, query: false }, async function (ne
             { assigneeID: adminUser._id }
         );
 
+        await Notification.deleteMany({ recipient: member._id });
+        await Session.deleteMany({ user: member._id });
+        await ReadCursor.deleteMany({ reader: member._id });
+
         console.log(`Reassigned leads and conversations from Member ${member._id} to Admin ${adminUser._id}`);
         next();
     } catch (error) {
@@ -85,4 +129,6 @@ userSchema.pre('deleteOne', { document: true, query: false }, async function (ne
     }
 });
 
+// Compile the model after registering the hooks, otherwise they are never applied
+const User = mongoose.model('User', userSchema);
 export default User;
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/*
+|---------------------------------------------------------------------------
+| Webhook Delivery Schema
+|---------------------------------------------------------------------------
+| Defines schema for the delivery history of a webhook: event, payload, status, attempts,
+| next retry time and the last response (or error). Replays point to the original delivery.
+*/
+
+const webhookDeliverySchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+    },
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    event: { type: String, required: true },
+    eventID: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+        type: String,
+        enum: ['Pending', 'Success', 'Failed'],
+        default: 'Pending',
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    error: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null,
+    },
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+export default WebhookDelivery;
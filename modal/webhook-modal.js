@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import WebhookDelivery from './webhook-delivery-modal.js';
+
+/*
+|---------------------------------------------------------------------------
+| Webhook Schema
+|---------------------------------------------------------------------------
+| Defines schema for the outbound webhook endpoints of a workspace: target URL, subscribed
+| events, signing secret and the active flag.
+| Includes pre-delete hook to remove the delivery history of the endpoint.
+*/
+
+const webhookSchema = new mongoose.Schema({
+    workspace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        index: true,
+    },
+    url: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: '' },
+    events: [{ type: String, required: true }],
+    // HMAC key of the `X-Hubly-Signature` header
+    secret: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, { timestamps: true });
+
+webhookSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
+    try {
+        await WebhookDelivery.deleteMany({ webhook: this._id });
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compile the model after registering the hooks, otherwise they are never applied
+const Webhook = mongoose.model('Webhook', webhookSchema);
+export default Webhook;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+/*
+|---------------------------------------------------------------------------
+| Workspace Schema
+|---------------------------------------------------------------------------
+| Defines schema for a client company (tenant): name, owner and the public widget key.
+| Users, leads and chatbot settings belong to exactly one workspace.
+| The widget key identifies the workspace on the public (widget) routes.
+*/
+
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    widgetKey: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => uuidv4(),
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, { timestamps: true });
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+export default Workspace;
@@ -2,23 +2,58 @@
 |---------------------------------------------------------------------------
 | Auth Routes
 |---------------------------------------------------------------------------
-| Routes for user authentication (register, login, logout) and user management.
-| Protected routes use `isAuth` middleware to verify authentication.
-| Includes CRUD operations for members.
+| Routes for user authentication (register, login, logout, password reset) and user management.
+| Password reset requests are rate limited per IP and per email, invitation links per IP.
+| Protected routes use `isAuth` middleware to verify authentication, users who must change their
+| password only reach the routes marked with `allowPasswordChange`. Routes reserved to a permission
+| use `requirePermission` (see `util/permissions.js`).
+| Includes CRUD operations for members, roles, member invitations, login sessions and the workspace of the logged in user.
 */
 
 import express from "express";
 import authController from "../controller/auth.js";
-import isAuth from "../middleware/isAuthenticated.js";
+import workspaceController from "../controller/workspace.js";
+import invitationController from "../controller/invitation.js";
+import roleController from "../controller/role.js";
+import sessionController from "../controller/session.js";
+import isAuth, { allowPasswordChange } from "../middleware/isAuthenticated.js";
+import requirePermission from "../middleware/permission.js";
+import { invitationIPLimit, passwordResetEmailLimit, passwordResetIPLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
 router.route('/register').post(authController.postRegister)
 router.route('/login').post(authController.postLogin);
-router.route('/logout').get(isAuth, authController.getLogout);
+router.route('/logout').get(allowPasswordChange, isAuth, authController.getLogout);
+router.route('/password').put(allowPasswordChange, isAuth, authController.putPassword);
+router.route('/forgot-password').post(passwordResetIPLimit, passwordResetEmailLimit, authController.postForgotPassword);
+router.route('/reset-password').post(passwordResetIPLimit, authController.postResetPassword);
+
+// Session Controller (Devices the user is logged in from)
+router.route('/sessions').get(isAuth, sessionController.getSessions).delete(isAuth, sessionController.deleteSessions);
+router.route('/sessions/:sessionID').delete(isAuth, sessionController.deleteSession);
+
+// Invitation Controller (Invite, Resend, Revoke and Accept)
+router.route('/invitations').get(isAuth, requirePermission('members.manage'), invitationController.getInvitations).post(isAuth, requirePermission('members.manage'), invitationController.postInvitation);
+router.route('/invitations/:invitationID').delete(isAuth, requirePermission('members.manage'), invitationController.deleteInvitation);
+router.route('/invitations/:invitationID/resend').post(isAuth, requirePermission('members.manage'), invitationController.postInvitationResend);
+router.route('/invitation').get(invitationIPLimit, invitationController.getInvitation);
+router.route('/invitation/accept').post(invitationIPLimit, invitationController.postInvitationAccept);
 
 // User Controller (Settings, Availability and Profile)
-router.route('/user').get(isAuth, authController.getMemberList).post(isAuth, authController.postMember);
-router.route('/user/:memberID').get(isAuth, authController.getMemberDetail).put(isAuth, authController.putMemberDetail).delete(isAuth, authController.deleteMember);
+router.route('/user').get(isAuth, authController.getMemberList).post(isAuth, requirePermission('members.manage'), invitationController.postInvitation);
+router.route('/user/:memberID').get(isAuth, authController.getMemberDetail).put(isAuth, authController.putMemberDetail).delete(isAuth, requirePermission('members.manage'), authController.deleteMember);
+router.route('/user/:memberID/routing').put(isAuth, authController.putMemberRouting);
+router.route('/user/:memberID/role').put(isAuth, requirePermission('members.manage'), roleController.putMemberRole);
+router.route('/user/:memberID/logout').post(isAuth, requirePermission('members.manage'), sessionController.postMemberLogout);
+
+// Role Controller (Custom roles and their permissions)
+router.route('/roles').get(isAuth, requirePermission('members.manage'), roleController.getRoles).post(isAuth, requirePermission('members.manage'), roleController.postRole);
+router.route('/roles/:roleID').put(isAuth, requirePermission('members.manage'), roleController.putRole).delete(isAuth, requirePermission('members.manage'), roleController.deleteRole);
+router.route('/email-preferences').get(isAuth, authController.getEmailPreferences).put(isAuth, authController.putEmailPreferences);
+
+// Workspace Controller (Name and Widget Key)
+router.route('/workspace').get(isAuth, workspaceController.getWorkspace).put(isAuth, requirePermission('settings.manage'), workspaceController.putWorkspace);
+router.route('/workspace/widget-key').put(isAuth, requirePermission('settings.manage'), workspaceController.putWidgetKey);
 
 export default router;
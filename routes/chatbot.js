@@ -3,26 +3,94 @@
 | Chat and Settings Routes
 |---------------------------------------------------------------------------
 | Routes for chatbot settings, ticket management, and lead analytics.
-| Protected routes use `isAuth` middleware to verify authentication.
+| Protected routes use `isAuth` middleware to verify authentication, and `requirePermission` for the
+| routes reserved to a permission (see `util/permissions.js`).
 | Includes CRUD operations for tickets, status updates, and assignees.
+| `/stream` is the realtime (SSE) channel of the logged in agent.
+| `/bot-settings/csat` turns the satisfaction survey of the resolved tickets on or off.
+| `/canned` manages the saved replies library, `/ticket/canned` sends one to a ticket.
+| `/custom-fields` manages the admin-defined ticket fields, `/ticket/:ticketID/properties` sets the
+| priority, tags and custom field values of a ticket, `/ticket/:ticketID/timeline` lists its messages,
+| status changes and handoffs, `/ticket/:ticketID/read` marks it as read, `/ticket/:ticketID/claim`
+| takes it from the queue.
+| `/sla-policies` manages the SLA targets of the workspace.
+| `/webhooks` manages the outbound webhook endpoints and their delivery history (`settings.manage`).
+| `/export/leads|tickets|transcripts` streams CSV or JSON exports, with the ticket list filters (`data.export`).
+| `/jobs` lists the background jobs, their run history, and runs a job on demand (`settings.manage`).
+| `/audit-log` lists the administrative and ticket actions of the workspace (`audit.view`).
 */
 
 
 import express from "express";
 import settingsController from '../controller/settings.js';
 import chatController from '../controller/chat.js';
+import cannedController from '../controller/canned.js';
+import notificationController from '../controller/notification.js';
+import customFieldController from '../controller/customField.js';
+import slaController from '../controller/sla.js';
+import webhookController from '../controller/webhook.js';
+import jobController from '../controller/job.js';
+import exportController from '../controller/export.js';
+import auditController from '../controller/audit.js';
 import leadController from '../controller/lead.js';
 import isAuth from "../middleware/isAuthenticated.js";
+import requirePermission from "../middleware/permission.js";
+import uploadAttachments from "../middleware/upload.js";
+import resolveWorkspace from "../middleware/workspace.js";
 
 const router = express.Router();
 
-router.route('/bot-settings').get(settingsController.getBotSettings).put(isAuth, settingsController.putChatBotSettings);
-router.route('/analytics').get(isAuth, leadController.getLeadsAnalytics);
+router.route('/bot-settings').get(resolveWorkspace, settingsController.getBotSettings).put(isAuth, requirePermission('settings.manage'), settingsController.putChatBotSettings);
+router.route('/bot-settings/business-hours').get(isAuth, settingsController.getBusinessHours).put(isAuth, requirePermission('settings.manage'), settingsController.putBusinessHours);
+router.route('/bot-settings/routing').get(isAuth, settingsController.getRoutingSettings).put(isAuth, requirePermission('settings.manage'), settingsController.putRoutingSettings);
+router.route('/bot-settings/csat').get(isAuth, settingsController.getCsatSettings).put(isAuth, requirePermission('settings.manage'), settingsController.putCsatSettings);
+router.route('/analytics').get(isAuth, requirePermission('analytics.view'), leadController.getLeadsAnalytics);
+
+router.route('/stream').get(isAuth, chatController.getAgentStream);
+router.route('/notifications').get(isAuth, notificationController.getNotifications).put(isAuth, notificationController.putNotificationsRead);
+
+router.route('/canned').get(isAuth, cannedController.getCannedResponses).post(isAuth, cannedController.postCannedResponse);
+router.route('/canned/:responseID').put(isAuth, cannedController.putCannedResponse).delete(isAuth, cannedController.deleteCannedResponse);
+
+router.route('/sla-policies').get(isAuth, slaController.getSlaPolicies).post(isAuth, requirePermission('settings.manage'), slaController.postSlaPolicy);
+router.route('/sla-policies/:policyID').put(isAuth, requirePermission('settings.manage'), slaController.putSlaPolicy).delete(isAuth, requirePermission('settings.manage'), slaController.deleteSlaPolicy);
+
+router.route('/custom-fields').get(isAuth, customFieldController.getCustomFields).post(isAuth, requirePermission('settings.manage'), customFieldController.postCustomField);
+router.route('/custom-fields/:fieldID').put(isAuth, requirePermission('settings.manage'), customFieldController.putCustomField).delete(isAuth, requirePermission('settings.manage'), customFieldController.deleteCustomField);
+
+router.route('/webhooks').get(isAuth, requirePermission('settings.manage'), webhookController.getWebhooks).post(isAuth, requirePermission('settings.manage'), webhookController.postWebhook);
+router.route('/webhooks/:webhookID').put(isAuth, requirePermission('settings.manage'), webhookController.putWebhook).delete(isAuth, requirePermission('settings.manage'), webhookController.deleteWebhook);
+router.route('/webhooks/:webhookID/secret').put(isAuth, requirePermission('settings.manage'), webhookController.putWebhookSecret);
+router.route('/webhooks/:webhookID/deliveries').get(isAuth, requirePermission('settings.manage'), webhookController.getWebhookDeliveries);
+router.route('/webhooks/:webhookID/deliveries/:deliveryID/replay').post(isAuth, requirePermission('settings.manage'), webhookController.postDeliveryReplay);
+
+router.route('/export/leads').get(isAuth, requirePermission('data.export'), exportController.getLeadsExport);
+router.route('/export/tickets').get(isAuth, requirePermission('data.export'), exportController.getTicketsExport);
+router.route('/export/transcripts').get(isAuth, requirePermission('data.export'), exportController.getTranscriptsExport);
+
+router.route('/jobs').get(isAuth, requirePermission('settings.manage'), jobController.getJobs);
+router.route('/jobs/:jobName/runs').get(isAuth, requirePermission('settings.manage'), jobController.getJobRuns);
+router.route('/jobs/:jobName/run').post(isAuth, requirePermission('settings.manage'), jobController.postJobRun);
+
+router.route('/audit-log').get(isAuth, requirePermission('audit.view'), auditController.getAuditLog);
+
+router.route('/attachment/:attachmentID').get(isAuth, chatController.getTicketAttachment);
 
 router.route('/ticket').get(isAuth, chatController.getLeadList)
+router.route('/ticket/search').get(isAuth, chatController.getTicketSearch);
+router.route('/ticket/canned').put(isAuth, cannedController.putCannedMessage);
+router.route('/ticket/spam').put(isAuth, requirePermission('tickets.manage'), chatController.putSpamStatus);
+router.route('/ticket/session/revoke').put(isAuth, chatController.putLeadSessionRevoke);
+router.route('/ticket/note').post(isAuth, chatController.postTicketNote);
+router.route('/ticket/typing').post(isAuth, chatController.postTicketTyping);
 router.route('/ticket/status').put(isAuth, chatController.putStatusUpdate);
-router.route('/ticket/assignee/:ticketID?').get(isAuth, chatController.getAssigneeList).put(isAuth, chatController.putLeadAssignee);
-router.route('/ticket/:ticketID?').get(isAuth, chatController.getLeadDetails).put(isAuth, chatController.putMessage);
+router.route('/ticket/assignee/:ticketID?').get(isAuth, chatController.getAssigneeList).put(isAuth, requirePermission('tickets.reassign'), chatController.putLeadAssignee);
+router.route('/ticket/:ticketID/properties').get(isAuth, chatController.getTicketProperties).put(isAuth, chatController.putTicketProperties);
+router.route('/ticket/:ticketID/messages').get(isAuth, chatController.getTicketMessages);
+router.route('/ticket/:ticketID/timeline').get(isAuth, chatController.getTicketTimeline);
+router.route('/ticket/:ticketID/read').put(isAuth, chatController.putTicketRead);
+router.route('/ticket/:ticketID/claim').put(isAuth, chatController.putTicketClaim);
+router.route('/ticket/:ticketID?').get(isAuth, chatController.getLeadDetails).put(isAuth, uploadAttachments, chatController.putMessage);
 router.route('/').get(isAuth, chatController.getTicketList);
 
 export default router;
\ No newline at end of file
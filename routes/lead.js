@@ -4,16 +4,36 @@
 |-------------------------------------------------------------------
 | Routes for managing lead forms, details, and messages.
 | Includes POST for new leads, GET for lead details, and PUT for updating messages.
+| `/:leadID/stream` is the realtime (SSE) channel of the chat widget.
+| Every route resolves the workspace from the widget key (`resolveWorkspace`).
+| Except for `POST /` and `POST /offline` (which issue the session), routes require the lead session token (`isLeadSession`).
+| Creating leads, posting messages and sharing the form are rate limited per IP and per session.
+| Attachments are only parsed for valid sessions within the limits (`uploadAttachments`).
 */
 
 
 import express from "express";
 import leadController from "../controller/lead.js";
+import isLeadSession, { matchLeadSession } from "../middleware/isLeadSession.js";
+import { leadCreateLimit, leadFormIPLimit, leadFormSessionLimit, leadMessageIPLimit, leadMessageSessionLimit } from "../middleware/rateLimit.js";
+import uploadAttachments from "../middleware/upload.js";
+import resolveWorkspace from "../middleware/workspace.js";
 
 const router = express.Router();
 
-router.route('/form').post(leadController.postLeadForm)
-router.route('/:leadID?').get(leadController.getLeadsDetails).post(leadController.postNewLead).put(leadController.putLeadMessage);
+router.use(resolveWorkspace);
+
+router.route('/session/renew').post(leadController.postLeadSessionRenew);
+router.route('/offline').post(leadCreateLimit, leadController.postOfflineLead);
+router.route('/form').post(leadFormIPLimit, isLeadSession, leadFormSessionLimit, leadController.postLeadForm)
+router.route('/typing').post(isLeadSession, leadController.postLeadTyping);
+router.route('/read').put(isLeadSession, leadController.putLeadRead);
+router.route('/csat').get(isLeadSession, leadController.getLeadCsat).post(isLeadSession, leadController.postLeadCsat);
+router.route('/email-preference').put(isLeadSession, leadController.putLeadEmailPreference);
+router.route('/:leadID/stream').get(isLeadSession, leadController.getLeadStream);
+router.route('/:leadID/attachment/:attachmentID').get(isLeadSession, leadController.getLeadAttachment);
+router.route('/:leadID/messages').get(isLeadSession, leadController.getLeadMessages);
+router.route('/:leadID?').get(isLeadSession, leadController.getLeadsDetails).post(leadCreateLimit, leadController.postNewLead).put(leadMessageIPLimit, isLeadSession, leadMessageSessionLimit, uploadAttachments, matchLeadSession, leadController.putLeadMessage);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,147 @@
+/*
+|---------------------------------------------------------------------------
+| Analytics
+|---------------------------------------------------------------------------
+| Date ranges, buckets and the shaping of the aggregation results of
+| `util/analytics.js`. `Lead.aggregate` is stubbed, the tests check the
+| pipelines it receives and what is built from its rows.
+*/
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import Lead from '../modal/lead-modal.js';
+import { comparePeriods, getLeadMetrics, getLeadSummary, getMissedChatGraph, getPreviousRange, parseAnalyticsRange } from '../util/analytics.js';
+
+const workspaceQuery = { workspace: new mongoose.Types.ObjectId(), isSpam: { $ne: true } };
+
+afterEach(() => mock.restoreAll());
+
+describe('parseAnalyticsRange', () => {
+    it('includes the end day and follows the timezone', () => {
+        const range = parseAnalyticsRange({ from: '2026-10-01', to: '2026-10-31', bucket: 'week', timezone: 'Europe/Paris' });
+        assert.deepEqual(range.from, new Date('2026-09-30T22:00:00Z'));
+        // Winter time from October 25th
+        assert.deepEqual(range.to, new Date('2026-10-31T23:00:00Z'));
+        assert.equal(range.bucket, 'week');
+    });
+
+    it('covers the last 30 days by default', () => {
+        const range = parseAnalyticsRange({ to: '2026-10-19' });
+        assert.deepEqual(range.from, new Date('2026-09-20T00:00:00Z'));
+        assert.deepEqual(range.to, new Date('2026-10-20T00:00:00Z'));
+    });
+
+    it('refuses invalid input', () => {
+        const statusOf = (query) => {
+            try {
+                parseAnalyticsRange(query);
+            } catch (error) {
+                return error.statusCode ?? error.status;
+            }
+            return null;
+        };
+        assert.equal(statusOf({ bucket: 'year' }), 400);
+        assert.equal(statusOf({ timezone: 'Mars/Olympus' }), 400);
+        assert.equal(statusOf({ from: '2026-02-30' }), 400);
+        assert.equal(statusOf({ from: '2026-10-20', to: '2026-10-01' }), 400);
+        assert.equal(statusOf({ from: '2020-01-01', to: '2026-10-01' }), 400);
+    });
+});
+
+describe('getPreviousRange / comparePeriods', () => {
+    it('takes the period of the same length right before', () => {
+        const range = { from: new Date('2026-10-10T00:00:00Z'), to: new Date('2026-10-20T00:00:00Z'), bucket: 'day', timezone: 'UTC' };
+        const previous = getPreviousRange(range);
+        assert.deepEqual(previous.from, new Date('2026-09-30T00:00:00Z'));
+        assert.deepEqual(previous.to, range.from);
+    });
+
+    it('gives the change of every metric, no percentage from zero', () => {
+        assert.deepEqual(comparePeriods({ totalLeads: 15, missedChats: 2 }, { totalLeads: 10, missedChats: 0 }), {
+            totalLeads: { change: 5, changePercent: 50 },
+            missedChats: { change: 2, changePercent: null },
+        });
+    });
+});
+
+describe('getLeadMetrics', () => {
+    const range = { from: new Date('2026-10-17T00:00:00Z'), to: new Date('2026-10-20T00:00:00Z'), bucket: 'day', timezone: 'UTC' };
+
+    it('matches the leads by creation and the ratings by submission', async () => {
+        const aggregate = mock.method(Lead, 'aggregate', async () => [{ summary: [], series: [], csatSummary: [], csatSeries: [] }]);
+        await getLeadMetrics(workspaceQuery, range);
+
+        const [pipeline] = aggregate.mock.calls[0].arguments;
+        const inRange = { $gte: range.from, $lt: range.to };
+        assert.deepEqual(pipeline[0].$match.$or, [{ createdAt: inRange }, { 'csat.submittedAt': inRange }]);
+
+        const { summary, series, csatSummary, csatSeries } = pipeline[1].$facet;
+        assert.deepEqual(summary[0].$match, { createdAt: inRange });
+        assert.equal(series[1].$group._id.$dateToString.date, '$createdAt');
+        assert.deepEqual(csatSummary[0].$match, { 'csat.submittedAt': inRange });
+        assert.equal(csatSeries[1].$group._id.$dateToString.date, '$csat.submittedAt');
+    });
+
+    it('lists every bucket of the range, the empty ones with zeros', async () => {
+        mock.method(Lead, 'aggregate', async () => [{
+            summary: [{ totalLeads: 4, resolvedLeads: 3, missedChats: 1, offlineLeads: 0, averageResponseTime: 61.6, averageResolutionTime: 3600 }],
+            series: [{ _id: '2026-10-18', totalLeads: 4, resolvedLeads: 3, missedChats: 1, offlineLeads: 0, averageResponseTime: 61.6, averageResolutionTime: 3600 }],
+            csatSummary: [{ csatResponses: 4, satisfiedResponses: 3, averageCsat: 4.25 }],
+            csatSeries: [{ _id: '2026-10-19', csatResponses: 4, satisfiedResponses: 3, averageCsat: 4.25 }],
+        }]);
+        const { summary, series } = await getLeadMetrics(workspaceQuery, range);
+
+        assert.equal(summary.resolutionRate, 75);
+        assert.equal(summary.averageResponseTime, 62);
+        assert.equal(summary.csatScore, 75);
+        assert.equal(summary.averageCsat, 4.3);
+
+        assert.deepEqual(series.map(row => row.bucket), ['2026-10-17', '2026-10-18', '2026-10-19']);
+        assert.equal(series[0].totalLeads, 0);
+        assert.equal(series[0].csatResponses, 0);
+        assert.equal(series[1].totalLeads, 4);
+        assert.equal(series[1].csatResponses, 0);
+        assert.equal(series[2].totalLeads, 0);
+        assert.equal(series[2].csatResponses, 4);
+    });
+
+    it('uses ISO weeks across the year boundary', async () => {
+        mock.method(Lead, 'aggregate', async () => [{ summary: [], series: [], csatSummary: [], csatSeries: [] }]);
+        const weekRange = { from: new Date('2026-12-21T00:00:00Z'), to: new Date('2027-01-11T00:00:00Z'), bucket: 'week', timezone: 'UTC' };
+        const { series } = await getLeadMetrics(workspaceQuery, weekRange);
+
+        assert.deepEqual(series.map(row => [row.bucket, row.startDate]), [
+            ['2026-W52', '2026-12-21'],
+            ['2026-W53', '2026-12-28'],
+            ['2027-W01', '2027-01-04'],
+        ]);
+    });
+});
+
+describe('getLeadSummary', () => {
+    it('covers all time without a range', async () => {
+        const aggregate = mock.method(Lead, 'aggregate', async () => [{ leads: [{ totalLeads: 2, resolvedLeads: 1 }], csat: [] }]);
+        const summary = await getLeadSummary(workspaceQuery);
+
+        const [pipeline] = aggregate.mock.calls[0].arguments;
+        assert.deepEqual(pipeline[0].$match, workspaceQuery);
+        assert.deepEqual(pipeline[1].$facet.csat[0].$match, { 'csat.submittedAt': { $ne: null } });
+        assert.equal(summary.totalLeads, 2);
+        assert.equal(summary.resolutionRate, 50);
+        assert.equal(summary.csatResponses, 0);
+    });
+});
+
+describe('getMissedChatGraph', () => {
+    it('returns the missed chats of the last 10 weeks, the current week last', async () => {
+        mock.method(Lead, 'aggregate', async () => [{
+            summary: [],
+            series: [{ _id: '2026-W43', missedChats: 3 }, { _id: '2026-W34', missedChats: 1 }],
+            csatSummary: [],
+            csatSeries: [],
+        }]);
+        const graph = await getMissedChatGraph(workspaceQuery, 'UTC', new Date('2026-10-21T12:00:00Z'));
+        assert.deepEqual(graph, [1, 0, 0, 0, 0, 0, 0, 0, 0, 3]);
+    });
+});
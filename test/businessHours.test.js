@@ -0,0 +1,96 @@
+/*
+|---------------------------------------------------------------------------
+| Business Hours
+|---------------------------------------------------------------------------
+| Availability and working time arithmetic of `util/businessHours.js`,
+| timezones, holidays and empty schedules included.
+*/
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { addBusinessTime, businessTimeBetween, getAvailability, zonedTimeToDate } from '../util/businessHours.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const settingsFor = (schedule, { timezone = 'UTC', holidays = [], enabled = true } = {}) => ({
+    businessHours: { enabled, timezone, schedule },
+    holidays,
+});
+
+// Monday to Friday, 09:00 - 17:00
+const weekdays = [1, 2, 3, 4, 5].map(day => ({ day, open: '09:00', close: '17:00' }));
+
+describe('getAvailability', () => {
+    it('is always online when business hours are disabled', () => {
+        assert.deepEqual(getAvailability(settingsFor(weekdays, { enabled: false })), { isOnline: true, nextOpenAt: null });
+    });
+
+    it('is online during an interval and tells when it closes', () => {
+        const availability = getAvailability(settingsFor(weekdays), new Date('2026-10-19T10:00:00Z'));
+        assert.equal(availability.isOnline, true);
+        assert.deepEqual(availability.closesAt, new Date('2026-10-19T17:00:00Z'));
+    });
+
+    it('tells when the team opens next outside of the hours', () => {
+        // Friday evening, next opening on Monday
+        const availability = getAvailability(settingsFor(weekdays), new Date('2026-10-23T18:00:00Z'));
+        assert.deepEqual(availability, { isOnline: false, nextOpenAt: new Date('2026-10-26T09:00:00Z') });
+    });
+
+    it('skips the holidays, recurring ones every year', () => {
+        const holidays = [{ date: '2020-10-26', recurring: true }];
+        const availability = getAvailability(settingsFor(weekdays, { holidays }), new Date('2026-10-23T18:00:00Z'));
+        assert.deepEqual(availability.nextOpenAt, new Date('2026-10-27T09:00:00Z'));
+    });
+
+    it('follows the timezone of the schedule', () => {
+        // 09:00 in Paris is 07:00 UTC in summer time
+        const availability = getAvailability(settingsFor(weekdays, { timezone: 'Europe/Paris' }), new Date('2026-06-15T06:00:00Z'));
+        assert.deepEqual(availability.nextOpenAt, new Date('2026-06-15T07:00:00Z'));
+    });
+
+    it('is never open without any interval', () => {
+        assert.deepEqual(getAvailability(settingsFor([])), { isOnline: false, nextOpenAt: null });
+    });
+});
+
+describe('addBusinessTime', () => {
+    it('adds the plain duration when business hours are disabled', () => {
+        const start = new Date('2026-10-24T12:00:00Z');
+        assert.deepEqual(addBusinessTime(start, 90, settingsFor(weekdays, { enabled: false })), new Date('2026-10-24T13:30:00Z'));
+    });
+
+    it('carries the remaining time over to the next working day', () => {
+        // Two hours from Friday 16:00: one on Friday, one on Monday
+        assert.deepEqual(addBusinessTime(new Date('2026-10-23T16:00:00Z'), 120, settingsFor(weekdays)), new Date('2026-10-26T10:00:00Z'));
+    });
+
+    it('spans several intervals of the same day', () => {
+        const split = [{ day: 1, open: '09:00', close: '12:00' }, { day: 1, open: '13:00', close: '17:00' }];
+        assert.deepEqual(addBusinessTime(new Date('2026-10-19T11:00:00Z'), 120, settingsFor(split)), new Date('2026-10-19T14:00:00Z'));
+    });
+
+    it('returns null when the schedule never opens', () => {
+        assert.equal(addBusinessTime(new Date('2026-10-19T10:00:00Z'), 60, settingsFor([])), null);
+    });
+});
+
+describe('businessTimeBetween', () => {
+    it('only counts the working time', () => {
+        // Friday 16:00 to Monday 10:00: one hour on each side of the weekend
+        assert.equal(businessTimeBetween(new Date('2026-10-23T16:00:00Z'), new Date('2026-10-26T10:00:00Z'), settingsFor(weekdays)), 2 * HOUR);
+    });
+
+    it('is zero for reversed ranges and empty schedules', () => {
+        assert.equal(businessTimeBetween(new Date('2026-10-20T10:00:00Z'), new Date('2026-10-19T10:00:00Z'), settingsFor(weekdays)), 0);
+        assert.equal(businessTimeBetween(new Date('2026-10-19T10:00:00Z'), new Date('2026-10-20T10:00:00Z'), settingsFor([])), 0);
+    });
+});
+
+describe('zonedTimeToDate', () => {
+    it('handles the daylight saving changes', () => {
+        // Paris switches to winter time on the last Sunday of October
+        assert.deepEqual(zonedTimeToDate(2026, 10, 24, 9 * 60, 'Europe/Paris'), new Date('2026-10-24T07:00:00Z'));
+        assert.deepEqual(zonedTimeToDate(2026, 10, 26, 9 * 60, 'Europe/Paris'), new Date('2026-10-26T08:00:00Z'));
+    });
+});
@@ -0,0 +1,184 @@
+/*
+|---------------------------------------------------------------------------
+| Invitations
+|---------------------------------------------------------------------------
+| Invitation emails and single-use links (`controller/invitation.js`). Invitations
+| and users are kept in memory, the link is read from the email, sent through a
+| test transport.
+*/
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+
+process.env.SALT ??= '4';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { default: AuditLog } = await import('../modal/audit-log-modal.js');
+const { default: Invitation } = await import('../modal/invitation-modal.js');
+const { PERMISSIONS } = await import('../modal/role-modal.js');
+const { default: User } = await import('../modal/user-modal.js');
+const { default: Workspace } = await import('../modal/workspace-modal.js');
+const { default: invitationController } = await import('../controller/invitation.js');
+const { flushMailQueue, registerMailTransport } = await import('../util/mail/index.js');
+
+let sentMails = [];
+registerMailTransport('test', { send: async (mail) => { sentMails.push(mail); } });
+
+let invitations;
+let users;
+let admin;
+
+const findStored = (list, id) => list.find(item => item._id.equals(id));
+
+// Queries return their own copy of the document, like the database
+const copy = (invitation) => invitation && Invitation.hydrate(invitation.toObject());
+
+beforeEach(() => {
+    sentMails = [];
+    invitations = [];
+    admin = new User({ firstName: 'Ada', lastName: 'Admin', email: 'admin@example.com', userRole: 'Admin', workspace: new mongoose.Types.ObjectId() });
+    admin.$locals.permissions = [...PERMISSIONS];
+    users = [admin];
+
+    mock.method(Invitation.prototype, 'save', async function () {
+        const index = invitations.findIndex(invitation => invitation._id.equals(this._id));
+        invitations.splice(index === -1 ? invitations.length : index, 1, copy(this));
+        return this;
+    });
+    mock.method(Invitation, 'findOne', async (query) => copy(invitations.find(invitation => invitation.status === query.status && (query.tokenHash
+        ? invitation.tokenHash === query.tokenHash && invitation.expiresAt > query.expiresAt.$gt
+        : invitation.workspace.equals(query.workspace) && query.email.test(invitation.email)))) ?? null);
+    mock.method(Invitation, 'findOneAndUpdate', async (query, update) => {
+        const invitation = findStored(invitations, query._id);
+        if (!invitation || invitation.tokenHash !== query.tokenHash || invitation.status !== query.status) return null;
+        invitation.set(update.$set);
+        return copy(invitation);
+    });
+    mock.method(Invitation, 'updateOne', async (query, update) => {
+        findStored(invitations, query._id)?.set(update.$set);
+        return { modifiedCount: 1 };
+    });
+    mock.method(User, 'findOne', async (query) => users.find(user => query.email.test(user.email)) ?? null);
+    mock.method(User.prototype, 'save', async function () {
+        users.push(this);
+        return this;
+    });
+    mock.method(Workspace, 'findById', async () => ({ name: 'Acme' }));
+    mock.method(AuditLog, 'create', async () => null);
+});
+
+afterEach(() => mock.restoreAll());
+
+function fakeRes() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+// Runs a controller, resolves with the response or the error given to `next`
+async function call(controller, body, currentUser = null) {
+    const req = { body, currentUser, user: { id: currentUser?._id }, ip: '127.0.0.1', get: () => undefined };
+    const res = fakeRes();
+    let error = null;
+    await controller(req, res, (err) => { error = err; });
+    return { res, error };
+}
+
+async function invite(email) {
+    const result = await call(invitationController.postInvitation, { email, role: 'Member' }, admin);
+    await flushMailQueue();
+    return { ...result, token: sentMails.at(-1)?.text.match(/token=(\w+)/)?.[1] };
+}
+
+const accept = (token, firstName = 'Jane') => call(invitationController.postInvitationAccept, {
+    token, firstName, lastName: 'Doe', password: 'Password@1', confirmPassword: 'Password@1',
+});
+
+describe('postInvitation', () => {
+    it('stores the email in lower case and emails the link', async () => {
+        const { res, error, token } = await invite('  Jane.Doe@Example.COM ');
+
+        assert.equal(error, null);
+        assert.equal(res.body.invitation.email, 'jane.doe@example.com');
+        assert.equal(invitations[0].email, 'jane.doe@example.com');
+        assert.equal(sentMails[0].to, 'jane.doe@example.com');
+        assert.ok(token);
+        assert.notEqual(invitations[0].tokenHash, token);
+    });
+
+    it('does not accept an email that is not a string', async () => {
+        const { error } = await invite(['jane@example.com']);
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(invitations.length, 0);
+    });
+
+    it('finds existing accounts and pending invitations regardless of case', async () => {
+        users.push(new User({ firstName: 'Old', lastName: 'Account', email: 'Old.Account@Example.com' }));
+        await invite('jane@example.com');
+
+        assert.equal((await invite('old.account@example.com')).error.statusCode, 409);
+        assert.equal((await invite('JANE@example.com')).error.statusCode, 409);
+        assert.equal(invitations.length, 1);
+    });
+});
+
+describe('postInvitationAccept', () => {
+    it('creates the member account from the link', async () => {
+        const { token } = await invite('jane@example.com');
+
+        const { res, error } = await accept(token);
+
+        assert.equal(error, null);
+        assert.equal(res.statusCode, 200);
+        const newUser = users.at(-1);
+        assert.equal(newUser.email, 'jane@example.com');
+        assert.ok(newUser.workspace.equals(admin.workspace));
+        assert.equal(invitations[0].status, 'Accepted');
+        assert.equal(invitations[0].tokenHash, null);
+        assert.ok(invitations[0].acceptedUser.equals(newUser._id));
+    });
+
+    it('does not accept the same link twice', async () => {
+        const { token } = await invite('jane@example.com');
+        await accept(token);
+
+        const { error } = await accept(token, 'Mallory');
+
+        assert.equal(error.statusCode, 404);
+        assert.equal(users.length, 2);
+    });
+
+    it('creates one account when the link is used by two requests at the same time', async () => {
+        const { token } = await invite('jane@example.com');
+
+        const results = await Promise.all([accept(token), accept(token, 'Mallory')]);
+
+        assert.equal(results.filter(({ error }) => error === null).length, 1);
+        assert.equal(results.find(({ error }) => error)?.error.statusCode, 404);
+        assert.equal(users.length, 2);
+    });
+
+    it('does not accept an expired link', async () => {
+        const { token } = await invite('jane@example.com');
+        invitations[0].expiresAt = new Date(Date.now() - 1000);
+
+        assert.equal((await accept(token)).error.statusCode, 404);
+        assert.equal(users.length, 1);
+    });
+
+    it('gives the link back when the account can not be created', async () => {
+        const { token } = await invite('jane@example.com');
+        User.prototype.save.mock.mockImplementationOnce(async () => { throw new Error('Database is down'); });
+
+        assert.equal((await accept(token)).error.message, 'Database is down');
+        assert.equal(invitations[0].status, 'Pending');
+
+        assert.equal((await accept(token)).error, null);
+        assert.equal(invitations[0].status, 'Accepted');
+    });
+});
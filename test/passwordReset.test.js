@@ -0,0 +1,135 @@
+/*
+|---------------------------------------------------------------------------
+| Password Reset
+|---------------------------------------------------------------------------
+| Reset links of `postForgotPassword` / `postResetPassword` (`controller/auth.js`):
+| usable once and not after their expiry. The link is read from the email, sent
+| through a test transport.
+*/
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import bcrypt from 'bcryptjs';
+
+process.env.RESET_PASSWORD_SECRET ??= 'test-reset-secret';
+process.env.SALT ??= '4';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { default: User } = await import('../modal/user-modal.js');
+const { default: Session } = await import('../modal/session-modal.js');
+const { default: authController } = await import('../controller/auth.js');
+const { flushMailQueue, registerMailTransport } = await import('../util/mail/index.js');
+
+let sentMails = [];
+registerMailTransport('test', { send: async (mail) => { sentMails.push(mail); } });
+
+let storedUser;
+
+beforeEach(() => {
+    sentMails = [];
+    storedUser = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'old-hash' });
+
+    mock.method(User, 'findOne', async (query) => query.email === storedUser.email ? storedUser : null);
+    mock.method(User, 'findOneAndUpdate', async (query, update) => {
+        const { tokenHash, expiresAt } = storedUser.passwordReset ?? {};
+        if (!storedUser._id.equals(query._id) || !tokenHash || tokenHash !== query['passwordReset.tokenHash']) return null;
+        if (!(expiresAt > query['passwordReset.expiresAt'].$gt)) return null;
+        storedUser.set(update.$set);
+        return storedUser;
+    });
+    mock.method(User.prototype, 'save', async function () { return this; });
+    mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+function fakeRes() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        clearCookie() {},
+    };
+}
+
+// Runs a controller, resolves with the response or the error given to `next`
+async function call(controller, body) {
+    const res = fakeRes();
+    let error = null;
+    await controller({ body }, res, (err) => { error = err; });
+    return { res, error };
+}
+
+async function requestResetLink() {
+    await call(authController.postForgotPassword, { email: storedUser.email });
+    await flushMailQueue();
+    const link = sentMails.at(-1)?.text.match(/token=([^\s"<]+)/)?.[1];
+    return link && decodeURIComponent(link);
+}
+
+const resetPassword = (token, password = 'NewPassword@1') => call(authController.postResetPassword, { token, password, confirmPassword: password });
+
+describe('postForgotPassword', () => {
+    it('emails a reset link and stores only its hash', async () => {
+        const token = await requestResetLink();
+
+        assert.ok(token);
+        assert.equal(sentMails.length, 1);
+        assert.equal(sentMails[0].to, 'jane@example.com');
+        assert.notEqual(storedUser.passwordReset.tokenHash, token);
+        assert.ok(storedUser.passwordReset.expiresAt > new Date());
+    });
+
+    it('gives the same answer for unknown emails without sending anything', async () => {
+        const known = await call(authController.postForgotPassword, { email: storedUser.email });
+        const unknown = await call(authController.postForgotPassword, { email: 'nobody@example.com' });
+        await flushMailQueue();
+
+        assert.equal(unknown.res.statusCode, known.res.statusCode);
+        assert.deepEqual(unknown.res.body, known.res.body);
+        assert.equal(sentMails.length, 1);
+    });
+});
+
+describe('postResetPassword', () => {
+    it('sets the new password and logs out every device', async () => {
+        const token = await requestResetLink();
+
+        const { res, error } = await resetPassword(token);
+
+        assert.equal(error, null);
+        assert.equal(res.statusCode, 200);
+        assert.ok(await bcrypt.compare('NewPassword@1', storedUser.password));
+        assert.deepEqual(Session.updateMany.mock.calls[0].arguments[0], { user: storedUser._id, revokedAt: null });
+        assert.equal(Session.updateMany.mock.calls[0].arguments[1].$set.revokedReason, 'PasswordChanged');
+    });
+
+    it('does not accept the same link twice', async () => {
+        const token = await requestResetLink();
+        await resetPassword(token);
+        const changedPassword = storedUser.password;
+
+        const { error } = await resetPassword(token, 'Another@1');
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(storedUser.password, changedPassword);
+    });
+
+    it('does not accept an expired link', async () => {
+        const token = await requestResetLink();
+        storedUser.passwordReset.expiresAt = new Date(Date.now() - 1000);
+
+        const { error } = await resetPassword(token);
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(storedUser.password, 'old-hash');
+    });
+
+    it('does not accept an invalid token', async () => {
+        const { error } = await resetPassword('not-a-token');
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+    });
+});
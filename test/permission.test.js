@@ -0,0 +1,139 @@
+/*
+|---------------------------------------------------------------------------
+| Permissions
+|---------------------------------------------------------------------------
+| Route-level checks of `requirePermission` (`middleware/permission.js`) and the
+| ticket level checks of `util/permissions.js`. Users and roles are kept in memory.
+*/
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import requirePermission from '../middleware/permission.js';
+import Role from '../modal/role-modal.js';
+import User from '../modal/user-modal.js';
+import RouteCode from '../util/httpStatus.js';
+import { canManageTicket, canViewTicket, loadPermissions } from '../util/permissions.js';
+import getReqUser from '../util/reqUser.js';
+
+const workspace = new mongoose.Types.ObjectId();
+
+const supportRole = new Role({ workspace, name: 'Support', permissions: ['tickets.viewAll', 'tickets.reassign'] });
+const foreignRole = new Role({ workspace: new mongoose.Types.ObjectId(), name: 'Foreign', permissions: ['analytics.view'] });
+
+const admin = new User({ firstName: 'Ada', lastName: 'Admin', email: 'admin@example.com', userRole: 'Admin', workspace });
+const agent = new User({ firstName: 'Sam', lastName: 'Support', email: 'sam@example.com', userRole: 'Member', role: supportRole._id, workspace });
+const member = new User({ firstName: 'Max', lastName: 'Member', email: 'max@example.com', userRole: 'Member', workspace });
+const outsider = new User({ firstName: 'Olga', lastName: 'Other', email: 'olga@example.com', userRole: 'Member', role: foreignRole._id, workspace });
+
+const users = [admin, agent, member, outsider];
+const roles = [supportRole, foreignRole];
+
+beforeEach(() => {
+    // A fresh document per request, like the database
+    mock.method(User, 'findById', async ({ _id }) => {
+        const user = users.find(item => item._id.equals(_id));
+        return user ? User.hydrate(user.toObject()) : null;
+    });
+    mock.method(Role, 'findOne', async (query) => roles.find(role => role._id.equals(query._id) && role.workspace.equals(query.workspace)) ?? null);
+});
+
+afterEach(() => mock.restoreAll());
+
+// Runs the middleware chain, stops at the first error like Express
+async function run(user, ...handlers) {
+    const req = { user: { id: user?._id } };
+    for (const handler of handlers) {
+        let error;
+        let passed = false;
+        await handler(req, {}, (err) => { error = err; passed = !err; });
+        if (error) return { req, error };
+        if (!passed) return { req, error: null, passed: false };
+    }
+    return { req, error: null, passed: true };
+}
+
+describe('requirePermission', () => {
+    it('lets admins through with every permission', async () => {
+        const { passed } = await run(admin, requirePermission('settings.manage', 'audit.view'));
+
+        assert.equal(passed, true);
+    });
+
+    it('lets members through with the permissions of their role', async () => {
+        const { passed } = await run(agent, requirePermission('tickets.viewAll', 'tickets.reassign'));
+
+        assert.equal(passed, true);
+    });
+
+    it('names the first permission the user does not hold', async () => {
+        const { error } = await run(agent, requirePermission('tickets.viewAll', 'analytics.view', 'audit.view'));
+
+        assert.equal(error.statusCode, RouteCode.UNAUTHORIZED.statusCode);
+        assert.equal(error.message, 'You do not have the permission to view the analytics!');
+    });
+
+    it('gives no permission to members without a role', async () => {
+        const { error } = await run(member, requirePermission('tickets.viewAll'));
+
+        assert.equal(error.statusCode, RouteCode.UNAUTHORIZED.statusCode);
+    });
+
+    it('ignores a role of another workspace', async () => {
+        const { error } = await run(outsider, requirePermission('analytics.view'));
+
+        assert.equal(error.statusCode, RouteCode.UNAUTHORIZED.statusCode);
+    });
+
+    it('logs out users that no longer exist', async () => {
+        const removed = new User({ firstName: 'Gone', lastName: 'User', email: 'gone@example.com', workspace });
+
+        const { error } = await run(removed, requirePermission('tickets.viewAll'));
+
+        assert.equal(error.statusCode, RouteCode.LOGOUT_REQESTED.statusCode);
+    });
+
+    it('loads the user once per request for the checks and the controller', async () => {
+        let controllerUser;
+        const controller = async (req, res, next) => {
+            controllerUser = await getReqUser(req, res, next);
+            next();
+        };
+
+        const { req, passed } = await run(agent, requirePermission('tickets.viewAll'), requirePermission('tickets.reassign'), controller);
+
+        assert.equal(passed, true);
+        assert.equal(controllerUser, req.currentUser);
+        assert.equal(User.findById.mock.callCount(), 1);
+        assert.equal(Role.findOne.mock.callCount(), 1);
+    });
+});
+
+describe('ticket permissions', () => {
+    const loaded = async (user) => {
+        const foundUser = User.hydrate(user.toObject());
+        await loadPermissions(foundUser);
+        return foundUser;
+    };
+
+    it('lets assignees, current or past, view and manage their tickets', async () => {
+        const foundMember = await loaded(member);
+        const current = { currentAssignee: member._id, assigneeList: [] };
+        const past = { currentAssignee: admin._id, assigneeList: [{ _id: member._id }] };
+
+        assert.equal(canViewTicket(foundMember, current), true);
+        assert.equal(canManageTicket(foundMember, current), true);
+        assert.equal(canViewTicket(foundMember, past), true);
+    });
+
+    it('keeps the other tickets to the users with the workspace permissions', async () => {
+        const lead = { currentAssignee: admin._id, assigneeList: [admin._id] };
+        const foundMember = await loaded(member);
+        const foundAgent = await loaded(agent);
+
+        assert.equal(canViewTicket(foundMember, lead), false);
+        assert.equal(canViewTicket(foundAgent, lead), true);
+        assert.equal(canManageTicket(foundAgent, lead), false);
+        assert.equal(canManageTicket(await loaded(admin), lead), true);
+    });
+});
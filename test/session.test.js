@@ -0,0 +1,124 @@
+/*
+|---------------------------------------------------------------------------
+| Login Sessions
+|---------------------------------------------------------------------------
+| Refresh token rotation and reuse detection (`util/session.js`). The session
+| is kept in memory, the Session queries are replaced by the checks they make.
+*/
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+
+process.env.ACCESS_TOKEN_SECRET ??= 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET ??= 'test-refresh-secret';
+
+const { default: Session } = await import('../modal/session-modal.js');
+const { generateJWTToken, hashToken } = await import('../util/jwtToken.js');
+const { refreshSession, startSession } = await import('../util/session.js');
+
+const user = { _id: new mongoose.Types.ObjectId(), workspace: new mongoose.Types.ObjectId() };
+
+const fakeReq = (refreshToken) => ({ cookies: { refresh_token: refreshToken }, get: () => 'test-agent', ip: '127.0.0.1' });
+
+function fakeRes() {
+    return {
+        cookies: {},
+        cookie(name, value) { this.cookies[name] = value; },
+    };
+}
+
+let stored;
+
+const matches = (session, query) => session
+    && session._id.equals(query._id)
+    && session.user.equals(query.user)
+    && (!('tokenHash' in query) || session.tokenHash === query.tokenHash)
+    && (!('revokedAt' in query) || session.revokedAt === query.revokedAt)
+    && (!query.expiresAt || session.expiresAt > query.expiresAt.$gt);
+
+beforeEach(() => {
+    stored = null;
+    mock.method(Session, 'create', async (doc) => (stored = new Session(doc)));
+    mock.method(Session, 'findOneAndUpdate', async (query, update) => {
+        if (!matches(stored, query)) return null;
+        stored.set(update.$set);
+        return stored;
+    });
+    mock.method(Session, 'findOne', async (query) => matches(stored, query) ? stored : null);
+    mock.method(Session, 'updateMany', async (query, update) => {
+        if (!stored._id.equals(query._id) || stored.revokedAt !== null) return { modifiedCount: 0 };
+        stored.set(update.$set);
+        return { modifiedCount: 1 };
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+async function login() {
+    const res = fakeRes();
+    await startSession(fakeReq(), res, user);
+    return res.cookies.refresh_token;
+}
+
+describe('refreshSession', () => {
+    it('rotates the refresh token of the session', async () => {
+        const refreshToken = await login();
+        const res = fakeRes();
+
+        const session = await refreshSession(fakeReq(refreshToken), res);
+
+        assert.equal(session, stored);
+        assert.ok(res.cookies.refresh_token);
+        assert.notEqual(res.cookies.refresh_token, refreshToken);
+        assert.equal(stored.tokenHash, hashToken(res.cookies.refresh_token));
+        assert.equal(stored.previousTokenHash, hashToken(refreshToken));
+    });
+
+    it('accepts the previous token of a concurrent refresh without issuing another one', async () => {
+        const refreshToken = await login();
+        await refreshSession(fakeReq(refreshToken), fakeRes());
+
+        const res = fakeRes();
+        const session = await refreshSession(fakeReq(refreshToken), res);
+
+        assert.equal(session, stored);
+        assert.equal(res.cookies.refresh_token, undefined);
+        assert.equal(stored.revokedAt, null);
+    });
+
+    it('revokes the session when a rotated token is used again after the grace period', async () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const refreshToken = await login();
+        const rotated = fakeRes();
+        await refreshSession(fakeReq(refreshToken), rotated);
+        stored.rotatedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+        const session = await refreshSession(fakeReq(refreshToken), fakeRes());
+
+        assert.equal(session, null);
+        assert.ok(stored.revokedAt);
+        assert.equal(stored.revokedReason, 'TokenReuse');
+        assert.equal(warn.mock.callCount(), 1);
+
+        // Every holder is logged out, the latest token included
+        assert.equal(await refreshSession(fakeReq(rotated.cookies.refresh_token), fakeRes()), null);
+    });
+
+    it('does not accept a token of another session', async () => {
+        const refreshToken = await login();
+        const other = await login();
+
+        assert.equal(await refreshSession(fakeReq(refreshToken), fakeRes()), null);
+        assert.ok(await refreshSession(fakeReq(other), fakeRes()));
+    });
+
+    it('does not accept tokens without a session or with a wrong signature', async () => {
+        await login();
+
+        assert.equal(await refreshSession(fakeReq(undefined), fakeRes()), null);
+        assert.equal(await refreshSession(fakeReq(generateJWTToken(user, 'refresh', '1d')), fakeRes()), null);
+        assert.equal(await refreshSession(fakeReq(generateJWTToken(user, 'access', '1d', { sid: stored._id })), fakeRes()), null);
+        assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+    });
+});
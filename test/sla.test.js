@@ -0,0 +1,121 @@
+/*
+|---------------------------------------------------------------------------
+| SLA Targets
+|---------------------------------------------------------------------------
+| Due times in working time, ticket events and the resolve / reopen cycle
+| (`util/sla.js`). The SLA context is passed in, nothing is loaded.
+*/
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import Lead from '../modal/lead-modal.js';
+import { applySlaPolicy, formatSla, recordAgentReply, recordLeadMessage, recordStatusChange } from '../util/sla.js';
+
+const policy = (targets, atRiskPercent = 80) => ({
+    _id: new mongoose.Types.ObjectId(),
+    priorities: ['Normal'],
+    isDefault: true,
+    targets,
+    atRiskPercent,
+});
+
+// Monday to Friday, 09:00 - 17:00 UTC
+const officeHours = {
+    businessHours: {
+        enabled: true,
+        timezone: 'UTC',
+        schedule: [1, 2, 3, 4, 5].map(day => ({ day, open: '09:00', close: '17:00' })),
+    },
+    holidays: [],
+};
+
+function newLead(createdAt) {
+    const lead = new Lead({ workspace: new mongoose.Types.ObjectId(), status: 'Unresolved' });
+    lead.createdAt = new Date(createdAt);
+    return lead;
+}
+
+describe('applySlaPolicy', () => {
+    it('schedules the targets from the creation of the ticket', async () => {
+        const context = { settings: null, policies: [policy({ firstResponse: 30, nextResponse: 60, resolution: 480 })] };
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+
+        assert.deepEqual(lead.sla.firstResponse.dueAt, new Date('2026-10-19T10:30:00Z'));
+        assert.deepEqual(lead.sla.firstResponse.atRiskAt, new Date('2026-10-19T10:24:00Z'));
+        assert.deepEqual(lead.sla.resolution.dueAt, new Date('2026-10-19T18:00:00Z'));
+        assert.equal(lead.sla.nextResponse.dueAt, null);
+    });
+
+    it('only counts business hours', async () => {
+        const context = { settings: officeHours, policies: [policy({ firstResponse: 60, nextResponse: 0, resolution: 0 })] };
+
+        // Friday 16:30, half an hour left on Friday, the rest on Monday morning
+        const lead = await applySlaPolicy(newLead('2026-10-23T16:30:00Z'), context);
+        assert.deepEqual(lead.sla.firstResponse.dueAt, new Date('2026-10-26T09:30:00Z'));
+
+        // Saturday, the clock starts on Monday at opening
+        const weekendLead = await applySlaPolicy(newLead('2026-10-24T12:00:00Z'), context);
+        assert.deepEqual(weekendLead.sla.firstResponse.dueAt, new Date('2026-10-26T10:00:00Z'));
+    });
+
+    it('falls back on the missed chat timer without any policy', async () => {
+        const context = { settings: { missedChatTimer: { hour: 0, minute: 10, second: 0 } }, policies: [] };
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+
+        assert.deepEqual(lead.sla.firstResponse.dueAt, new Date('2026-10-19T10:10:00Z'));
+        assert.equal(lead.sla.resolution.dueAt, null);
+    });
+});
+
+describe('ticket events', () => {
+    const context = { settings: null, policies: [policy({ firstResponse: 10, nextResponse: 20, resolution: 60 })] };
+
+    it('marks a late first reply as breached and the ticket as a missed chat', async () => {
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+        await recordAgentReply(lead, new Date('2026-10-19T10:15:00Z'));
+
+        assert.deepEqual(lead.sla.firstResponse.breachedAt, new Date('2026-10-19T10:10:00Z'));
+        assert.equal(lead.sla.firstResponse.breaches, 1);
+        assert.equal(lead.isMissedChat, true);
+    });
+
+    it('starts a next response cycle on a lead message after the first reply', async () => {
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+        await recordAgentReply(lead, new Date('2026-10-19T10:05:00Z'));
+        await recordLeadMessage(lead, new Date('2026-10-19T11:00:00Z'), context);
+
+        assert.deepEqual(lead.sla.nextResponse.dueAt, new Date('2026-10-19T11:20:00Z'));
+        await recordAgentReply(lead, new Date('2026-10-19T11:10:00Z'));
+        assert.equal(formatSla(lead, new Date('2026-10-19T11:10:00Z')).nextResponse.status, 'met');
+    });
+
+    it('closes every open target when the ticket is resolved', async () => {
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+        lead.status = 'Resolved';
+        await recordStatusChange(lead, new Date('2026-10-19T10:05:00Z'), context);
+
+        const sla = formatSla(lead, new Date('2026-10-19T12:00:00Z'));
+        assert.equal(sla.firstResponse.status, 'met');
+        assert.equal(sla.resolution.status, 'met');
+        assert.deepEqual(lead.sla.resolution.achievedAt, new Date('2026-10-19T10:05:00Z'));
+    });
+
+    it('gives a reopened ticket a new resolution target from the reopening', async () => {
+        const lead = await applySlaPolicy(newLead('2026-10-19T10:00:00Z'), context);
+        lead.status = 'Resolved';
+        await recordStatusChange(lead, new Date('2026-10-19T10:30:00Z'), context);
+        lead.status = 'Unresolved';
+        await recordStatusChange(lead, new Date('2026-10-20T09:00:00Z'), context);
+
+        const { resolution } = lead.sla;
+        assert.equal(resolution.achievedAt, null);
+        assert.deepEqual(resolution.startedAt, new Date('2026-10-20T09:00:00Z'));
+        assert.deepEqual(resolution.dueAt, new Date('2026-10-20T10:00:00Z'));
+        assert.deepEqual(resolution.atRiskAt, new Date('2026-10-20T09:48:00Z'));
+
+        // Reapplying the policies keeps the reopening as the start
+        await applySlaPolicy(lead, context);
+        assert.deepEqual(lead.sla.resolution.dueAt, new Date('2026-10-20T10:00:00Z'));
+    });
+});
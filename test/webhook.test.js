@@ -0,0 +1,108 @@
+/*
+|---------------------------------------------------------------------------
+| Webhook SSRF Filter
+|---------------------------------------------------------------------------
+| `isPublicWebhookURL` and the delivery connection (`deliverWebhook`) refuse the
+| loopback, link-local and private addresses, DNS answers included.
+*/
+
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+import http from 'node:http';
+import { afterEach, describe, it, mock } from 'node:test';
+import Webhook from '../modal/webhook-modal.js';
+import WebhookDelivery from '../modal/webhook-delivery-modal.js';
+import { deliverWebhook, isPublicWebhookURL } from '../util/webhook.js';
+
+afterEach(() => mock.restoreAll());
+
+describe('isPublicWebhookURL', () => {
+    it('refuses private, loopback and link-local IP literals', async () => {
+        const urls = [
+            'http://127.0.0.1/hook',
+            'http://10.1.2.3/hook',
+            'http://172.16.0.1/hook',
+            'http://192.168.1.10/hook',
+            'http://169.254.169.254/latest/meta-data',
+            'http://0.0.0.0/',
+            'http://[::1]/',
+            'http://[fe80::1]/',
+            'http://[fd00::1]/',
+            'http://[::ffff:127.0.0.1]/',
+        ];
+        for (const url of urls) assert.equal(await isPublicWebhookURL(url), false, url);
+    });
+
+    it('refuses IPv4 embedded in NAT64 and 6to4 addresses', async () => {
+        for (const url of ['http://[64:ff9b::7f00:1]/', 'http://[64:ff9b:1::a00:1]/', 'http://[2002:7f00:1::]/']) {
+            assert.equal(await isPublicWebhookURL(url), false, url);
+        }
+    });
+
+    it('refuses other protocols and invalid URLs', async () => {
+        assert.equal(await isPublicWebhookURL('ftp://8.8.8.8/'), false);
+        assert.equal(await isPublicWebhookURL('file:///etc/passwd'), false);
+        assert.equal(await isPublicWebhookURL('not a url'), false);
+    });
+
+    it('accepts public IP literals', async () => {
+        assert.equal(await isPublicWebhookURL('https://8.8.8.8/hook'), true);
+        assert.equal(await isPublicWebhookURL('http://[2606:4700:4700::1111]/hook'), true);
+    });
+
+    it('checks every address a hostname resolves to', async () => {
+        mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+        assert.equal(await isPublicWebhookURL('https://hooks.example.com/'), false);
+
+        mock.restoreAll();
+        mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+        assert.equal(await isPublicWebhookURL('https://hooks.example.com/'), true);
+    });
+
+    it('refuses hostnames that do not resolve', async () => {
+        mock.method(dns.promises, 'lookup', async () => {
+            throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+        });
+        assert.equal(await isPublicWebhookURL('https://missing.example.com/'), false);
+    });
+});
+
+describe('deliverWebhook', () => {
+    it('does not connect when the host resolves to a private address at delivery time (DNS rebinding)', async () => {
+        let receivedRequests = 0;
+        const server = http.createServer((req, res) => {
+            receivedRequests += 1;
+            res.end('ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        const delivery = {
+            _id: 'delivery-1',
+            webhook: 'webhook-1',
+            event: 'lead.created',
+            payload: { id: 'event-1' },
+            status: 'Pending',
+            attempts: 0,
+            save: mock.fn(async () => { }),
+        };
+        mock.method(WebhookDelivery, 'findById', async () => delivery);
+        mock.method(Webhook, 'findById', async () => ({ url: `http://rebind.example.com:${port}/hook`, isActive: true, secret: 'whsec_test' }));
+        // The first answer is public, the answer of the connection is loopback
+        mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+        mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+        try {
+            await deliverWebhook(delivery._id);
+        } finally {
+            server.close();
+        }
+
+        assert.equal(receivedRequests, 0);
+        assert.equal(delivery.error, 'Webhook URL does not resolve to a public address');
+        assert.equal(delivery.responseBody, null);
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.status, 'Pending');
+        assert.equal(delivery.save.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,317 @@
+/*
+|---------------------------------------------------------------------------
+| Analytics
+|---------------------------------------------------------------------------
+| Aggregation pipelines behind the analytics API. Leads count in the period they
+| were created in, times are in seconds (first response time only counts business hours).
+| Satisfaction (CSAT) ratings go from 1 to 5, the CSAT score is the percentage of 4 and 5 ratings.
+| Ratings count in the period they were submitted in, whenever the lead was created.
+|
+| - `parseAnalyticsRange`: Reads `from`, `to`, `bucket` (day, week or month) and `timezone` from the query.
+| - `getPreviousRange`: The period of the same length right before a range.
+| - `getLeadSummary`: Lead totals (counts, resolution rate, response and resolution times, CSAT) of a range, or all time.
+| - `getLeadMetrics`: Lead totals of a range and the same metrics per day, week (ISO) or month.
+| - `comparePeriods`: Difference of every metric with the previous period.
+| - `getAgentMetrics`: Tickets handled and resolved, messages sent, first response and resolution time per agent,
+|   the time they held the tickets while unresolved (from the assignment history) and their CSAT ratings.
+| - `getMissedChatGraph`: Missed chats of the last weeks (dashboard graph).
+|
+| `from` and `to` accept `YYYY-MM-DD` (local days of the timezone, `to` included) or ISO date times.
+| Without them the range covers the last 30 days. Ranges are limited to 2 years.
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import Lead from "../modal/lead-modal.js";
+import User from "../modal/user-modal.js";
+import { getZonedParts, isValidTimezone, zonedTimeToDate } from "./businessHours.js";
+import { CSAT_SATISFIED_RATING } from "./csat.js";
+import RouteCode from "./httpStatus.js";
+import { getTimeOnTicket } from "./ticketHistory.js";
+
+export const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+// Must give the same keys as `bucketKey`
+const BUCKET_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 2 * 366;
+const GRAPH_WEEKS = 10;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day of an instant, as the UTC midnight of that day
+function toLocalDay(date, timezone) {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Instant at which a local calendar day (UTC midnight of it) starts in a timezone
+const startOfLocalDay = (localDay, timezone) => zonedTimeToDate(localDay.getUTCFullYear(), localDay.getUTCMonth() + 1, localDay.getUTCDate(), 0, timezone);
+
+const formatLocalDay = (localDay) => `${localDay.getUTCFullYear()}-${pad(localDay.getUTCMonth() + 1)}-${pad(localDay.getUTCDate())}`;
+
+function bucketKey(localDay, bucket) {
+    if (bucket === 'day') return formatLocalDay(localDay);
+    if (bucket === 'month') return `${localDay.getUTCFullYear()}-${pad(localDay.getUTCMonth() + 1)}`;
+
+    // ISO week: Monday to Sunday, it belongs to the year of its Thursday
+    const thursday = new Date(localDay.getTime() + (3 - (localDay.getUTCDay() + 6) % 7) * DAY_MS);
+    const weekYear = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / DAY_MS / 7) + 1;
+    return `${weekYear}-W${pad(week)}`;
+}
+
+// Every bucket of a range, including the empty ones
+function listBuckets({ from, to, bucket, timezone }) {
+    const buckets = [];
+    const lastDay = toLocalDay(new Date(to.getTime() - 1), timezone);
+
+    for (let localDay = toLocalDay(from, timezone); localDay <= lastDay; localDay = new Date(localDay.getTime() + DAY_MS)) {
+        const key = bucketKey(localDay, bucket);
+        if (buckets.at(-1)?.key !== key) buckets.push({ key, startDate: formatLocalDay(localDay) });
+    }
+    return buckets;
+}
+
+function parseDate(value, timezone, isEnd) {
+    if (DATE_FORMAT.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        const localDay = new Date(Date.UTC(year, month - 1, day));
+        if (formatLocalDay(localDay) !== value) return null;
+        // The end day is included
+        return startOfLocalDay(isEnd ? new Date(localDay.getTime() + DAY_MS) : localDay, timezone);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function parseAnalyticsRange(query, defaultTimezone = 'UTC') {
+    const { from, to, bucket = 'day', timezone = defaultTimezone } = query;
+    if (!ANALYTICS_BUCKETS.includes(bucket)) throw new CustomError(`Bucket must be one of: ${ANALYTICS_BUCKETS.join(', ')}`, RouteCode.BAD_REQUEST.statusCode);
+    if (!isValidTimezone(timezone)) throw new CustomError('Invalid timezone!', RouteCode.BAD_REQUEST.statusCode);
+
+    const toDate = to ? parseDate(to, timezone, true) : new Date();
+    if (!toDate) throw new CustomError('Invalid end date!', RouteCode.BAD_REQUEST.statusCode);
+
+    const defaultFrom = startOfLocalDay(new Date(toLocalDay(new Date(toDate.getTime() - 1), timezone).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS), timezone);
+    const fromDate = from ? parseDate(from, timezone, false) : defaultFrom;
+    if (!fromDate) throw new CustomError('Invalid start date!', RouteCode.BAD_REQUEST.statusCode);
+
+    if (fromDate >= toDate) throw new CustomError('The start date must be before the end date!', RouteCode.BAD_REQUEST.statusCode);
+    if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) throw new CustomError('The date range can not be longer than 2 years!', RouteCode.BAD_REQUEST.statusCode);
+
+    return { from: fromDate, to: toDate, bucket, timezone };
+}
+
+export function getPreviousRange(range) {
+    const duration = range.to.getTime() - range.from.getTime();
+    return { ...range, from: new Date(range.from.getTime() - duration), to: range.from };
+}
+
+const inRange = ({ from, to }) => ({ $gte: from, $lt: to });
+
+// Resolution time (seconds) of a resolved lead, resolutions are tracked by the SLA resolution target
+const resolutionTime = {
+    $cond: [
+        { $and: [{ $eq: ['$status', 'Resolved'] }, { $gt: ['$sla.resolution.achievedAt', null] }] },
+        { $divide: [{ $subtract: ['$sla.resolution.achievedAt', '$createdAt'] }, 1000] },
+        null,
+    ]
+};
+
+const leadMetricGroup = {
+    totalLeads: { $sum: 1 },
+    resolvedLeads: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+    missedChats: { $sum: { $cond: ['$isMissedChat', 1, 0] } },
+    offlineLeads: { $sum: { $cond: ['$receivedOffline', 1, 0] } },
+    // $avg skips the nulls: unanswered and unresolved leads
+    averageResponseTime: { $avg: { $cond: [{ $gt: ['$responseTime', 0] }, '$responseTime', null] } },
+    averageResolutionTime: { $avg: resolutionTime },
+};
+
+const csatMetricGroup = {
+    csatResponses: { $sum: 1 },
+    satisfiedResponses: { $sum: { $cond: [{ $gte: ['$csat.rating', CSAT_SATISFIED_RATING] }, 1, 0] } },
+    averageCsat: { $avg: '$csat.rating' },
+};
+
+// All time without a range
+const createdIn = (range) => range ? { createdAt: inRange(range) } : {};
+const csatSubmittedIn = (range) => ({ 'csat.submittedAt': range ? inRange(range) : { $ne: null } });
+const rangeMatch = (workspaceQuery, range) => range ? { ...workspaceQuery, $or: [createdIn(range), csatSubmittedIn(range)] } : workspaceQuery;
+
+// One decimal, ratings are small numbers
+const roundRating = (value) => Math.round((value ?? 0) * 10) / 10;
+
+const formatLeadMetrics = (row) => ({
+    totalLeads: row?.totalLeads ?? 0,
+    resolvedLeads: row?.resolvedLeads ?? 0,
+    resolutionRate: row?.totalLeads ? Math.round((row.resolvedLeads / row.totalLeads) * 100) : 0,
+    missedChats: row?.missedChats ?? 0,
+    offlineLeads: row?.offlineLeads ?? 0,
+    averageResponseTime: Math.round(row?.averageResponseTime ?? 0),
+    averageResolutionTime: Math.round(row?.averageResolutionTime ?? 0),
+});
+
+const formatCsatMetrics = (row) => ({
+    csatResponses: row?.csatResponses ?? 0,
+    averageCsat: roundRating(row?.averageCsat),
+    csatScore: row?.csatResponses ? Math.round((row.satisfiedResponses / row.csatResponses) * 100) : 0,
+});
+
+export async function getLeadSummary(workspaceQuery, range = null) {
+    const [{ leads, csat }] = await Lead.aggregate([
+        { $match: rangeMatch(workspaceQuery, range) },
+        {
+            $facet: {
+                leads: [{ $match: createdIn(range) }, { $group: { _id: null, ...leadMetricGroup } }],
+                csat: [{ $match: csatSubmittedIn(range) }, { $group: { _id: null, ...csatMetricGroup } }],
+            }
+        },
+    ]);
+    return { ...formatLeadMetrics(leads[0]), ...formatCsatMetrics(csat[0]) };
+}
+
+export async function getLeadMetrics(workspaceQuery, range) {
+    const bucketOf = (date) => ({ $dateToString: { format: BUCKET_FORMATS[range.bucket], date, timezone: range.timezone } });
+    const [{ summary, series, csatSummary, csatSeries }] = await Lead.aggregate([
+        { $match: rangeMatch(workspaceQuery, range) },
+        {
+            $facet: {
+                summary: [{ $match: createdIn(range) }, { $group: { _id: null, ...leadMetricGroup } }],
+                series: [{ $match: createdIn(range) }, { $group: { _id: bucketOf('$createdAt'), ...leadMetricGroup } }],
+                csatSummary: [{ $match: csatSubmittedIn(range) }, { $group: { _id: null, ...csatMetricGroup } }],
+                csatSeries: [{ $match: csatSubmittedIn(range) }, { $group: { _id: bucketOf('$csat.submittedAt'), ...csatMetricGroup } }],
+            }
+        },
+    ]);
+
+    return {
+        summary: { ...formatLeadMetrics(summary[0]), ...formatCsatMetrics(csatSummary[0]) },
+        series: listBuckets(range).map(({ key, startDate }) => ({
+            bucket: key,
+            startDate,
+            ...formatLeadMetrics(series.find(row => row._id === key)),
+            ...formatCsatMetrics(csatSeries.find(row => row._id === key)),
+        })),
+    };
+}
+
+export function comparePeriods(current, previous) {
+    return Object.fromEntries(Object.keys(current).map(key => [key, {
+        change: current[key] - previous[key],
+        // No percentage from zero
+        changePercent: previous[key] === 0 ? null : Math.round(((current[key] - previous[key]) / previous[key]) * 100),
+    }]));
+}
+
+// Total time on tickets and number of tickets held per agent, leads without assignment history are left out
+async function getTimeOnTickets(query, now = new Date()) {
+    const totals = new Map();
+    const cursor = Lead.find({ ...query, 'assignmentHistory.0': { $exists: true } })
+        .select('status assignmentHistory statusHistory')
+        .lean()
+        .cursor();
+
+    for await (const lead of cursor) {
+        getTimeOnTicket(lead, now).forEach((seconds, agentID) => {
+            const total = totals.get(agentID) ?? { seconds: 0, tickets: 0 };
+            totals.set(agentID, { seconds: total.seconds + seconds, tickets: total.tickets + 1 });
+        });
+    }
+    return totals;
+}
+
+export async function getAgentMetrics(workspaceQuery, range) {
+    const createdInRange = { ...workspaceQuery, createdAt: inRange(range) };
+    const foundAgents = await User.find({ workspace: workspaceQuery.workspace }).select('firstName lastName email userRole');
+
+    // Every agent the lead was assigned to, counted once per lead
+    const handledCounts = await Lead.aggregate([
+        { $match: createdInRange },
+        {
+            $project: {
+                agents: {
+                    $setUnion: [
+                        { $ifNull: ['$assigneeList', []] },
+                        { $cond: [{ $gt: ['$currentAssignee', null] }, ['$currentAssignee'], []] },
+                    ]
+                }
+            }
+        },
+        { $unwind: '$agents' },
+        { $group: { _id: '$agents', ticketsHandled: { $sum: 1 } } },
+    ]);
+
+    // Tickets resolved during the range, credited to the assignee that resolved them
+    const resolvedCounts = await Lead.aggregate([
+        { $match: { ...workspaceQuery, status: 'Resolved', currentAssignee: { $ne: null }, 'sla.resolution.achievedAt': inRange(range) } },
+        { $group: { _id: '$currentAssignee', ticketsResolved: { $sum: 1 }, averageResolutionTime: { $avg: resolutionTime } } },
+    ]);
+
+    // The first response time belongs to the agent who sent the first reply
+    const firstResponses = await Lead.aggregate([
+        { $match: { ...createdInRange, responseTime: { $gt: 0 } } },
+        {
+            $lookup: {
+                from: LeadConversation.collection.name,
+                let: { leadID: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$leadID', '$$leadID'] }, sendBy: 'Member' } },
+                    { $sort: { createdAt: 1 } },
+                    { $limit: 1 },
+                    { $project: { assigneeID: 1 } },
+                ],
+                as: 'firstReply',
+            }
+        },
+        { $unwind: '$firstReply' },
+        { $group: { _id: '$firstReply.assigneeID', averageFirstResponseTime: { $avg: '$responseTime' } } },
+    ]);
+
+    const messageCounts = await LeadConversation.aggregate([
+        { $match: { sendBy: 'Member', assigneeID: { $in: foundAgents.map(agent => agent._id) }, createdAt: inRange(range) } },
+        { $group: { _id: '$assigneeID', messagesSent: { $sum: 1 } } },
+    ]);
+
+    const timeOnTickets = await getTimeOnTickets(createdInRange);
+
+    // Ratings submitted during the range, credited to the assignee the lead rated
+    const csatRatings = await Lead.aggregate([
+        { $match: { ...workspaceQuery, ...csatSubmittedIn(range) } },
+        { $group: { _id: '$csat.agent', csatResponses: { $sum: 1 }, averageCsat: { $avg: '$csat.rating' } } },
+    ]);
+
+    const findRow = (rows, agent) => rows.find(row => row._id?.toString() === agent._id.toString());
+    const timeOf = (agent) => timeOnTickets.get(agent._id.toString()) ?? { seconds: 0, tickets: 0 };
+
+    return foundAgents
+        .map(agent => ({
+            id: agent._id,
+            name: `${agent.firstName} ${agent.lastName}`.trim(),
+            email: agent.email,
+            role: agent.userRole,
+            ticketsHandled: findRow(handledCounts, agent)?.ticketsHandled ?? 0,
+            ticketsResolved: findRow(resolvedCounts, agent)?.ticketsResolved ?? 0,
+            messagesSent: findRow(messageCounts, agent)?.messagesSent ?? 0,
+            averageFirstResponseTime: Math.round(findRow(firstResponses, agent)?.averageFirstResponseTime ?? 0),
+            averageResolutionTime: Math.round(findRow(resolvedCounts, agent)?.averageResolutionTime ?? 0),
+            timeOnTickets: Math.round(timeOf(agent).seconds),
+            averageTimeOnTicket: Math.round(timeOf(agent).seconds / (timeOf(agent).tickets || 1)),
+            csatResponses: findRow(csatRatings, agent)?.csatResponses ?? 0,
+            averageCsat: roundRating(findRow(csatRatings, agent)?.averageCsat),
+        }))
+        .sort((a, b) => b.ticketsHandled - a.ticketsHandled || b.messagesSent - a.messagesSent);
+}
+
+// Missed chats per week over the last 10 weeks, the current week last
+export async function getMissedChatGraph(workspaceQuery, timezone = 'UTC', now = new Date()) {
+    const today = toLocalDay(now, timezone);
+    const currentMonday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+    const from = startOfLocalDay(new Date(currentMonday.getTime() - (GRAPH_WEEKS - 1) * 7 * DAY_MS), timezone);
+
+    const { series } = await getLeadMetrics(workspaceQuery, { from, to: now, bucket: 'week', timezone });
+    return series.map(row => row.missedChats);
+}
@@ -0,0 +1,71 @@
+/*
+|---------------------------------------------------------------------------
+| Attachment Helpers
+|---------------------------------------------------------------------------
+| - `saveAttachments`: Stores uploaded files through the storage adapter and records them.
+| - `formatAttachment`: Shapes an `Attachment` document for the clients.
+| - `sendAttachment`: Streams an attachment file in the response.
+| - `removeLeadAttachments`: Deletes the files and records of a lead (lead deletion).
+*/
+
+import path from "path";
+import { v4 as uuidv4 } from 'uuid';
+import Attachment from "../modal/attachment-modal.js";
+import { getStorage, STORAGE_DRIVER } from "./storage/index.js";
+
+export async function saveAttachments({ files = [], lead, uploadedBy, uploader = null }) {
+    const storage = getStorage();
+    const savedAttachments = [];
+
+    for (const file of files) {
+        const storageKey = `${lead.workspace}/${lead._id}/${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+        await storage.save(storageKey, file.buffer);
+
+        const newAttachment = new Attachment({
+            workspace: lead.workspace,
+            leadID: lead._id,
+            uploadedBy,
+            uploader,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storage: STORAGE_DRIVER,
+            storageKey,
+        });
+        await newAttachment.save();
+        savedAttachments.push(newAttachment);
+    }
+
+    return savedAttachments;
+}
+
+export const formatAttachment = (attachment) => ({
+    attachmentID: attachment._id,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedBy: attachment.uploadedBy,
+});
+
+export function sendAttachment(res, attachment) {
+    // Images are shown inline, every other file is downloaded
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+        'Cache-Control': 'private, no-store',
+    });
+
+    const stream = getStorage(attachment.storage).createReadStream(attachment.storageKey);
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
+}
+
+export async function removeLeadAttachments(leadID) {
+    const foundAttachments = await Attachment.find({ leadID });
+    for (const attachment of foundAttachments) {
+        await getStorage(attachment.storage).remove(attachment.storageKey);
+    }
+    await Attachment.deleteMany({ leadID });
+}
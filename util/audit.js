@@ -0,0 +1,74 @@
+/*
+|---------------------------------------------------------------------------
+| Audit Log
+|---------------------------------------------------------------------------
+| Records the administrative and ticket actions of a workspace (see `AuditLog`).
+|
+| - `recordAudit`: Appends an entry. The request (IP, user agent) and the actor are optional,
+|   actions of the server itself are recorded without them. Never throws, a failing audit
+|   write is logged and does not fail the action.
+| - `changedValues`: Keeps the values that differ between two snapshots, `{ before, after }`.
+| - `auditTarget`: Target of an entry (`{ type, id, label }`) for a member, ticket, role, etc.
+| - `formatAuditLog`: Shapes an entry for the audit log endpoint.
+*/
+
+import AuditLog from "../modal/audit-log-modal.js";
+
+const actorName = (actor) => actor ? `${actor.firstName} ${actor.lastName}`.trim() : 'System';
+
+export const auditTarget = {
+    user: (user) => ({ type: 'User', id: user._id, label: user.email }),
+    lead: (lead) => ({ type: 'Lead', id: lead._id, label: lead.ticketID ?? null }),
+    role: (role) => ({ type: 'Role', id: role._id, label: role.name }),
+    invitation: (invitation) => ({ type: 'Invitation', id: invitation._id, label: invitation.email }),
+    settings: (settings) => ({ type: 'ChatbotSettings', id: settings._id, label: null }),
+    workspace: (workspace) => ({ type: 'Workspace', id: workspace._id, label: workspace.name }),
+};
+
+// Plain values, comparable with JSON (ObjectIds and dates become strings)
+const toPlain = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value?.toObject?.() ?? value));
+
+export function changedValues(before, after) {
+    const plainBefore = toPlain(before) ?? {};
+    const plainAfter = toPlain(after) ?? {};
+    const keys = [...new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])]
+        .filter(key => JSON.stringify(plainBefore[key]) !== JSON.stringify(plainAfter[key]));
+
+    return {
+        before: Object.fromEntries(keys.map(key => [key, plainBefore[key] ?? null])),
+        after: Object.fromEntries(keys.map(key => [key, plainAfter[key] ?? null])),
+    };
+}
+
+export async function recordAudit({ req = null, actor = null, workspace, action, target, before = null, after = null }) {
+    try {
+        return await AuditLog.create({
+            workspace: workspace ?? actor?.workspace,
+            actor: actor?._id ?? null,
+            actorName: actorName(actor),
+            action,
+            targetType: target.type,
+            targetID: target.id ?? null,
+            targetLabel: target.label ?? null,
+            before: toPlain(before),
+            after: toPlain(after),
+            ip: req?.ip ?? null,
+            userAgent: req?.get?.('user-agent')?.slice(0, 512) ?? null,
+        });
+    } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+        return null;
+    }
+}
+
+export const formatAuditLog = (entry) => ({
+    id: entry._id,
+    action: entry.action,
+    actor: entry.actor ? { id: entry.actor, name: entry.actorName } : null,
+    target: { type: entry.targetType, id: entry.targetID, label: entry.targetLabel },
+    before: entry.before,
+    after: entry.after,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    createdAt: entry.createdAt,
+});
@@ -0,0 +1,164 @@
+/*
+|---------------------------------------------------------------------------
+| Business Hours
+|---------------------------------------------------------------------------
+| Working time of a workspace from its chatbot settings: weekly opening hours
+| in a timezone (`businessHours`) and a holiday calendar (`holidays`).
+| When business hours are disabled the team is considered always available.
+|
+| - `isValidTimezone`: Tells whether an IANA timezone (e.g. `Europe/Paris`) is known.
+| - `getAvailability`: Whether the team is working now, and when it opens next.
+| - `addBusinessTime`: The time at which a duration of working time has elapsed from a start.
+| - `businessTimeBetween`: Working time (ms) between two dates.
+| - `getZonedParts` / `zonedTimeToDate`: Wall clock parts of an instant in a timezone, and back.
+|
+| Schedule entries are `{ day: 0-6 (Sunday = 0), open: 'HH:mm', close: 'HH:mm' }`,
+| `close` can be `24:00`. Holidays are `{ date: 'YYYY-MM-DD', name, recurring }`,
+| recurring holidays repeat every year on the same day.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest span searched for working time (2 years)
+const MAX_DAYS = 2 * 366;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimezone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall clock parts of an instant in a timezone
+export function getZonedParts(date, timeZone) {
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+    };
+}
+
+function getOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// Instant of a wall clock time in a timezone (minutes since midnight, can be 1440)
+export function zonedTimeToDate(year, month, day, minutes, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const firstTry = guess - getOffset(new Date(guess), timeZone);
+    // Correct once more around daylight saving changes
+    return new Date(guess - getOffset(new Date(firstTry), timeZone));
+}
+
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+const isBusinessHoursEnabled = (settings) => Boolean(settings?.businessHours?.enabled);
+
+// Schedules without any opening interval are never open, no need to search for one
+const hasOpenInterval = (settings) => (settings.businessHours.schedule ?? []).some(entry => toMinutes(entry.close) > toMinutes(entry.open));
+
+function isHoliday(settings, year, month, day) {
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return (settings.holidays ?? []).some(holiday => holiday.recurring
+        ? holiday.date.slice(5) === date.slice(5)
+        : holiday.date === date);
+}
+
+// Working intervals [start, end] of the local day `offset` days after the local day of `date`
+function getDayIntervals(settings, date, offset) {
+    const { timezone = 'UTC', schedule = [] } = settings.businessHours;
+    const local = getZonedParts(date, timezone);
+    // Noon avoids jumping two days around daylight saving changes
+    const dayDate = new Date(Date.UTC(local.year, local.month - 1, local.day, 12) + offset * DAY_MS);
+    const year = dayDate.getUTCFullYear();
+    const month = dayDate.getUTCMonth() + 1;
+    const day = dayDate.getUTCDate();
+
+    if (isHoliday(settings, year, month, day)) return [];
+
+    return schedule
+        .filter(entry => entry.day === dayDate.getUTCDay())
+        .map(entry => [
+            zonedTimeToDate(year, month, day, toMinutes(entry.open), timezone),
+            zonedTimeToDate(year, month, day, toMinutes(entry.close), timezone),
+        ])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+}
+
+export function getAvailability(settings, now = new Date()) {
+    if (!isBusinessHoursEnabled(settings)) return { isOnline: true, nextOpenAt: null };
+    if (!hasOpenInterval(settings)) return { isOnline: false, nextOpenAt: null };
+
+    for (let offset = 0; offset <= MAX_DAYS; offset++) {
+        for (const [start, end] of getDayIntervals(settings, now, offset)) {
+            if (end <= now) continue;
+            if (start <= now) return { isOnline: true, nextOpenAt: null, closesAt: end };
+            return { isOnline: false, nextOpenAt: start };
+        }
+    }
+    return { isOnline: false, nextOpenAt: null };
+}
+
+// Null when the schedule never opens
+export function addBusinessTime(start, minutes, settings) {
+    const startDate = new Date(start);
+    let remaining = minutes * 60 * 1000;
+    if (!isBusinessHoursEnabled(settings)) return new Date(startDate.getTime() + remaining);
+    if (!hasOpenInterval(settings)) return null;
+
+    // Starts on the previous local day, an interval of the day before can still be open
+    for (let offset = -1; offset <= MAX_DAYS; offset++) {
+        for (const [intervalStart, intervalEnd] of getDayIntervals(settings, startDate, offset)) {
+            if (intervalEnd <= startDate) continue;
+            const from = intervalStart > startDate ? intervalStart : startDate;
+            const available = intervalEnd - from;
+            if (remaining <= available) return new Date(from.getTime() + remaining);
+            remaining -= available;
+        }
+    }
+    return null;
+}
+
+export function businessTimeBetween(start, end, settings) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (endDate <= startDate) return 0;
+    if (!isBusinessHoursEnabled(settings)) return endDate - startDate;
+    if (!hasOpenInterval(settings)) return 0;
+
+    const days = Math.min(Math.ceil((endDate - startDate) / DAY_MS) + 1, MAX_DAYS);
+    let total = 0;
+    for (let offset = -1; offset <= days; offset++) {
+        for (const [intervalStart, intervalEnd] of getDayIntervals(settings, startDate, offset)) {
+            const from = Math.max(intervalStart, startDate);
+            const to = Math.min(intervalEnd, endDate);
+            if (to > from) total += to - from;
+        }
+    }
+    return total;
+}
@@ -0,0 +1,76 @@
+/*
+|---------------------------------------------------------------------------
+| Conversation Helpers
+|---------------------------------------------------------------------------
+| Shared queries on `LeadConversation` used by both the widget (lead) and the
+| dashboard (chat) controllers.
+|
+| - `findMessagesSince`: Messages of a lead posted after a given message (reconnect catch-up).
+| - `sendMemberMessage`: Posts an agent reply (with optional attachments), tracks the first response time and the
+|   SLA targets (missed chat flag included), pushes the message to the lead and the agents, emails the lead
+|   when offline and emits the `message.posted` webhook event. The agent has read the conversation up to it.
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import ChatbotSettings from "../modal/chat-bot-modal.js";
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import { businessTimeBetween } from "./businessHours.js";
+import RouteCode from "./httpStatus.js";
+import { sendLeadReplyMail } from "./mail/index.js";
+import { markAsRead } from "./readCursor.js";
+import { formatMessage, publishToAgents, publishToLead } from "./realtime.js";
+import { recordAgentReply } from "./sla.js";
+import { emitLeadEvent } from "./webhook.js";
+
+// Messages of a lead posted after the message `sinceID` (all messages when not provided)
+export async function findMessagesSince(leadID, sinceID, extraQuery = {}) {
+    const query = { leadID, ...extraQuery };
+
+    if (sinceID) {
+        if (!mongoose.isValidObjectId(sinceID)) throw new CustomError('Invalid message ID!', RouteCode.BAD_REQUEST.statusCode);
+
+        const sinceMessage = await LeadConversation.findOne({ _id: sinceID, leadID });
+        if (!sinceMessage) throw new CustomError('Message not found!', RouteCode.NOT_FOUND.statusCode);
+
+        query.createdAt = { $gte: sinceMessage.createdAt };
+        query._id = { $ne: sinceMessage._id };
+    }
+
+    return LeadConversation.find(query).populate('assigneeID').populate('attachments').sort({ createdAt: 1 });
+}
+
+export async function sendMemberMessage(lead, user, message, attachments = []) {
+    // Check if the lead is Missed Chat and set the responseTime
+    const now = new Date();
+    const isFirstMessage = lead.responseTime === 0;
+
+    if (isFirstMessage) {
+        // Only the time inside business hours counts, at least 1s as 0 means "no response yet"
+        const chatbotSettings = await ChatbotSettings.findOne({ workspace: lead.workspace });
+        const responseTimeInMs = businessTimeBetween(lead.createdAt, now, chatbotSettings);
+        lead.responseTime = Math.max(Math.floor(responseTimeInMs / 1000), 1);
+    }
+
+    // SLA targets, a late first response marks the lead as Missed Chat
+    await recordAgentReply(lead, now);
+    await lead.save();
+
+    const newConversation = new LeadConversation({
+        leadID: lead._id,
+        message,
+        sendBy: 'Member',
+        assigneeID: user._id,
+        attachments,
+    });
+
+    await newConversation.save();
+
+    const payload = formatMessage(newConversation, user.firstName);
+    publishToLead(lead._id, 'message', payload, newConversation._id);
+    publishToAgents(lead, 'message', payload, newConversation._id);
+    await markAsRead(lead, user, newConversation._id);
+    sendLeadReplyMail(lead, user, message);
+    emitLeadEvent(lead, 'message.posted', { message: payload });
+    return newConversation;
+}
@@ -0,0 +1,40 @@
+/*
+|---------------------------------------------------------------------------
+| Customer Satisfaction (CSAT)
+|---------------------------------------------------------------------------
+| Once a ticket is resolved, the widget asks the lead to rate the conversation (1 to 5, with
+| an optional comment). The survey is turned on and worded in the bot settings (`csat`), each
+| ticket accepts a single answer, credited to the assignee of the ticket at that time.
+|
+| - `validateCsat`: Checks a rating and comment, returns an error message or null.
+| - `canRateTicket`: Tells whether the lead can still answer the survey of a ticket.
+| - `formatCsat`: Answer of a ticket, null when the lead did not answer.
+| - `formatCsatSettings`: Survey texts for the widget and the bot settings.
+*/
+
+export const CSAT_RATINGS = [1, 2, 3, 4, 5];
+// Ratings of 4 and 5 count as satisfied
+export const CSAT_SATISFIED_RATING = 4;
+const COMMENT_LIMIT = 1000;
+export const CSAT_TEXTS = ['question', 'commentPlaceholder', 'thankYouMessage'];
+
+export function validateCsat({ rating, comment }) {
+    if (!CSAT_RATINGS.includes(Number(rating))) return 'Rating must be a number from 1 to 5!';
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') return 'Invalid comment!';
+    if (comment?.length > COMMENT_LIMIT) return `Comment can not be longer than ${COMMENT_LIMIT} characters!`;
+    return null;
+}
+
+export const canRateTicket = (lead, chatbotSettings) => Boolean(chatbotSettings?.csat?.enabled) && lead.status === 'Resolved' && !lead.csat?.submittedAt;
+
+export const formatCsat = (lead) => lead.csat?.submittedAt ? {
+    rating: lead.csat.rating,
+    comment: lead.csat.comment,
+    agent: lead.csat.agent,
+    submittedAt: lead.csat.submittedAt,
+} : null;
+
+export const formatCsatSettings = (csat) => ({
+    enabled: Boolean(csat?.enabled),
+    ...Object.fromEntries(CSAT_TEXTS.map(key => [key, csat?.[key]])),
+});
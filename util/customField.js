@@ -0,0 +1,67 @@
+/*
+|---------------------------------------------------------------------------
+| Ticket Properties
+|---------------------------------------------------------------------------
+| Validates the priority, tags and custom field values agents set on a ticket.
+|
+| - `normalizeTags`: Trims, lowercases and de-duplicates a list (or comma separated string) of tags.
+| - `normalizeCustomFieldValue`: Checks a value against the type of its custom field
+|   and converts it (numbers, dates). Empty values clear the field (null).
+| - `formatCustomFields`: Custom field values of a lead as a plain object.
+| - `formatCustomField`: Shapes a `CustomField` definition for the clients.
+*/
+
+import { CustomError } from "../middleware/errorMiddleware.js";
+import RouteCode from "./httpStatus.js";
+
+export const CUSTOM_FIELD_KEY = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_TEXT_LENGTH = 500;
+
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) throw new CustomError('Tags must be a list!', RouteCode.BAD_REQUEST.statusCode);
+
+    const normalized = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) throw new CustomError(`A ticket can have up to ${MAX_TAGS} tags!`, RouteCode.BAD_REQUEST.statusCode);
+    if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) throw new CustomError(`Tags can have up to ${MAX_TAG_LENGTH} characters!`, RouteCode.BAD_REQUEST.statusCode);
+    return normalized;
+}
+
+export function normalizeCustomFieldValue(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+    const invalid = () => new CustomError(`Invalid value for ${field.label}!`, RouteCode.BAD_REQUEST.statusCode);
+
+    switch (field.type) {
+        case 'number': {
+            const number = Number(value);
+            if (typeof value === 'boolean' || !Number.isFinite(number)) throw invalid();
+            return number;
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) throw invalid();
+            return date;
+        }
+        case 'select':
+            if (!field.options.includes(String(value))) throw invalid();
+            return String(value);
+        default: {
+            const text = String(value).trim();
+            if (text.length > MAX_TEXT_LENGTH) throw invalid();
+            return text || null;
+        }
+    }
+}
+
+export const formatCustomFields = (lead) => Object.fromEntries(lead.customFields ?? []);
+
+export const formatCustomField = (field) => ({
+    fieldID: field._id,
+    key: field.key,
+    label: field.label,
+    type: field.type,
+    options: field.type === 'select' ? field.options : [],
+    position: field.position,
+});
@@ -0,0 +1,59 @@
+/*
+|---------------------------------------------------------------------------
+| Background Jobs
+|---------------------------------------------------------------------------
+| Periodic jobs run by the scheduler (`util/scheduler.js`). Intervals are in seconds.
+|
+| - `sla-check` (`SLA_CHECK_INTERVAL_SECONDS`, default 60): Flags the breached and at risk SLA
+|   targets of every workspace, which marks the missed chats and sends their email and webhook.
+| - `webhook-retry` (`WEBHOOK_RETRY_CHECK_SECONDS`, default 300): Sends the webhook deliveries
+|   whose retry was lost by a restart or a crash.
+|
+| - `registerJobs`: Registers the jobs above on the scheduler.
+*/
+
+import { configDotenv } from 'dotenv';
+import Workspace from '../modal/workspace-modal.js';
+import { registerJob } from './scheduler.js';
+import { checkSlaTargets } from './sla.js';
+import { retryStalledDeliveries } from './webhook.js';
+
+configDotenv();
+const { SLA_CHECK_INTERVAL_SECONDS = 60, WEBHOOK_RETRY_CHECK_SECONDS = 300 } = process.env;
+
+async function checkWorkspaceSlaTargets({ workspace }) {
+    const workspaceIDs = workspace ? [workspace] : (await Workspace.find().select('_id')).map(item => item._id);
+    let newMissedChats = 0;
+    const failedWorkspaces = [];
+
+    // One broken workspace must not stop the others
+    for (const workspaceID of workspaceIDs) {
+        try {
+            newMissedChats += (await checkSlaTargets(workspaceID)).length;
+        } catch (error) {
+            console.error(`SLA check of workspace ${workspaceID} failed:`, error);
+            failedWorkspaces.push(workspaceID);
+        }
+    }
+
+    // The failing workspaces are in the logs, not in the run history
+    if (failedWorkspaces.length > 0) throw new Error(`SLA check failed for ${failedWorkspaces.length} workspace(s)`);
+    return { workspaces: workspaceIDs.length, newMissedChats };
+}
+
+async function retryWebhookDeliveries({ workspace }) {
+    return { delivered: await retryStalledDeliveries(workspace) };
+}
+
+export function registerJobs() {
+    registerJob('sla-check', {
+        description: 'Flags breached and at risk SLA targets and detects missed chats',
+        intervalSeconds: SLA_CHECK_INTERVAL_SECONDS,
+        handler: checkWorkspaceSlaTargets,
+    });
+    registerJob('webhook-retry', {
+        description: 'Sends the webhook deliveries whose retry was lost by a restart',
+        intervalSeconds: WEBHOOK_RETRY_CHECK_SECONDS,
+        handler: retryWebhookDeliveries,
+    });
+}
@@ -1,13 +1,14 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { configDotenv } from "dotenv";
 
 // Load environment variables
 configDotenv();
-const { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, RESET_PASSWORD_SECRET } = process.env;
+const { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, RESET_PASSWORD_SECRET, LEAD_SESSION_SECRET } = process.env;
 
 // Function to generate a JWT token (Access, Refresh, or Reset) with an expiration time
-export const generateJWTToken = (user, type, time) => {
-    return jwt.sign({ id: user._id }, type === 'access' ? ACCESS_TOKEN_SECRET : type === 'reset' ? RESET_PASSWORD_SECRET : REFRESH_TOKEN_SECRET, { expiresIn: time || "15m" });
+export const generateJWTToken = (user, type, time, claims = {}) => {
+    return jwt.sign({ id: user._id, ...claims }, type === 'access' ? ACCESS_TOKEN_SECRET : type === 'reset' ? RESET_PASSWORD_SECRET : REFRESH_TOKEN_SECRET, { expiresIn: time || "15m" });
 };
 
 // Function to verify a JWT token
@@ -16,8 +17,29 @@ export const verifyJWTToken = (token, type) => {
     return decoded
 };
 
+// Claims of the access token: the login session, and users who must change their password can only
+// reach the password route
+export const accessTokenClaims = (user, sessionID) => ({ sid: sessionID, ...user.mustChangePassword && { mustChangePassword: true } });
+
+// Function to generate a random single-use token (invitation links)
+export const generateRandomToken = () => crypto.randomBytes(32).toString('hex');
+
+// Function to hash a single-use token before storing it, a leaked database does not leak usable tokens
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Function to check if the token has expired based on its `exp` field
 export const isTokenExpired = (decodedToken) => {
     const currentTimestamp = Math.floor(Date.now() / 1000);
     return decodedToken.exp < currentTimestamp;
-};
\ No newline at end of file
+};
+
+// Function to generate the widget session token of a lead, `ver` is compared with the lead's
+// `sessionVersion` so agents can revoke every token issued before
+export const generateLeadSessionToken = (lead, time) => {
+    return jwt.sign({ id: lead._id, ver: lead.sessionVersion }, LEAD_SESSION_SECRET, { expiresIn: time || "24h" });
+};
+
+// Function to verify the widget session token of a lead (expired tokens are accepted with `ignoreExpiration`)
+export const verifyLeadSessionToken = (token, ignoreExpiration = false) => {
+    return jwt.verify(token, LEAD_SESSION_SECRET, { ignoreExpiration });
+};
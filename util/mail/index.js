@@ -0,0 +1,77 @@
+/*
+|---------------------------------------------------------------------------
+| Email Notifications
+|---------------------------------------------------------------------------
+| Sends the ticket event emails through the mail queue, honoring the email
+| preferences of the users (`User.emailPreferences`) and of the leads
+| (`Lead.emailNotifications`). Sending never fails the request that triggered it,
+| errors are only logged.
+|
+| - `sendNewLeadMail`: New lead to its assignee (to the admins when it waits in the queue).
+| - `sendReassignmentMail`: Reassigned ticket to the new owner.
+| - `sendMissedChatMail`: Newly detected missed chats to the admins of the workspace.
+| - `sendLeadReplyMail`: Agent reply to the lead's email, unless the widget is open.
+| - `sendPasswordResetMail`: Password reset link (always sent, not an opt-out notification).
+| - `sendInvitationMail`: Invitation link of a new member (always sent).
+*/
+
+import User from "../../modal/user-modal.js";
+import { hasSubscribers, leadChannel } from "../realtime.js";
+import { enqueueMail } from "./queue.js";
+import { invitationTemplate, leadReplyTemplate, missedChatTemplate, newLeadTemplate, passwordResetTemplate, reassignmentTemplate } from "./templates.js";
+
+export { registerMailTransport } from "./transports.js";
+export { enqueueMail, flushMailQueue } from "./queue.js";
+
+const wantsEmail = (user, preference) => Boolean(user?.email) && user.emailPreferences?.[preference] !== false;
+
+const findAdmins = (workspaceID) => User.find({ workspace: workspaceID, userRole: 'Admin' });
+
+// Mail errors must not break the controller that triggered the notification
+const safely = (notify) => async (...args) => {
+    try {
+        await notify(...args);
+    } catch (error) {
+        console.error('Mail notification error:', error);
+    }
+};
+
+export const sendNewLeadMail = safely(async (lead, message) => {
+    const recipients = lead.currentAssignee
+        ? await User.find({ _id: lead.currentAssignee })
+        : await findAdmins(lead.workspace);
+
+    recipients
+        .filter(recipient => wantsEmail(recipient, 'newLead'))
+        .forEach(recipient => enqueueMail({ to: recipient.email, ...newLeadTemplate({ lead, recipient, message }) }));
+});
+
+export const sendReassignmentMail = safely(async (lead, recipient, actor = null) => {
+    if (!wantsEmail(recipient, 'reassignment')) return;
+    if (actor && actor._id.toString() === recipient._id.toString()) return;
+    enqueueMail({ to: recipient.email, ...reassignmentTemplate({ lead, recipient, actor }) });
+});
+
+export const sendMissedChatMail = safely(async (workspaceID, leads) => {
+    if (leads.length === 0) return;
+    const foundAdmins = await findAdmins(workspaceID);
+
+    foundAdmins
+        .filter(recipient => wantsEmail(recipient, 'missedChat'))
+        .forEach(recipient => enqueueMail({ to: recipient.email, ...missedChatTemplate({ leads, recipient }) }));
+});
+
+export const sendLeadReplyMail = safely(async (lead, agent, message) => {
+    if (!lead.userEmail || lead.emailNotifications === false || lead.isSpam) return;
+    // The lead already sees the reply in the open widget
+    if (hasSubscribers(leadChannel(lead._id))) return;
+    enqueueMail({ to: lead.userEmail, ...leadReplyTemplate({ lead, agent, message }) });
+});
+
+export const sendPasswordResetMail = safely(async (user, link, expiresInMinutes) => {
+    enqueueMail({ to: user.email, ...passwordResetTemplate({ user, link, expiresInMinutes }) });
+});
+
+export const sendInvitationMail = safely(async ({ invitation, inviter, workspace, link, expiresInHours }) => {
+    enqueueMail({ to: invitation.email, ...invitationTemplate({ invitation, inviter, workspace, link, expiresInHours }) });
+});
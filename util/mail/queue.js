@@ -0,0 +1,51 @@
+/*
+|---------------------------------------------------------------------------
+| Mail Queue
+|---------------------------------------------------------------------------
+| Emails are queued in memory and sent one by one in the background, so the
+| requests that trigger them never wait on the mail server. Failed sends are
+| retried with a growing delay (`MAIL_MAX_ATTEMPTS`, default 3) and then logged.
+|
+| - `enqueueMail`: Adds an email ({ to, subject, text, html }) to the queue.
+| - `flushMailQueue`: Resolves once the queue is empty (scripts and tests).
+*/
+
+import { configDotenv } from 'dotenv';
+import { getMailTransport } from './transports.js';
+
+configDotenv();
+const { MAIL_MAX_ATTEMPTS = 3 } = process.env;
+const RETRY_DELAY = 5 * 1000;
+
+const queue = [];
+let processing = null;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function processQueue() {
+    while (queue.length > 0) {
+        const mail = queue.shift();
+        try {
+            await getMailTransport().send(mail);
+        } catch (error) {
+            mail.attempts += 1;
+            if (mail.attempts < Number(MAIL_MAX_ATTEMPTS)) {
+                await wait(RETRY_DELAY * mail.attempts);
+                queue.push(mail);
+            } else {
+                console.error(`Mail to ${mail.to} failed after ${mail.attempts} attempts:`, error);
+            }
+        }
+    }
+    processing = null;
+}
+
+export function enqueueMail({ to, subject, text, html }) {
+    if (!to) return;
+    queue.push({ to, subject, text, html, attempts: 0 });
+    processing ??= processQueue();
+}
+
+export async function flushMailQueue() {
+    while (processing) await processing;
+}
@@ -0,0 +1,102 @@
+/*
+|---------------------------------------------------------------------------
+| Mail Templates
+|---------------------------------------------------------------------------
+| Builds the subject, plain text and HTML body of every notification email.
+| Values coming from leads are escaped before being placed in the HTML.
+*/
+
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+const { DASHBOARD_URL } = process.env;
+
+const escapeHTML = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const leadName = (lead) => lead.userName || 'A visitor';
+
+const PREFERENCES_FOOTER = 'You can turn these emails off in your Hubly notification preferences.';
+
+const layout = (title, paragraphs, link, { linkLabel = 'Open in Hubly', footer = PREFERENCES_FOOTER } = {}) => `
+<div style="font-family: Arial, sans-serif; color: #33475B; max-width: 560px;">
+    <h2 style="color: #33475B;">${escapeHTML(title)}</h2>
+    ${paragraphs.map(paragraph => `<p>${escapeHTML(paragraph)}</p>`).join('\n    ')}
+    ${link ? `<p><a href="${escapeHTML(link)}" style="color: #184E7F;">${escapeHTML(linkLabel)}</a></p>` : ''}
+    <p style="font-size: 12px; color: #808080;">${escapeHTML(footer)}</p>
+</div>`;
+
+const build = (subject, paragraphs, link, options) => ({
+    subject,
+    text: [...paragraphs, link ?? ''].filter(Boolean).join('\n\n'),
+    html: layout(subject, paragraphs, link, options),
+});
+
+const ticketLink = (lead) => DASHBOARD_URL ? `${DASHBOARD_URL}/tickets/${lead._id}` : null;
+
+export const newLeadTemplate = ({ lead, recipient, message }) => build(
+    `New lead: ticket ${lead.ticketID}`,
+    [
+        `Hi ${recipient.firstName},`,
+        `${leadName(lead)} started a new conversation (ticket ${lead.ticketID}) and it is waiting for you.`,
+        message ? `"${message}"` : null,
+    ].filter(Boolean),
+    ticketLink(lead),
+);
+
+export const reassignmentTemplate = ({ lead, recipient, actor }) => build(
+    `Ticket ${lead.ticketID} was assigned to you`,
+    [
+        `Hi ${recipient.firstName},`,
+        `${actor ? `${actor.firstName} ${actor.lastName}` : 'Hubly'} assigned ticket ${lead.ticketID} from ${leadName(lead)} to you.`,
+    ],
+    ticketLink(lead),
+);
+
+export const missedChatTemplate = ({ leads, recipient }) => build(
+    leads.length === 1 ? `Missed chat: ticket ${leads[0].ticketID}` : `${leads.length} missed chats`,
+    [
+        `Hi ${recipient.firstName},`,
+        `These conversations did not get a reply in time: ${leads.map(lead => lead.ticketID).join(', ')}.`,
+    ],
+    DASHBOARD_URL ? `${DASHBOARD_URL}/tickets` : null,
+);
+
+// Account emails can not be turned off
+export const passwordResetTemplate = ({ user, link, expiresInMinutes }) => build(
+    'Reset your Hubly password',
+    [
+        `Hi ${user.firstName},`,
+        `We received a request to reset the password of your Hubly account. The link works once and expires in ${expiresInMinutes} minutes.`,
+        'If you did not ask for it, you can ignore this email: your password stays the same.',
+    ],
+    link,
+    { linkLabel: 'Reset your password', footer: 'This email was sent because a password reset was requested for your account.' },
+);
+
+export const invitationTemplate = ({ invitation, inviter, workspace, link, expiresInHours }) => build(
+    `${inviter.firstName} invited you to ${workspace.name} on Hubly`,
+    [
+        'Hi,',
+        `${inviter.firstName} ${inviter.lastName} invited you to join ${workspace.name} on Hubly as ${invitation.role === 'Admin' ? 'an admin' : 'a member'}.`,
+        `Choose your name and password with the link below. It works once and expires in ${expiresInHours} hours.`,
+    ],
+    link,
+    { linkLabel: 'Accept the invitation', footer: 'If you did not expect this invitation, you can ignore this email.' },
+);
+
+export const leadReplyTemplate = ({ lead, agent, message }) => ({
+    subject: `New reply on your ticket ${lead.ticketID}`,
+    text: [`Hi ${lead.userName || 'there'},`, `${agent.firstName} replied to your conversation:`, message || '(attachment)'].join('\n\n'),
+    html: `
+<div style="font-family: Arial, sans-serif; color: #33475B; max-width: 560px;">
+    <h2>New reply on your ticket ${escapeHTML(lead.ticketID)}</h2>
+    <p>Hi ${escapeHTML(lead.userName || 'there')},</p>
+    <p>${escapeHTML(agent.firstName)} replied to your conversation:</p>
+    <blockquote style="border-left: 3px solid #EEEEEE; padding-left: 12px;">${escapeHTML(message || '(attachment)')}</blockquote>
+</div>`,
+});
@@ -0,0 +1,58 @@
+/*
+|---------------------------------------------------------------------------
+| Mail Transports
+|---------------------------------------------------------------------------
+| Pluggable delivery of the emails. The transport is picked with the
+| `MAIL_TRANSPORT` environment variable:
+|
+| - `smtp` (default when `SMTP_HOST` is set): Sends through an SMTP server with Nodemailer.
+|   Point it to a local stand-in (MailHog, smtp4dev, ...) to test the emails.
+| - `log` (default otherwise): Only logs the emails, for development.
+|
+| A transport implements `send({ to, subject, text, html })`. Other transports
+| (SES, SendGrid, ...) can be added with `registerMailTransport`.
+*/
+
+import { configDotenv } from 'dotenv';
+import nodemailer from 'nodemailer';
+
+configDotenv();
+const { SMTP_HOST, SMTP_PORT = 587, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM = 'Hubly <no-reply@hubly.app>' } = process.env;
+const { MAIL_TRANSPORT = SMTP_HOST ? 'smtp' : 'log' } = process.env;
+
+const createSMTPTransport = () => {
+    let transporter = null;
+    return {
+        async send({ to, subject, text, html }) {
+            // Created on first use so a missing SMTP server does not break the startup
+            transporter ??= nodemailer.createTransport({
+                host: SMTP_HOST,
+                port: Number(SMTP_PORT),
+                secure: SMTP_SECURE === 'true',
+                auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+            });
+            return transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+        },
+    };
+};
+
+const logTransport = {
+    async send({ to, subject }) {
+        console.log(`[mail] To: ${to} | Subject: ${subject}`);
+    },
+};
+
+const transports = new Map([
+    ['smtp', createSMTPTransport()],
+    ['log', logTransport],
+]);
+
+export function registerMailTransport(name, transport) {
+    transports.set(name, transport);
+}
+
+export function getMailTransport(name = MAIL_TRANSPORT) {
+    const transport = transports.get(name);
+    if (!transport) throw new Error(`Mail transport "${name}" is not registered`);
+    return transport;
+}
@@ -0,0 +1,36 @@
+/*
+|---------------------------------------------------------------------------
+| In-App Notifications
+|---------------------------------------------------------------------------
+| Stores a notification for each recipient and pushes it to their realtime
+| stream (`notification` event).
+*/
+
+import Notification from "../modal/notification-modal.js";
+import { publish, userChannel } from "./realtime.js";
+
+export const formatNotification = (notification) => ({
+    notificationID: notification._id,
+    type: notification.type,
+    leadID: notification.leadID,
+    conversationID: notification.conversationID,
+    actorID: notification.actor,
+    message: notification.message,
+    isRead: notification.isRead,
+    createdAt: notification.createdAt,
+});
+
+export async function notifyUsers({ workspace, recipients, type, leadID = null, conversationID = null, actor = null, message }) {
+    const uniqueRecipients = [...new Set(recipients.map(recipient => recipient.toString()))]
+        .filter(recipient => recipient !== actor?.toString());
+    if (uniqueRecipients.length === 0) return [];
+
+    const newNotifications = await Notification.insertMany(uniqueRecipients.map(recipient => ({
+        workspace, recipient, type, leadID, conversationID, actor, message,
+    })));
+
+    newNotifications.forEach(notification => {
+        publish([userChannel(notification.recipient)], 'notification', formatNotification(notification));
+    });
+    return newNotifications;
+}
@@ -0,0 +1,57 @@
+/*
+|---------------------------------------------------------------------------
+| Permissions
+|---------------------------------------------------------------------------
+| Authorization is based on named permissions (see `PERMISSIONS` in `modal/role-modal.js`).
+| Admins hold every permission, members hold the permissions of their custom role, or none:
+| they work on the tickets they are assigned to.
+|
+| - `loadPermissions`: Resolves the permissions of a user, `getReqUser` loads them once per request.
+| - `can`: Tells whether a user (loaded) holds a permission.
+| - `isTicketAssignee`: Tells whether a user is or was an assignee of a ticket.
+| - `canViewTicket` / `canManageTicket`: Ticket level checks, assignees or `tickets.viewAll` /
+|   `tickets.manage`.
+|
+| Routes are protected with `requirePermission` (see `middleware/permission.js`).
+*/
+
+import Role, { PERMISSIONS } from "../modal/role-modal.js";
+
+// Completes "You do not have the permission to ..."
+export const PERMISSION_DESCRIPTIONS = {
+    'members.manage': 'manage the members, invitations and roles',
+    // Bot settings, business hours, routing, SLA policies, custom fields, team replies, webhooks and jobs
+    'settings.manage': 'manage the workspace settings',
+    'analytics.view': 'view the analytics',
+    'data.export': 'export leads, tickets and transcripts',
+    'tickets.viewAll': 'view every ticket of the workspace',
+    'tickets.reassign': 'reassign tickets',
+    'tickets.manage': 'update the status, properties, notes and spam flag of any ticket',
+    'audit.view': 'view the audit log',
+};
+
+export async function loadPermissions(user) {
+    let permissions = [];
+    if (user.userRole === 'Admin') permissions = [...PERMISSIONS];
+    else if (user.role) {
+        const foundRole = await Role.findOne({ _id: user.role, workspace: user.workspace });
+        permissions = foundRole?.permissions ?? [];
+    }
+
+    user.$locals.permissions = permissions;
+    return permissions;
+}
+
+export function can(user, permission) {
+    const permissions = user.$locals?.permissions;
+    if (!permissions) throw new Error('Permissions of the user are not loaded');
+    return permissions.includes(permission);
+}
+
+const sameID = (item, user) => (item?._id ?? item)?.toString() === user._id.toString();
+
+export const isTicketAssignee = (lead, user) => sameID(lead.currentAssignee, user) || (lead.assigneeList ?? []).some(item => sameID(item, user));
+
+export const canViewTicket = (user, lead) => can(user, 'tickets.viewAll') || isTicketAssignee(lead, user);
+
+export const canManageTicket = (user, lead) => can(user, 'tickets.manage') || isTicketAssignee(lead, user);
@@ -0,0 +1,31 @@
+/*
+|---------------------------------------------------------------------------
+| Rate Limit Store
+|---------------------------------------------------------------------------
+| Pluggable storage for the rate limit counters. The store is picked with the
+| `RATE_LIMIT_STORE` environment variable, in-memory is the default.
+|
+| A store implements:
+| - `increment(key, windowMs)`: Counts a hit and returns `{ count, resetAt }` of the current window.
+| - `reset(key)`: Clears the counter of a key.
+|
+| Other stores (Redis, MongoDB, ...) can be added with `registerRateLimitStore`.
+*/
+
+import { configDotenv } from 'dotenv';
+import createMemoryStore from './memoryStore.js';
+
+configDotenv();
+const { RATE_LIMIT_STORE = 'memory' } = process.env;
+
+const stores = new Map([['memory', createMemoryStore()]]);
+
+export function registerRateLimitStore(name, store) {
+    stores.set(name, store);
+}
+
+export function getRateLimitStore(name = RATE_LIMIT_STORE) {
+    const store = stores.get(name);
+    if (!store) throw new Error(`Rate limit store "${name}" is not registered`);
+    return store;
+}
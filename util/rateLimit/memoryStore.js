@@ -0,0 +1,44 @@
+/*
+|---------------------------------------------------------------------------
+| In-Memory Rate Limit Store
+|---------------------------------------------------------------------------
+| Fixed window counters kept in the process memory. Counters are lost on restart
+| and not shared between instances, register a shared store (e.g. Redis) for that.
+*/
+
+const CLEANUP_INTERVAL = 60 * 1000;
+
+const createMemoryStore = () => {
+    // key -> { count, resetAt }
+    const hits = new Map();
+
+    // Drop the expired windows so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, CLEANUP_INTERVAL);
+    cleanup.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const entry = hits.get(key);
+
+            if (!entry || entry.resetAt <= now) {
+                const newEntry = { count: 1, resetAt: now + windowMs };
+                hits.set(key, newEntry);
+                return { ...newEntry };
+            }
+
+            entry.count += 1;
+            return { ...entry };
+        },
+        async reset(key) {
+            hits.delete(key);
+        },
+    };
+};
+
+export default createMemoryStore;
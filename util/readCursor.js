@@ -0,0 +1,105 @@
+/*
+|---------------------------------------------------------------------------
+| Read Receipts
+|---------------------------------------------------------------------------
+| How far the members and the lead have read a conversation (see `ReadCursor`).
+|
+| - `markAsRead`: Moves the cursor of a member (or of the lead, `reader` null) to a message, the
+|   latest one by default, and lets the other participants know (`read` event).
+| - `getUnreadCounts`: Unread messages of a list of leads for a member: lead messages, replies and
+|   notes of the other members.
+| - `getLeadUnreadCount`: Unread agent replies of a lead (widget).
+| - `getSeenChecker`: Tells whether a message was seen: agent replies by the lead, lead messages
+|   by a member, notes by a member other than their author.
+|
+| Posting a message marks the conversation as read up to that message for its sender.
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import ReadCursor from "../modal/read-cursor-modal.js";
+import RouteCode from "./httpStatus.js";
+import { publishToAgents, publishToLead } from "./realtime.js";
+
+const NEVER_READ = new Date(0);
+
+// The lead never sees the internal notes
+const visibleTo = (reader) => reader ? {} : { sendBy: { $ne: 'Note' } };
+
+async function findReadMessage(lead, reader, messageID) {
+    const query = { leadID: lead._id, ...visibleTo(reader) };
+    if (!messageID) return LeadConversation.findOne(query).sort({ createdAt: -1 });
+
+    // Only an ID, the message (and its time) always comes from the conversation
+    if (!mongoose.isObjectIdOrHexString(messageID)) throw new CustomError('Invalid message ID!', RouteCode.BAD_REQUEST.statusCode);
+    const foundMessage = await LeadConversation.findOne({ ...query, _id: messageID });
+    if (!foundMessage) throw new CustomError('Message not found!', RouteCode.NOT_FOUND.statusCode);
+    return foundMessage;
+}
+
+// `messageID` is the ID of a message of the lead, or null for the latest message. Returns the cursor
+export async function markAsRead(lead, reader, messageID = null) {
+    const readMessage = await findReadMessage(lead, reader, messageID);
+    if (!readMessage) return null;
+
+    const readerType = reader ? 'Member' : 'Lead';
+    const filter = { lead: lead._id, readerType, reader: reader?._id ?? null };
+    const update = { lastReadMessage: readMessage._id, lastReadMessageAt: readMessage.createdAt, readAt: new Date() };
+
+    // Cursors only move forward, the first read creates the cursor
+    let foundCursor = await ReadCursor.findOneAndUpdate({ ...filter, lastReadMessageAt: { $lt: readMessage.createdAt } }, { $set: update }, { new: true });
+    if (!foundCursor) {
+        try {
+            foundCursor = await ReadCursor.create({ ...filter, ...update });
+        } catch (error) {
+            // Already read up to this message or further
+            if (error.code !== 11000) throw error;
+            return ReadCursor.findOne(filter);
+        }
+    }
+
+    const payload = { leadID: lead._id, readerType, lastReadMessageAt: foundCursor.lastReadMessageAt, readAt: foundCursor.readAt };
+    publishToAgents(lead, 'read', { ...payload, readerID: filter.reader });
+    if (reader) publishToLead(lead._id, 'read', payload);
+    return foundCursor;
+}
+
+// Lead ID -> unread message count of the member
+export async function getUnreadCounts(leads, user) {
+    const foundCursors = await ReadCursor.find({ readerType: 'Member', reader: user._id, lead: { $in: leads.map(lead => lead._id) } });
+    const readUntil = new Map(foundCursors.map(cursor => [cursor.lead.toString(), cursor.lastReadMessageAt]));
+
+    const counts = new Map(leads.map(lead => [lead._id.toString(), 0]));
+    if (leads.length === 0) return counts;
+
+    const unreadCounts = await LeadConversation.aggregate([
+        {
+            $match: {
+                assigneeID: { $ne: user._id },
+                $or: leads.map(lead => ({ leadID: lead._id, createdAt: { $gt: readUntil.get(lead._id.toString()) ?? NEVER_READ } })),
+            }
+        },
+        { $group: { _id: '$leadID', count: { $sum: 1 } } },
+    ]);
+    unreadCounts.forEach(row => counts.set(row._id.toString(), row.count));
+    return counts;
+}
+
+export async function getLeadUnreadCount(lead) {
+    const foundCursor = await ReadCursor.findOne({ lead: lead._id, readerType: 'Lead' });
+    return LeadConversation.countDocuments({ leadID: lead._id, sendBy: 'Member', createdAt: { $gt: foundCursor?.lastReadMessageAt ?? NEVER_READ } });
+}
+
+export async function getSeenChecker(lead) {
+    const foundCursors = await ReadCursor.find({ lead: lead._id });
+    const leadReadUntil = foundCursors.find(cursor => cursor.readerType === 'Lead')?.lastReadMessageAt ?? NEVER_READ;
+    const memberCursors = foundCursors.filter(cursor => cursor.readerType === 'Member');
+
+    return (message) => {
+        if (message.sendBy === 'Member') return message.createdAt <= leadReadUntil;
+        // Lead messages have no author among the members
+        const authorID = (message.assigneeID?._id ?? message.assigneeID)?.toString();
+        return memberCursors.some(cursor => message.createdAt <= cursor.lastReadMessageAt && cursor.reader?.toString() !== authorID);
+    };
+}
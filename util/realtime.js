@@ -0,0 +1,126 @@
+/*
+|---------------------------------------------------------------------------
+| Realtime Event Hub (Server-Sent Events)
+|---------------------------------------------------------------------------
+| Keeps the open SSE connections of the chat widget (per lead) and of the
+| dashboard (per agent) and pushes conversation events to them.
+|
+| - `subscribe`: Opens an SSE stream on the response and registers it on channels.
+| - `publishToLead`: Sends an event to every widget connection of a lead.
+| - `publishToAgents`: Sends an event to the assignees of a lead and to the admins of its workspace.
+| - `hasSubscribers`: Tells whether a channel has open connections (e.g. lead is online).
+| - `closeChannel`: Ends every connection of a channel (e.g. revoked lead session).
+| - `formatMessage`: Shapes a `LeadConversation` document for the clients.
+|
+| Events: `message`, `status`, `assignee`, `typing`, `properties` (priority, tags, custom fields),
+| `read` (read receipts, see `util/readCursor.js`), `csat` (satisfaction survey asked or answered,
+| see `util/csat.js`) and `lead` (new lead created).
+| Message events carry the message id in the SSE `id` field so reconnecting
+| clients can catch up through the `messages?since=<messageID>` endpoints.
+*/
+
+import { formatAttachment } from "./attachment.js";
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// channel name -> Set of open responses
+const channels = new Map();
+
+export const leadChannel = (leadID) => `lead:${leadID}`;
+export const userChannel = (userID) => `user:${userID}`;
+export const adminChannel = (workspaceID) => `admins:${workspaceID}`;
+
+function addToChannel(channel, res) {
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(res);
+}
+
+function removeFromChannel(channel, res) {
+    const connections = channels.get(channel);
+    if (!connections) return;
+    connections.delete(res);
+    if (connections.size === 0) channels.delete(channel);
+}
+
+function writeEvent(res, event, payload, id) {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    // Compression buffers the body, flush so the event reaches the client now
+    if (typeof res.flush === 'function') res.flush();
+}
+
+// Open an SSE stream and register it on the given channels until the client disconnects
+export function subscribe(req, res, channelList) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    channelList.forEach(channel => addToChannel(channel, res));
+    writeEvent(res, 'ready', { connectedAt: new Date() });
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (typeof res.flush === 'function') res.flush();
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        channelList.forEach(channel => removeFromChannel(channel, res));
+    });
+}
+
+// Send an event once to every connection found on the given channels
+export function publish(channelList, event, payload, id) {
+    const recipients = new Set();
+    channelList.forEach(channel => {
+        channels.get(channel)?.forEach(res => recipients.add(res));
+    });
+
+    recipients.forEach(res => {
+        try {
+            writeEvent(res, event, payload, id);
+        } catch (error) {
+            console.error('Realtime publish error:', error);
+        }
+    });
+}
+
+export function hasSubscribers(channel) {
+    return (channels.get(channel)?.size ?? 0) > 0;
+}
+
+export function closeChannel(channel) {
+    channels.get(channel)?.forEach(res => res.end());
+    channels.delete(channel);
+}
+
+export function publishToLead(leadID, event, payload, id) {
+    publish([leadChannel(leadID)], event, payload, id);
+}
+
+// Agents that can see a lead: its current assignee, previous assignees and the admins of its workspace
+export function publishToAgents(lead, event, payload, id) {
+    const agentIDs = new Set();
+    if (lead.currentAssignee) agentIDs.add(lead.currentAssignee.toString());
+    lead.assigneeList?.forEach(assignee => assignee && agentIDs.add(assignee.toString()));
+
+    publish([adminChannel(lead.workspace), ...[...agentIDs].map(userChannel)], event, payload, id);
+}
+
+export function formatMessage(conversation, senderName) {
+    return {
+        id: conversation._id,
+        leadID: conversation.leadID,
+        message: conversation.message ?? '',
+        sendBy: conversation.sendBy,
+        senderName: conversation.sendBy === 'Lead' ? 'Lead' : senderName ?? 'N/A',
+        // Only populated attachments can be described
+        attachments: conversation.attachments?.filter(item => item?.originalName).map(formatAttachment) ?? [],
+        createdAt: conversation.createdAt,
+    };
+}
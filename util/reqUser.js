@@ -4,19 +4,26 @@
 |--------------------------------------------------------------------------- 
 | Retrieves the authenticated user from the request, verifies the user exists, 
 | and handles errors if the user is not found or the session is invalid.
+| The permissions of the user are loaded (see `util/permissions.js`).
+| The user is loaded once per request and kept on `req.currentUser`, the permission
+| middleware and the controller share it.
 */
 
 
 import { CustomError } from "../middleware/errorMiddleware.js";
 import User from "../modal/user-modal.js";
 import RouteCode from "./httpStatus.js";
+import { loadPermissions } from "./permissions.js";
 
 const getReqUser = async (req, res, next) => {
+    if (req.currentUser) return req.currentUser;
     const { id } = req.user;
     if (!id) return next(new CustomError(RouteCode.LOGOUT_REQESTED.message, RouteCode.LOGOUT_REQESTED.statusCode));
     try {
         const foundUser = await User.findById({ _id: id });
-        if (!foundUser) next(new CustomError(RouteCode.LOGOUT_REQESTED.message, RouteCode.LOGOUT_REQESTED.statusCode));
+        if (!foundUser) return next(new CustomError(RouteCode.LOGOUT_REQESTED.message, RouteCode.LOGOUT_REQESTED.statusCode));
+        await loadPermissions(foundUser);
+        req.currentUser = foundUser;
         return foundUser
     } catch (error) {
         next(error);
@@ -0,0 +1,128 @@
+/*
+|---------------------------------------------------------------------------
+| Lead Routing (Auto-Assignment)
+|---------------------------------------------------------------------------
+| Picks the assignee of a lead using the strategy the admin selected in the
+| workspace settings (`ChatbotSettings.routing.strategy`):
+|
+| - `admin` (default): Assigns every lead to the workspace owner (or the first Admin), as
+|   before routing existed.
+| - `round-robin`: Rotates through the eligible agents in the order they joined.
+| - `least-open-tickets`: Picks the eligible agent with the fewest unresolved tickets.
+| - `manual-queue`: Leaves the lead unassigned, an agent claims it or an admin assigns it by hand.
+|
+| For the automatic strategies an agent is eligible unless they opted out of routing or already
+| hold as many unresolved tickets as their cap (`User.routing.maxOpenTickets`, 0 = no cap).
+| When nobody is eligible the lead stays unassigned in the queue.
+|
+| - `pickAssignee`: Returns the agent a new lead should go to (or null for the queue).
+| - `rerouteMemberLeads`: Redistributes the unresolved leads of a member being deleted.
+*/
+
+import ChatbotSettings from "../modal/chat-bot-modal.js";
+import Lead from "../modal/lead-modal.js";
+import User from "../modal/user-modal.js";
+import Workspace from "../modal/workspace-modal.js";
+import { auditTarget, recordAudit } from "./audit.js";
+import { sendReassignmentMail } from "./mail/index.js";
+import { publishToAgents } from "./realtime.js";
+import { assignTicket } from "./ticketHistory.js";
+import { emitLeadEvent } from "./webhook.js";
+
+export const ROUTING_STRATEGIES = ['admin', 'round-robin', 'least-open-tickets', 'manual-queue'];
+export const DEFAULT_ROUTING_STRATEGY = 'admin';
+
+// Unresolved ticket count per agent of the workspace
+async function getOpenTicketCounts(workspaceID) {
+    const counts = await Lead.aggregate([
+        { $match: { workspace: workspaceID, status: 'Unresolved', isSpam: { $ne: true }, currentAssignee: { $ne: null } } },
+        { $group: { _id: '$currentAssignee', count: { $sum: 1 } } },
+    ]);
+
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+}
+
+// The workspace owner, or the Admin who joined first when the owner is gone
+async function getWorkspaceAdmin(workspaceID, excludeIDs = []) {
+    const excluded = excludeIDs.map(id => id.toString());
+    const foundWorkspace = await Workspace.findById(workspaceID);
+    if (foundWorkspace?.owner && !excluded.includes(foundWorkspace.owner.toString())) {
+        const foundOwner = await User.findOne({ _id: foundWorkspace.owner, workspace: workspaceID });
+        if (foundOwner) return foundOwner;
+    }
+    return User.findOne({ workspace: workspaceID, userRole: 'Admin', _id: { $nin: excludeIDs } }).sort({ createdAt: 1 });
+}
+
+async function getEligibleAgents(workspaceID, excludeIDs = []) {
+    const foundAgents = await User.find({
+        workspace: workspaceID,
+        _id: { $nin: excludeIDs },
+        'routing.optOut': { $ne: true },
+    }).sort({ createdAt: 1 });
+
+    const openCounts = await getOpenTicketCounts(workspaceID);
+    return foundAgents
+        .map(agent => ({ agent, openTickets: openCounts.get(agent._id.toString()) ?? 0 }))
+        .filter(({ agent, openTickets }) => {
+            const maxOpenTickets = agent.routing?.maxOpenTickets ?? 0;
+            return maxOpenTickets === 0 || openTickets < maxOpenTickets;
+        });
+}
+
+export async function pickAssignee(workspaceID, { exclude = [] } = {}) {
+    const chatbotSettings = await ChatbotSettings.findOne({ workspace: workspaceID });
+    const strategy = chatbotSettings?.routing?.strategy ?? DEFAULT_ROUTING_STRATEGY;
+    if (strategy === 'manual-queue') return null;
+    if (strategy === 'admin') return getWorkspaceAdmin(workspaceID, exclude);
+
+    const eligibleAgents = await getEligibleAgents(workspaceID, exclude);
+    if (eligibleAgents.length === 0) return null;
+
+    if (strategy === 'least-open-tickets') {
+        // Stable sort, ties go to the agent who joined first
+        const [leastBusy] = [...eligibleAgents].sort((a, b) => a.openTickets - b.openTickets);
+        return leastBusy.agent;
+    }
+
+    // Round robin: the first eligible agent after the last one who got a lead
+    const lastAssignee = chatbotSettings.routing?.lastAssignee?.toString();
+    const allAgents = await User.find({ workspace: workspaceID }).sort({ createdAt: 1 });
+    const lastIndex = allAgents.findIndex(agent => agent._id.toString() === lastAssignee);
+    const eligibleIDs = new Set(eligibleAgents.map(({ agent }) => agent._id.toString()));
+
+    let nextAgent = eligibleAgents[0].agent;
+    for (let offset = 1; offset <= allAgents.length; offset++) {
+        const candidate = allAgents[(lastIndex + offset) % allAgents.length];
+        if (eligibleIDs.has(candidate._id.toString())) {
+            nextAgent = candidate;
+            break;
+        }
+    }
+
+    chatbotSettings.routing.lastAssignee = nextAgent._id;
+    await chatbotSettings.save();
+    return nextAgent;
+}
+
+// Reassigns the unresolved leads of a member (being deleted) using the workspace strategy
+export async function rerouteMemberLeads(member) {
+    const foundLeads = await Lead.find({ workspace: member.workspace, currentAssignee: member._id, status: 'Unresolved' });
+
+    for (const lead of foundLeads) {
+        const newAssignee = await pickAssignee(member.workspace, { exclude: [member._id] });
+        assignTicket(lead, newAssignee, { reason: 'MemberDeleted' });
+        await lead.save();
+
+        publishToAgents(lead, 'assignee', {
+            leadID: lead._id,
+            assigneeID: newAssignee?._id ?? null,
+            assigneeName: newAssignee ? `${newAssignee.firstName} ${newAssignee.lastName}` : 'Unassigned',
+            previousAssigneeID: member._id,
+        });
+        if (newAssignee) sendReassignmentMail(lead, newAssignee);
+        emitLeadEvent(lead, 'assignee.changed', { previousAssignee: member._id, assignee: newAssignee?._id ?? null, changedBy: null });
+        recordAudit({ workspace: member.workspace, action: 'ticket.assignee_changed', target: auditTarget.lead(lead), before: { assignee: member._id }, after: { assignee: newAssignee?._id ?? null } });
+    }
+
+    return foundLeads.length;
+}
@@ -0,0 +1,152 @@
+/*
+|---------------------------------------------------------------------------
+| Background Job Scheduler
+|---------------------------------------------------------------------------
+| Runs the periodic jobs (see `util/jobs.js`) inside the server. The schedule and the
+| lock of every job are kept in MongoDB (`Job`), so with several server instances each
+| run happens once, on the instance that takes the lock first. Every run is recorded
+| (`JobRun`) with its trigger, status, duration and result.
+|
+| - `registerJob`: Declares a job (name, description, interval, lock duration and handler).
+| - `startScheduler` / `stopScheduler`: Checks every `SCHEDULER_TICK_SECONDS` (default 15) for due jobs.
+| - `runJob`: Runs a job now (scheduled or manual run), returns null when another run holds the lock.
+| - `getJobs`: Registered jobs with their schedule, last run and lock.
+|
+| Handlers receive `{ workspace }`: null for scheduled runs (every workspace), the workspace
+| of the admin for manual runs. A lock left by a crashed instance expires after `lockSeconds`.
+*/
+
+import { configDotenv } from 'dotenv';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import Job from '../modal/job-modal.js';
+import JobRun from '../modal/job-run-modal.js';
+
+configDotenv();
+const { SCHEDULER_TICK_SECONDS = 15 } = process.env;
+const DEFAULT_LOCK_SECONDS = 10 * 60;
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+// job name -> { name, description, intervalSeconds, lockSeconds, handler }
+const jobs = new Map();
+let ticker = null;
+let ticking = false;
+
+export function registerJob(name, { description = '', intervalSeconds, lockSeconds = DEFAULT_LOCK_SECONDS, handler }) {
+    jobs.set(name, { name, description, intervalSeconds: Number(intervalSeconds), lockSeconds: Number(lockSeconds), handler });
+}
+
+export const getRegisteredJob = (name) => jobs.get(name) ?? null;
+
+// Takes the lock of a job, `dueOnly` also requires the scheduled time to be reached
+async function acquireLock(job, now, dueOnly) {
+    await Job.updateOne({ name: job.name }, { $setOnInsert: { name: job.name, nextRunAt: now } }, { upsert: true });
+
+    const query = {
+        name: job.name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    };
+    if (dueOnly) query.nextRunAt = { $lte: now };
+
+    const previousJob = await Job.findOneAndUpdate(query, {
+        $set: {
+            lockedBy: INSTANCE_ID,
+            lockedUntil: new Date(now.getTime() + job.lockSeconds * 1000),
+            // Scheduled runs move the schedule when they start, manual runs leave it alone
+            ...(dueOnly && { nextRunAt: new Date(now.getTime() + job.intervalSeconds * 1000) }),
+        }
+    });
+    if (!previousJob) return false;
+
+    // The previous holder died while running the job
+    if (previousJob.lockedBy) {
+        await JobRun.updateMany(
+            { job: job.name, instance: previousJob.lockedBy, status: 'Running' },
+            { $set: { status: 'Failed', error: 'Lock expired before the run finished', finishedAt: now } }
+        );
+    }
+    return true;
+}
+
+async function releaseLock(job, status) {
+    await Job.updateOne(
+        { name: job.name, lockedBy: INSTANCE_ID },
+        { $set: { lockedBy: null, lockedUntil: null, lastRunAt: new Date(), lastStatus: status } }
+    );
+}
+
+async function executeJob(job, { trigger = 'Schedule', triggeredBy = null, workspace = null } = {}) {
+    const jobRun = await JobRun.create({ job: job.name, workspace, trigger, triggeredBy, instance: INSTANCE_ID });
+
+    try {
+        jobRun.result = await job.handler({ workspace }) ?? null;
+        jobRun.status = 'Success';
+    } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+        jobRun.status = 'Failed';
+        jobRun.error = error.message;
+    }
+
+    jobRun.finishedAt = new Date();
+    jobRun.durationMs = jobRun.finishedAt.getTime() - jobRun.startedAt.getTime();
+    await jobRun.save();
+    await releaseLock(job, jobRun.status);
+    return jobRun;
+}
+
+export async function runJob(name, options = {}) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job ${name}`);
+
+    const isLocked = await acquireLock(job, new Date(), false);
+    if (!isLocked) return null;
+    return executeJob(job, { ...options, trigger: 'Manual' });
+}
+
+async function runDueJobs() {
+    // A slow job must not be started again by the next tick
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        for (const job of jobs.values()) {
+            const isLocked = await acquireLock(job, new Date(), true);
+            if (isLocked) await executeJob(job);
+        }
+    } catch (error) {
+        console.error('Scheduler error:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+export function startScheduler() {
+    if (ticker) return;
+    runDueJobs();
+    // Do not keep the process alive only for the scheduler
+    ticker = setInterval(runDueJobs, Number(SCHEDULER_TICK_SECONDS) * 1000).unref();
+}
+
+export function stopScheduler() {
+    clearInterval(ticker);
+    ticker = null;
+}
+
+export async function getJobs() {
+    const jobStates = await Job.find({ name: { $in: [...jobs.keys()] } });
+    const now = new Date();
+
+    return [...jobs.values()].map(job => {
+        const state = jobStates.find(item => item.name === job.name);
+        return {
+            name: job.name,
+            description: job.description,
+            intervalSeconds: job.intervalSeconds,
+            nextRunAt: state?.nextRunAt ?? null,
+            lastRunAt: state?.lastRunAt ?? null,
+            lastStatus: state?.lastStatus ?? null,
+            isRunning: Boolean(state?.lockedBy && state.lockedUntil > now),
+        };
+    });
+}
@@ -0,0 +1,184 @@
+/*
+|---------------------------------------------------------------------------
+| Ticket Search
+|---------------------------------------------------------------------------
+| Searches the tickets of a workspace by ticket ID, lead name / email / phone
+| and the text of the conversation messages (MongoDB text index on
+| `LeadConversation.message`, internal notes included). Only the tickets
+| allowed by `buildTicketFilter` are searched.
+|
+| Ranking: an exact ticket ID wins, then matches on the lead fields, then the
+| text score of the best matching message (plus a small bonus per extra message).
+|
+| - `searchTickets`: Returns the ranked, paginated hits with their highlighted snippets.
+| - `buildSnippet`: Cuts the text around the first match and returns the highlighted ranges.
+*/
+
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import Lead from "../modal/lead-modal.js";
+import { buildTicketFilter } from "./ticketFilter.js";
+
+const LEAD_FIELDS = ['ticketID', 'userName', 'userEmail', 'userPhone'];
+const MAX_MESSAGE_HITS = 500;
+const MAX_SNIPPETS = 3;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const tokenize = (query = '') => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+// [start, end) ranges of the words starting with the terms, merged when they overlap
+function findRanges(text, terms) {
+    const ranges = [];
+    const lowerText = text.toLowerCase();
+
+    terms.forEach(term => {
+        let index = lowerText.indexOf(term);
+        while (index !== -1) {
+            let end = index + term.length;
+            while (end < text.length && /\w/.test(text[end])) end++;
+            ranges.push([index, end]);
+            index = lowerText.indexOf(term, end);
+        }
+    });
+
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push([...range]);
+            return merged;
+        }, []);
+}
+
+export function buildSnippet(text = '', terms) {
+    // The text index matches word stems ("refunds" for "refund"), highlight the common root
+    const lowerText = text.toLowerCase();
+    const ranges = findRanges(text, terms.map(term => lowerText.includes(term) ? term : term.slice(0, Math.max(3, term.length - 2))));
+
+    const firstMatch = ranges[0]?.[0] ?? 0;
+    const start = Math.max(firstMatch - SNIPPET_RADIUS, 0);
+    const end = Math.min(firstMatch + SNIPPET_RADIUS * 2, text.length);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+    };
+}
+
+function scoreLeadFields(lead, query, terms) {
+    const phrase = query.toLowerCase();
+    let score = 0;
+
+    if (lead.ticketID?.toLowerCase() === phrase) score += 20;
+    LEAD_FIELDS.forEach(field => {
+        const value = lead[field]?.toLowerCase();
+        if (!value) return;
+        if (value.includes(phrase)) score += field === 'ticketID' ? 8 : 5;
+        score += terms.filter(term => value.includes(term)).length;
+    });
+
+    return score;
+}
+
+export async function searchTickets(user, { q, filters = {}, page = 1, limit = 10 }) {
+    const query = q.trim();
+    const terms = tokenize(query);
+    const ticketQuery = await buildTicketFilter(user, filters);
+
+    // Ticket ID and lead details (partial matches, e.g. part of a phone number)
+    const fieldRegex = new RegExp(terms.map(escapeRegExp).join('|'), 'i');
+    const fieldLeads = await Lead.find({ $and: [ticketQuery, { $or: LEAD_FIELDS.map(field => ({ [field]: fieldRegex })) }] })
+        .populate('currentAssignee');
+
+    // Messages, only inside the tickets allowed by the filters (joined, never listed up front)
+    const messageHits = await LeadConversation.aggregate([
+        { $match: { $text: { $search: query } } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1 } },
+        {
+            $lookup: {
+                from: Lead.collection.name,
+                let: { leadID: '$leadID' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$leadID'] } } },
+                    { $match: ticketQuery },
+                    { $project: { _id: 1 } },
+                ],
+                as: 'allowedLead',
+            }
+        },
+        { $match: { 'allowedLead.0': { $exists: true } } },
+        { $limit: MAX_MESSAGE_HITS },
+        { $project: { leadID: 1, message: 1, sendBy: 1, createdAt: 1, score: 1 } },
+    ]);
+
+    const hits = new Map();
+    const getHit = (leadID) => {
+        const key = leadID.toString();
+        if (!hits.has(key)) hits.set(key, { lead: null, fieldScore: 0, messages: [] });
+        return hits.get(key);
+    };
+
+    fieldLeads.forEach(lead => {
+        const hit = getHit(lead._id);
+        hit.lead = lead;
+        hit.fieldScore = scoreLeadFields(lead, query, terms);
+    });
+    messageHits.forEach(message => getHit(message.leadID).messages.push(message));
+
+    // Leads only found through their messages
+    const missingLeadIDs = [...hits.values()].filter(hit => !hit.lead).map(hit => hit.messages[0].leadID);
+    if (missingLeadIDs.length > 0) {
+        const foundLeads = await Lead.find({ _id: { $in: missingLeadIDs } }).populate('currentAssignee');
+        foundLeads.forEach(lead => getHit(lead._id).lead = lead);
+    }
+
+    const rankedHits = [...hits.values()]
+        .filter(hit => hit.lead)
+        .map(hit => {
+            // Messages are already sorted by text score
+            const bestMessageScore = hit.messages[0]?.score ?? 0;
+            const score = hit.fieldScore + bestMessageScore + 0.1 * Math.max(Math.min(hit.messages.length, 10) - 1, 0);
+            return { ...hit, score: Math.round(score * 100) / 100 };
+        })
+        .sort((a, b) => b.score - a.score || b.lead.createdAt - a.lead.createdAt);
+
+    const pageHits = rankedHits.slice((page - 1) * limit, page * limit);
+
+    return {
+        totalResults: rankedHits.length,
+        totalPages: Math.ceil(rankedHits.length / limit),
+        currentPage: page,
+        limit,
+        resultList: pageHits.map(({ lead, messages, score }) => ({
+            leadID: lead._id,
+            ticketID: lead.ticketID,
+            userName: lead.userName,
+            userEmail: lead.userEmail,
+            userPhone: lead.userPhone,
+            status: lead.status,
+            isMissedChat: lead.isMissedChat,
+            assigneeName: lead.currentAssignee
+                ? `${lead.currentAssignee.firstName} ${lead.currentAssignee.lastName}`
+                : 'Unassigned',
+            postedAt: lead.createdAt,
+            score,
+            fieldMatches: LEAD_FIELDS
+                .filter(field => lead[field] && fieldRegex.test(lead[field]))
+                .map(field => ({ field, ...buildSnippet(lead[field], terms) })),
+            messageMatches: messages.slice(0, MAX_SNIPPETS).map(message => ({
+                messageID: message._id,
+                sendBy: message.sendBy,
+                createdAt: message.createdAt,
+                ...buildSnippet(message.message, terms),
+            })),
+            totalMessageMatches: messages.length,
+        })),
+    };
+}
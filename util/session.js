@@ -0,0 +1,153 @@
+/*
+|---------------------------------------------------------------------------
+| Login Sessions
+|---------------------------------------------------------------------------
+| Every login starts a session (`Session`) for the device, the access and refresh tokens
+| carry its id (`sid`). Access tokens are only accepted while the session is active, so
+| revoking a session logs the device out on its next request.
+|
+| - `startSession`: Creates the session of a login and sets the auth cookies.
+| - `refreshSession`: Rotates the refresh token of a session, a refresh token can be used once.
+| - `isSessionActive`: Tells whether a session can still be used, and updates its last seen date.
+| - `revokeSessions`: Ends sessions (logout, revoke, forced logout, password change).
+| - `setAccessCookie` / `clearAuthCookies`: Auth cookies of the dashboard.
+| - `formatSession`: Shapes a session for the session list.
+|
+| A refresh token used again after its rotation means it was copied: the session is revoked
+| for every holder. Requests of the same device refreshing at the same time are told apart
+| by a grace period (`REFRESH_REUSE_GRACE_SECONDS`, default 30).
+*/
+
+import { configDotenv } from "dotenv";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import Session from "../modal/session-modal.js";
+import { accessTokenClaims, generateJWTToken, hashToken, verifyJWTToken } from "./jwtToken.js";
+
+configDotenv();
+const { SESSION_EXPIRY_DAYS = 7, REFRESH_REUSE_GRACE_SECONDS = 30, SESSION_TOUCH_SECONDS = 60 } = process.env;
+
+const authCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "None",
+    path: "/",
+};
+
+const sessionExpiry = (now) => new Date(now.getTime() + Number(SESSION_EXPIRY_DAYS) * 24 * 60 * 60 * 1000);
+
+const deviceDetails = (req) => ({
+    userAgent: req.get('user-agent')?.slice(0, 512) ?? null,
+    ip: req.ip ?? null,
+});
+
+// `jti` keeps two refresh tokens of the same session and second different
+const generateRefreshToken = (userID, sessionID) => generateJWTToken({ _id: userID }, 'refresh', `${SESSION_EXPIRY_DAYS}d`, { sid: sessionID, jti: uuidv4() });
+
+export function setAccessCookie(res, user, sessionID) {
+    res.cookie("access_token", generateJWTToken(user, 'access', '2h', accessTokenClaims(user, sessionID)), authCookieOptions);
+}
+
+export function clearAuthCookies(res) {
+    res.clearCookie("access_token");
+    res.clearCookie("refresh_token");
+}
+
+export async function startSession(req, res, user) {
+    const now = new Date();
+    const sessionID = new mongoose.Types.ObjectId();
+    const refreshToken = generateRefreshToken(user._id, sessionID);
+
+    const session = await Session.create({
+        _id: sessionID,
+        user: user._id,
+        workspace: user.workspace,
+        tokenHash: hashToken(refreshToken),
+        lastSeenAt: now,
+        expiresAt: sessionExpiry(now),
+        ...deviceDetails(req),
+    });
+
+    setAccessCookie(res, user, sessionID);
+    res.cookie("refresh_token", refreshToken, authCookieOptions);
+    return session;
+}
+
+// Returns the session with the refresh token in use, null when the token can not be used
+export async function refreshSession(req, res) {
+    const refreshToken = req.cookies.refresh_token;
+    if (!refreshToken) return null;
+
+    let decoded;
+    try {
+        decoded = verifyJWTToken(refreshToken, 'refresh');
+    } catch (error) {
+        return null;
+    }
+    // Tokens issued before the sessions are not accepted
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return null;
+
+    const now = new Date();
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken(decoded.id, decoded.sid);
+
+    // The token is replaced by the same update that checks it
+    const rotatedSession = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user: decoded.id, tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                tokenHash: hashToken(newRefreshToken),
+                previousTokenHash: tokenHash,
+                rotatedAt: now,
+                lastSeenAt: now,
+                expiresAt: sessionExpiry(now),
+                ...deviceDetails(req),
+            }
+        },
+        { new: true }
+    );
+    if (rotatedSession) {
+        res.cookie("refresh_token", newRefreshToken, authCookieOptions);
+        return rotatedSession;
+    }
+
+    const foundSession = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+    if (!foundSession || foundSession.revokedAt || foundSession.expiresAt <= now) return null;
+
+    // Another request of the device refreshed first, its response carries the new refresh token
+    const graceStart = now.getTime() - Number(REFRESH_REUSE_GRACE_SECONDS) * 1000;
+    if (foundSession.previousTokenHash === tokenHash && foundSession.rotatedAt?.getTime() > graceStart) return foundSession;
+
+    console.warn(`Refresh token reused on session ${foundSession._id}, revoking it`);
+    await revokeSessions({ _id: foundSession._id }, 'TokenReuse');
+    return null;
+}
+
+export async function isSessionActive(sessionID, userID) {
+    if (!mongoose.isValidObjectId(sessionID)) return false;
+
+    const now = new Date();
+    const foundSession = await Session.findOne({ _id: sessionID, user: userID, revokedAt: null, expiresAt: { $gt: now } }).select('lastSeenAt');
+    if (!foundSession) return false;
+
+    // Written at most once per `SESSION_TOUCH_SECONDS`, not on every request
+    if (now.getTime() - foundSession.lastSeenAt.getTime() > Number(SESSION_TOUCH_SECONDS) * 1000) {
+        await Session.updateOne({ _id: sessionID }, { $set: { lastSeenAt: now } });
+    }
+    return true;
+}
+
+export async function revokeSessions(query, reason) {
+    const { modifiedCount } = await Session.updateMany({ ...query, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return modifiedCount;
+}
+
+export const formatSession = (session, currentSessionID) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    isCurrent: session._id.toString() === currentSessionID?.toString(),
+});
@@ -0,0 +1,320 @@
+/*
+|---------------------------------------------------------------------------
+| SLA Tracking
+|---------------------------------------------------------------------------
+| Tracks three service level targets on every ticket (`Lead.sla`):
+|
+| - `firstResponse`: From the creation of the ticket to the first agent reply.
+| - `nextResponse`: From a lead message (after the first reply) to the next agent reply.
+| - `resolution`: From the creation of the ticket until it is resolved, from the reopening when
+|   a resolved ticket is reopened.
+|
+| Resolving a ticket closes every open target, resolved tickets are never flagged.
+|
+| The targets come from the SLA policy covering the ticket priority (or the default policy).
+| Without any policy the workspace `missedChatTimer` is the first response target, and a
+| breached first response is what marks the ticket as a missed chat (`isMissedChat`).
+| Targets only count the working time of the workspace (`util/businessHours.js`).
+|
+| - `applySlaPolicy`: (Re)computes the due and at risk times of the pending targets of a ticket.
+| - `reapplySlaPolicies`: Same for every unresolved ticket of a workspace (policies changed).
+| - `recordAgentReply` / `recordLeadMessage` / `recordStatusChange`: Update the targets on ticket events.
+| - `checkSlaTargets`: Flags the breached and at risk targets, notifies the assignees (or the admins)
+|   and reports the new missed chats (email and webhook).
+| - `formatSla`: Status of every target (`none`, `on_track`, `at_risk`, `met` or `breached`).
+| - `getSlaCompliance`: Compliance per target and per priority for the analytics.
+*/
+
+import ChatbotSettings from "../modal/chat-bot-modal.js";
+import Lead, { LEAD_PRIORITIES } from "../modal/lead-modal.js";
+import SlaPolicy from "../modal/sla-policy-modal.js";
+import User from "../modal/user-modal.js";
+import { addBusinessTime } from "./businessHours.js";
+import { sendMissedChatMail } from "./mail/index.js";
+import { notifyUsers } from "./notification.js";
+import { publishToAgents } from "./realtime.js";
+import { emitLeadEvent } from "./webhook.js";
+
+export const SLA_TARGETS = ['firstResponse', 'nextResponse', 'resolution'];
+const TARGET_LABELS = { firstResponse: 'First response', nextResponse: 'Next response', resolution: 'Resolution' };
+const DEFAULT_AT_RISK_PERCENT = 80;
+const LEGACY_BATCH = 500;
+
+
+export async function loadSlaContext(workspaceID) {
+    const settings = await ChatbotSettings.findOne({ workspace: workspaceID });
+    const policies = await SlaPolicy.find({ workspace: workspaceID });
+    return { settings, policies };
+}
+
+// Targets (in minutes) of the policy covering the priority of the ticket
+export function resolvePolicyTargets(lead, { settings, policies }) {
+    const priority = lead.priority ?? 'Normal';
+    const policy = policies.find(item => item.priorities.includes(priority)) ?? policies.find(item => item.isDefault);
+    if (policy) return { policy, targets: policy.targets, atRiskPercent: policy.atRiskPercent };
+
+    // No policy: the missed chat timer is the first response target
+    const { hour = 0, minute = 0, second = 0 } = settings?.missedChatTimer || {};
+    return {
+        policy: null,
+        targets: { firstResponse: ((hour * 60 * 60) + (minute * 60) + second) / 60, nextResponse: 0, resolution: 0 },
+        atRiskPercent: DEFAULT_AT_RISK_PERCENT,
+    };
+}
+
+// Targets only count working time (business hours and holidays of the workspace)
+function scheduleTarget(target, startedAt, minutes, atRiskPercent, settings) {
+    target.startedAt = startedAt;
+    target.dueAt = minutes > 0 ? addBusinessTime(startedAt, minutes, settings) : null;
+    target.atRiskAt = minutes > 0 ? addBusinessTime(startedAt, minutes * atRiskPercent / 100, settings) : null;
+}
+
+const isPending = (target) => Boolean(target.startedAt) && !target.achievedAt && !target.breachedAt;
+
+// Marks a target as achieved, returns true when it was achieved late
+function completeTarget(target, now) {
+    target.achievedAt = now;
+    if (target.dueAt && now > target.dueAt && !target.breachedAt) {
+        target.breachedAt = target.dueAt;
+        target.breaches += 1;
+        return true;
+    }
+    return false;
+}
+
+export async function applySlaPolicy(lead, context = null) {
+    context ??= await loadSlaContext(lead.workspace);
+    const { policy, targets, atRiskPercent } = resolvePolicyTargets(lead, context);
+    const createdAt = lead.createdAt ?? new Date();
+
+    const isUntracked = !lead.sla;
+    if (isUntracked) {
+        lead.sla = {};
+        // Tickets created before SLA tracking keep their known outcome
+        if (lead.responseTime > 0) lead.sla.firstResponse.achievedAt = new Date(new Date(createdAt).getTime() + lead.responseTime * 1000);
+        if (lead.status === 'Resolved') lead.sla.resolution.achievedAt = lead.updatedAt ?? new Date();
+        lead.sla.firstResponse.startedAt = createdAt;
+        lead.sla.resolution.startedAt = createdAt;
+    }
+    lead.sla.policy = policy?._id ?? null;
+
+    // Achieved or breached targets keep their outcome
+    const { firstResponse, nextResponse, resolution } = lead.sla;
+    const { settings } = context;
+    if (isUntracked || isPending(firstResponse)) scheduleTarget(firstResponse, createdAt, targets.firstResponse, atRiskPercent, settings);
+    if (isPending(nextResponse)) scheduleTarget(nextResponse, nextResponse.startedAt, targets.nextResponse, atRiskPercent, settings);
+    if (isUntracked || isPending(resolution)) scheduleTarget(resolution, resolution.startedAt ?? createdAt, targets.resolution, atRiskPercent, settings);
+
+    if (isUntracked) {
+        [firstResponse, resolution]
+            .filter(target => target.achievedAt && target.dueAt && target.achievedAt > target.dueAt)
+            .forEach(target => {
+                target.breachedAt = target.dueAt;
+                target.breaches = 1;
+            });
+    }
+
+    if (lead.isMissedChat && !firstResponse.breachedAt) {
+        firstResponse.breachedAt = firstResponse.dueAt ?? createdAt;
+        firstResponse.breaches = 1;
+    }
+    return lead;
+}
+
+export async function reapplySlaPolicies(workspaceID) {
+    const context = await loadSlaContext(workspaceID);
+    const cursor = Lead.find({ workspace: workspaceID, status: 'Unresolved', isSpam: { $ne: true } }).cursor();
+    for await (const lead of cursor) {
+        await applySlaPolicy(lead, context);
+        await lead.save();
+    }
+}
+
+export async function recordAgentReply(lead, now = new Date()) {
+    if (!lead.sla) await applySlaPolicy(lead);
+    const { firstResponse, nextResponse } = lead.sla;
+
+    if (!firstResponse.achievedAt && completeTarget(firstResponse, now)) lead.isMissedChat = true;
+    if (nextResponse.startedAt && !nextResponse.achievedAt) completeTarget(nextResponse, now);
+}
+
+// A lead message waiting for an answer starts a next response cycle
+export async function recordLeadMessage(lead, now = new Date(), context = null) {
+    context ??= await loadSlaContext(lead.workspace);
+    if (!lead.sla) await applySlaPolicy(lead, context);
+    const { firstResponse, nextResponse } = lead.sla;
+    if (!firstResponse.achievedAt || (nextResponse.startedAt && !nextResponse.achievedAt)) return;
+
+    const { targets, atRiskPercent } = resolvePolicyTargets(lead, context);
+    scheduleTarget(nextResponse, now, targets.nextResponse, atRiskPercent, context.settings);
+    nextResponse.achievedAt = null;
+    nextResponse.breachedAt = null;
+    nextResponse.warnedAt = null;
+}
+
+export async function recordStatusChange(lead, now = new Date(), context = null) {
+    context ??= await loadSlaContext(lead.workspace);
+    if (!lead.sla) await applySlaPolicy(lead, context);
+
+    if (lead.status === 'Resolved') {
+        // Nothing is waiting for an answer anymore, every open target is closed
+        SLA_TARGETS
+            .map(name => [name, lead.sla[name]])
+            .filter(([, target]) => target.startedAt && !target.achievedAt)
+            .forEach(([name, target]) => {
+                if (completeTarget(target, now) && name === 'firstResponse') lead.isMissedChat = true;
+            });
+        return;
+    }
+
+    // A reopened ticket has a new resolution target, counted from the reopening
+    const { resolution } = lead.sla;
+    if (!resolution.achievedAt) return;
+    const { targets, atRiskPercent } = resolvePolicyTargets(lead, context);
+    scheduleTarget(resolution, now, targets.resolution, atRiskPercent, context.settings);
+    resolution.achievedAt = null;
+    resolution.breachedAt = null;
+    resolution.warnedAt = null;
+}
+
+function targetStatus(target, now) {
+    if (target.breachedAt) return 'breached';
+    if (target.achievedAt) return target.dueAt ? 'met' : 'none';
+    if (!target.dueAt) return 'none';
+    if (now >= target.dueAt) return 'breached';
+    if (target.atRiskAt && now >= target.atRiskAt) return 'at_risk';
+    return 'on_track';
+}
+
+export function formatSla(lead, now = new Date()) {
+    if (!lead.sla) return null;
+    return {
+        policyID: lead.sla.policy,
+        ...Object.fromEntries(SLA_TARGETS.map(name => {
+            const target = lead.sla[name];
+            return [name, {
+                status: targetStatus(target, now),
+                dueAt: target.dueAt,
+                achievedAt: target.achievedAt,
+                breachedAt: target.breachedAt,
+                breaches: target.breaches,
+            }];
+        })),
+    };
+}
+
+async function notifySla(lead, targetName, type) {
+    const recipients = lead.currentAssignee
+        ? [lead.currentAssignee]
+        : (await User.find({ workspace: lead.workspace, userRole: 'Admin' })).map(admin => admin._id);
+
+    const message = type === 'SlaBreached'
+        ? `${TARGET_LABELS[targetName]} SLA breached on ticket ${lead.ticketID}`
+        : `${TARGET_LABELS[targetName]} SLA at risk on ticket ${lead.ticketID}`;
+
+    await notifyUsers({ workspace: lead.workspace, recipients, type, leadID: lead._id, message });
+    publishToAgents(lead, 'sla', { leadID: lead._id, target: targetName, sla: formatSla(lead) });
+}
+
+export async function checkSlaTargets(workspaceID, now = new Date()) {
+    const context = await loadSlaContext(workspaceID);
+
+    // Tickets created before SLA tracking
+    const legacyLeads = await Lead.find({ workspace: workspaceID, sla: { $exists: false } }).limit(LEGACY_BATCH);
+    for (const lead of legacyLeads) {
+        await applySlaPolicy(lead, context);
+        await lead.save();
+    }
+
+    const baseQuery = { workspace: workspaceID, status: { $ne: 'Resolved' }, isSpam: { $ne: true } };
+    const newMissedChats = [];
+
+    for (const targetName of SLA_TARGETS) {
+        const path = `sla.${targetName}`;
+
+        const overdueLeads = await Lead.find({
+            ...baseQuery,
+            [`${path}.dueAt`]: { $lte: now },
+            [`${path}.achievedAt`]: null,
+            [`${path}.breachedAt`]: null,
+        });
+        for (const lead of overdueLeads) {
+            const target = lead.sla[targetName];
+            target.breachedAt = target.dueAt;
+            target.breaches += 1;
+            if (targetName === 'firstResponse' && !lead.isMissedChat) {
+                lead.isMissedChat = true;
+                newMissedChats.push(lead);
+            }
+            await lead.save();
+            await notifySla(lead, targetName, 'SlaBreached');
+        }
+
+        const atRiskLeads = await Lead.find({
+            ...baseQuery,
+            [`${path}.atRiskAt`]: { $lte: now },
+            [`${path}.dueAt`]: { $gt: now },
+            [`${path}.achievedAt`]: null,
+            [`${path}.warnedAt`]: null,
+        });
+        for (const lead of atRiskLeads) {
+            lead.sla[targetName].warnedAt = now;
+            await lead.save();
+            await notifySla(lead, targetName, 'SlaAtRisk');
+        }
+    }
+
+    if (newMissedChats.length > 0) {
+        sendMissedChatMail(workspaceID, newMissedChats);
+        newMissedChats.forEach(lead => emitLeadEvent(lead, 'missed_chat.detected'));
+    }
+    return newMissedChats;
+}
+
+// Met / breached / pending tickets per target, overall and per priority
+export async function getSlaCompliance(workspaceQuery) {
+    const group = Object.fromEntries(SLA_TARGETS.flatMap(name => {
+        const path = `$sla.${name}`;
+        return [
+            [`${name}Total`, { $sum: { $cond: [{ $gt: [`${path}.dueAt`, null] }, 1, 0] } }],
+            [`${name}Breached`, { $sum: { $cond: [{ $gt: [`${path}.breaches`, 0] }, 1, 0] } }],
+            [`${name}Met`, {
+                $sum: {
+                    $cond: [{
+                        $and: [
+                            { $gt: [`${path}.dueAt`, null] },
+                            { $gt: [`${path}.achievedAt`, null] },
+                            { $not: [{ $gt: [`${path}.breaches`, 0] }] },
+                        ]
+                    }, 1, 0]
+                }
+            }],
+        ];
+    }));
+
+    const counts = await Lead.aggregate([
+        { $match: workspaceQuery },
+        { $group: { _id: { $ifNull: ['$priority', 'Normal'] }, ...group } },
+    ]);
+
+    const summarize = (rows) => Object.fromEntries(SLA_TARGETS.map(name => {
+        const total = rows.reduce((sum, row) => sum + row[`${name}Total`], 0);
+        const met = rows.reduce((sum, row) => sum + row[`${name}Met`], 0);
+        const breached = rows.reduce((sum, row) => sum + row[`${name}Breached`], 0);
+        return [name, {
+            total,
+            met,
+            breached,
+            pending: Math.max(total - met - breached, 0),
+            compliance: met + breached === 0 ? 100 : Math.round((met / (met + breached)) * 100),
+        }];
+    }));
+
+    return {
+        ...summarize(counts),
+        byPriority: LEAD_PRIORITIES.map(priority => ({
+            priority,
+            ...summarize(counts.filter(row => row._id === priority)),
+        })),
+    };
+}
@@ -0,0 +1,33 @@
+/*
+|---------------------------------------------------------------------------
+| Attachment Storage
+|---------------------------------------------------------------------------
+| Pluggable storage for attachment files. The adapter is picked with the
+| `STORAGE_DRIVER` environment variable, local disk is the default.
+|
+| An adapter implements:
+| - `save(key, buffer)`: Stores the file content under the key.
+| - `createReadStream(key)`: Returns a readable stream of the file content.
+| - `remove(key)`: Deletes the file, missing files are ignored.
+|
+| Other adapters (S3, GCS, ...) can be added with `registerStorageAdapter`.
+*/
+
+import { configDotenv } from 'dotenv';
+import localStorage from './local.js';
+
+configDotenv();
+export const { STORAGE_DRIVER = 'local' } = process.env;
+
+const adapters = new Map([['local', localStorage]]);
+
+export function registerStorageAdapter(name, adapter) {
+    adapters.set(name, adapter);
+}
+
+// Files keep the adapter they were saved with, pass it to read or remove them
+export function getStorage(name = STORAGE_DRIVER) {
+    const adapter = adapters.get(name);
+    if (!adapter) throw new Error(`Storage adapter "${name}" is not registered`);
+    return adapter;
+}
@@ -0,0 +1,41 @@
+/*
+|---------------------------------------------------------------------------
+| Local Disk Storage Adapter
+|---------------------------------------------------------------------------
+| Stores attachment files on the local disk, under `UPLOAD_DIR` (defaults to
+| the `uploads` directory at the project root).
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configDotenv } from 'dotenv';
+
+configDotenv();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadDirectory = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+
+// Keys are generated by the server, resolve them anyway to never leave the upload directory
+const resolveKey = (key) => {
+    const filePath = path.resolve(uploadDirectory, key);
+    if (!filePath.startsWith(path.resolve(uploadDirectory) + path.sep)) throw new Error('Invalid storage key');
+    return filePath;
+}
+
+const localStorage = {
+    async save(key, buffer) {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream(key) {
+        return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    },
+};
+
+export default localStorage;
@@ -0,0 +1,46 @@
+/*
+|---------------------------------------------------------------------------
+| Message Templates
+|---------------------------------------------------------------------------
+| Renders `{{path.to.value}}` variables inside saved replies (canned responses).
+|
+| - `buildTemplateContext`: Builds the variables available for a lead (ticket) and an agent.
+| - `renderTemplate`: Replaces every variable with its value, unknown variables render empty.
+|
+| Available variables: `lead.name`, `lead.email`, `lead.phone`, `ticket.id`, `ticket.status`,
+| `agent.firstName`, `agent.lastName`, `agent.email`.
+*/
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export const TEMPLATE_VARIABLES = [
+    'lead.name', 'lead.email', 'lead.phone',
+    'ticket.id', 'ticket.status',
+    'agent.firstName', 'agent.lastName', 'agent.email',
+];
+
+export function buildTemplateContext({ lead, agent }) {
+    return {
+        lead: {
+            name: lead?.userName ?? '',
+            email: lead?.userEmail ?? '',
+            phone: lead?.userPhone ?? '',
+        },
+        ticket: {
+            id: lead?.ticketID ?? '',
+            status: lead?.status ?? '',
+        },
+        agent: {
+            firstName: agent?.firstName ?? '',
+            lastName: agent?.lastName ?? '',
+            email: agent?.email ?? '',
+        },
+    };
+}
+
+export function renderTemplate(template, context) {
+    return template.replace(VARIABLE_PATTERN, (match, path) => {
+        const value = path.split('.').reduce((acc, key) => acc?.[key], context);
+        return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+    });
+}
@@ -0,0 +1,168 @@
+/*
+|---------------------------------------------------------------------------
+| Ticket Filters and Sorting
+|---------------------------------------------------------------------------
+| Turns the filters of the ticket endpoints (query string) into a `Lead` query
+| scoped to what the logged in user may see: users with `tickets.viewAll` see every
+| lead of the workspace, the others only the tickets they are in the `assigneeList` of
+| (`ownTickets` limits everyone to their own tickets). Spam leads are left out.
+|
+| - `buildTicketFilter`: Returns the query, throws a `CustomError` on invalid filters.
+| - `findTickets`: Runs the query with the requested sort and pagination.
+| - `ticketCursor`: Streams the leads of the query in the requested sort order (exports).
+| - `dateRange`: Date range query of `from` / `to` query values, also used by the audit log.
+|
+| Filters:
+| - `status`: `Resolved`, `Unresolved` or `All` (default).
+| - `assignee`: User ID of the current assignee, or `unassigned`.
+| - `from` / `to`: Creation date range (dates without a time include the whole `to` day).
+| - `missedChat`: `true` or `false`.
+| - `priority`: One or more priorities, comma separated.
+| - `tags`: Comma separated tags, the ticket must have all of them.
+| - `custom[<key>]`: Custom field value. Text fields match partially, select fields accept
+|   comma separated options, number fields accept `custom[<key>][min|max]` and date fields
+|   `custom[<key>][from|to]`.
+|
+| Sort (`sort` and `order=asc|desc`): `createdAt`, `updatedAt`, `priority`, `status`,
+| `ticketID` or `custom.<key>`.
+*/
+
+import mongoose from "mongoose";
+import { CustomError } from "../middleware/errorMiddleware.js";
+import CustomField from "../modal/custom-field-modal.js";
+import Lead, { LEAD_PRIORITIES } from "../modal/lead-modal.js";
+import { normalizeCustomFieldValue, normalizeTags } from "./customField.js";
+import RouteCode from "./httpStatus.js";
+import { can } from "./permissions.js";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'priority', 'status', 'ticketID'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new CustomError(`Invalid ${name} date!`, RouteCode.BAD_REQUEST.statusCode);
+    return date;
+}
+
+export function dateRange(from, to, name) {
+    const range = {};
+    if (from) range.$gte = parseDate(from, name);
+    if (to) {
+        const toDate = parseDate(to, name);
+        if (DATE_ONLY.test(to)) {
+            toDate.setUTCDate(toDate.getUTCDate() + 1);
+            range.$lt = toDate;
+        } else {
+            range.$lte = toDate;
+        }
+    }
+    return range;
+}
+
+async function buildCustomFieldFilter(workspaceID, custom) {
+    if (typeof custom !== 'object' || custom === null) throw new CustomError('Invalid custom field filter!', RouteCode.BAD_REQUEST.statusCode);
+
+    const foundFields = await CustomField.find({ workspace: workspaceID, key: { $in: Object.keys(custom) } });
+    const query = {};
+
+    Object.entries(custom).forEach(([key, value]) => {
+        const field = foundFields.find(item => item.key === key);
+        if (!field) throw new CustomError(`Unknown custom field ${key}!`, RouteCode.BAD_REQUEST.statusCode);
+        const path = `customFields.${key}`;
+
+        if (field.type === 'number' && typeof value === 'object') {
+            query[path] = {};
+            if (value.min !== undefined) query[path].$gte = normalizeCustomFieldValue(field, value.min);
+            if (value.max !== undefined) query[path].$lte = normalizeCustomFieldValue(field, value.max);
+        } else if (field.type === 'date') {
+            query[path] = typeof value === 'object'
+                ? dateRange(value.from, value.to, field.label)
+                : dateRange(value, value, field.label);
+        } else if (field.type === 'select') {
+            query[path] = { $in: splitList(value).map(option => normalizeCustomFieldValue(field, option)) };
+        } else if (field.type === 'text') {
+            query[path] = new RegExp(escapeRegExp(String(value).trim()), 'i');
+        } else {
+            query[path] = normalizeCustomFieldValue(field, value);
+        }
+    });
+
+    return query;
+}
+
+export async function buildTicketFilter(user, filters = {}, { ownTickets = false } = {}) {
+    const { status = 'All', assignee, from, to, missedChat, priority, tags, custom } = filters;
+
+    const query = { workspace: user.workspace, isSpam: { $ne: true } };
+    if (ownTickets) query.$or = [{ currentAssignee: user._id }, { assigneeList: user._id }];
+    else if (!can(user, 'tickets.viewAll')) query.assigneeList = user._id;
+
+    if (status !== 'All') {
+        if (!['Resolved', 'Unresolved'].includes(status)) throw new CustomError('Invalid status filter!', RouteCode.BAD_REQUEST.statusCode);
+        query.status = status;
+    }
+
+    if (assignee) {
+        if (assignee === 'unassigned') query.currentAssignee = null;
+        else if (mongoose.isValidObjectId(assignee)) query.currentAssignee = new mongoose.Types.ObjectId(assignee);
+        else throw new CustomError('Invalid assignee filter!', RouteCode.BAD_REQUEST.statusCode);
+    }
+
+    if (from || to) query.createdAt = dateRange(from, to, from ? 'from' : 'to');
+
+    if (missedChat === 'true' || missedChat === 'false') query.isMissedChat = missedChat === 'true';
+
+    if (priority) {
+        const priorityList = splitList(priority);
+        if (priorityList.some(item => !LEAD_PRIORITIES.includes(item))) throw new CustomError('Invalid priority filter!', RouteCode.BAD_REQUEST.statusCode);
+        // Leads created before priorities existed have none, they are Normal
+        query.priority = { $in: priorityList.includes('Normal') ? [...priorityList, null] : priorityList };
+    }
+
+    if (tags) {
+        const tagList = normalizeTags(tags);
+        if (tagList.length > 0) query.tags = { $all: tagList };
+    }
+
+    if (custom) Object.assign(query, await buildCustomFieldFilter(user.workspace, custom));
+
+    return query;
+}
+
+// Sorts in the database (priorities by rank, not alphabetically) and loads the page of leads
+function sortedPipeline(query, sort, order) {
+    const isCustomSort = /^custom\.[a-z][a-z0-9_]*$/.test(sort);
+    if (!SORT_FIELDS.includes(sort) && !isCustomSort) throw new CustomError('Invalid sort field!', RouteCode.BAD_REQUEST.statusCode);
+    const direction = order === 'asc' ? 1 : -1;
+
+    const sortField = sort === 'priority' ? 'priorityRank' : isCustomSort ? sort.replace('custom.', 'customFields.') : sort;
+    return [
+        { $match: query },
+        { $addFields: { priorityRank: { $indexOfArray: [LEAD_PRIORITIES, { $ifNull: ['$priority', 'Normal'] }] } } },
+        { $sort: { [sortField]: direction, _id: direction } },
+    ];
+}
+
+export async function findTickets(query, { sort = 'createdAt', order = 'desc', skip = 0, limit = 0, populate = [] } = {}) {
+    const pipeline = sortedPipeline(query, sort, order);
+    if (skip > 0) pipeline.push({ $skip: skip });
+    if (limit > 0) pipeline.push({ $limit: limit });
+    pipeline.push({ $project: { _id: 1 } });
+
+    const sortedIDs = (await Lead.aggregate(pipeline)).map(item => item._id);
+    const positions = new Map(sortedIDs.map((id, index) => [id.toString(), index]));
+
+    let leadQuery = Lead.find({ _id: { $in: sortedIDs } });
+    populate.forEach(path => leadQuery = leadQuery.populate(path));
+    const foundLeads = await leadQuery;
+
+    return foundLeads.sort((a, b) => positions.get(a._id.toString()) - positions.get(b._id.toString()));
+}
+
+// Plain lead objects one by one, large sorts may use disk
+export function ticketCursor(query, { sort = 'createdAt', order = 'desc' } = {}) {
+    return Lead.aggregate(sortedPipeline(query, sort, order)).allowDiskUse(true).cursor({ batchSize: 200 });
+}
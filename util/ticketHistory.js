@@ -0,0 +1,106 @@
+/*
+|---------------------------------------------------------------------------
+| Ticket History
+|---------------------------------------------------------------------------
+| Handoffs and status changes of a ticket (`assignmentHistory` and `statusHistory` of the lead),
+| and what is computed from them.
+|
+| - `assignTicket`: Assigns (or unassigns) a ticket and records the handoff: from, to, by, reason and time.
+| - `recordStatusHistory`: Records a status change of a ticket.
+| - `buildTicketTimeline`: Messages, internal notes, status changes and handoffs of a ticket, oldest first.
+| - `getTimeOnTicket`: Seconds each assignee held a ticket while it was unresolved.
+|
+| Leads created before the history existed only have the changes made since, their timeline
+| starts with the messages.
+*/
+
+import LeadConversation from "../modal/lead-conversation-modal.js";
+import User from "../modal/user-modal.js";
+import { formatMessage } from "./realtime.js";
+
+const idOf = (user) => user?._id ?? user ?? null;
+
+// Does not save the lead, returns the previous assignee
+export function assignTicket(lead, assignee, { by = null, reason, note = null, at = new Date() }) {
+    const previousAssignee = idOf(lead.currentAssignee);
+    const assigneeID = idOf(assignee);
+
+    lead.currentAssignee = assigneeID;
+    if (assigneeID) {
+        // Latest assignee first, listed once
+        lead.assigneeList.pull(assigneeID);
+        lead.assigneeList.unshift(assigneeID);
+    }
+    lead.assignmentHistory.push({ from: previousAssignee, to: assigneeID, by: idOf(by), reason, note, at });
+    return previousAssignee;
+}
+
+export function recordStatusHistory(lead, previousStatus, by = null, at = new Date()) {
+    lead.statusHistory.push({ from: previousStatus, to: lead.status, by: idOf(by), at });
+}
+
+export async function buildTicketTimeline(lead) {
+    const foundConversations = await LeadConversation
+        .find({ leadID: lead._id })
+        .populate('assigneeID', 'firstName lastName')
+        .populate('attachments')
+        .sort({ createdAt: 1 });
+
+    const userIDs = [
+        ...lead.assignmentHistory.flatMap(entry => [entry.from, entry.to, entry.by]),
+        ...lead.statusHistory.map(entry => entry.by),
+    ].filter(Boolean);
+    const foundUsers = await User.find({ _id: { $in: userIDs } }).select('firstName lastName');
+    const names = new Map(foundUsers.map(user => [user._id.toString(), `${user.firstName} ${user.lastName}`.trim()]));
+    // Null is the server (routing) or nobody (unassigned)
+    const member = (userID) => userID ? { id: userID, name: names.get(userID.toString()) ?? 'Deleted member' } : null;
+
+    const events = [
+        ...foundConversations.map(item => ({
+            type: item.sendBy === 'Note' ? 'note' : 'message',
+            at: item.createdAt,
+            message: formatMessage(item, item.assigneeID?.firstName),
+        })),
+        ...lead.statusHistory.map(entry => ({ type: 'status', at: entry.at, from: entry.from, to: entry.to, by: member(entry.by) })),
+        ...lead.assignmentHistory.map(entry => ({
+            type: 'assignment',
+            at: entry.at,
+            from: member(entry.from),
+            to: member(entry.to),
+            by: member(entry.by),
+            reason: entry.reason,
+            note: entry.note,
+        })),
+    ].sort((a, b) => a.at - b.at);
+
+    // The first handoff is recorded right before the lead is saved
+    return [{ type: 'created', at: lead.createdAt }, ...events];
+}
+
+// Replays the handoffs and status changes, works on lean leads too (analytics)
+export function getTimeOnTicket(lead, now = new Date()) {
+    const seconds = new Map();
+    const changes = [
+        ...(lead.assignmentHistory ?? []).map(entry => ({ at: entry.at, assignee: entry.to ?? null })),
+        ...(lead.statusHistory ?? []).map(entry => ({ at: entry.at, status: entry.to })),
+    ].sort((a, b) => a.at - b.at);
+
+    let assignee = null;
+    let status = lead.statusHistory?.[0]?.from ?? lead.status;
+    let since = null;
+    const credit = (until) => {
+        if (!assignee || status !== 'Unresolved' || !since) return;
+        const key = assignee.toString();
+        seconds.set(key, (seconds.get(key) ?? 0) + Math.max(until - since, 0) / 1000);
+    };
+
+    for (const change of changes) {
+        credit(change.at);
+        if ('assignee' in change) assignee = change.assignee;
+        else status = change.status;
+        since = change.at;
+    }
+    credit(now);
+
+    return seconds;
+}
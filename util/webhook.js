@@ -0,0 +1,262 @@
+/*
+|---------------------------------------------------------------------------
+| Outbound Webhooks
+|---------------------------------------------------------------------------
+| Pushes ticket lifecycle events to the endpoints registered by the admins of
+| a workspace. Every event creates one `WebhookDelivery` per subscribed endpoint,
+| the delivery is POSTed in the background so controllers never wait on it.
+|
+| - `emitWebhookEvent`: Queues an event for every active endpoint subscribed to it.
+| - `emitLeadEvent`: Same, with the lead summary in the payload (spam leads are skipped).
+| - `deliverWebhook`: Sends one attempt of a delivery and schedules the retry when it fails.
+| - `replayDelivery`: Sends a past delivery again as a new delivery.
+| - `retryStalledDeliveries`: Sends the pending deliveries whose retry never ran (restart or crash),
+|   run by the `webhook-retry` job.
+| - `signPayload` / `generateWebhookSecret`: HMAC signature helpers.
+| - `isPublicWebhookURL`: Tells whether a URL is HTTP(S) and its host only resolves to public addresses.
+|
+| Endpoints on loopback, link-local or private networks (NAT64 and 6to4 addresses included) are
+| refused when registered and again when a delivery connects: the address checked is the address
+| connected to (`publicLookup`), the DNS answer can not change in between. Redirects are not followed.
+|
+| Requests carry `X-Hubly-Event`, `X-Hubly-Delivery`, `X-Hubly-Timestamp` and
+| `X-Hubly-Signature: sha256=<hex>`, the HMAC-SHA256 of `<timestamp>.<raw body>`
+| with the endpoint secret. Failed attempts are retried with exponential backoff
+| (`WEBHOOK_RETRY_BASE_SECONDS` * 2^(attempt - 1)) up to `WEBHOOK_MAX_ATTEMPTS`.
+*/
+
+import crypto from 'crypto';
+import dns from 'dns';
+import { configDotenv } from 'dotenv';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import Webhook from '../modal/webhook-modal.js';
+import WebhookDelivery from '../modal/webhook-delivery-modal.js';
+
+configDotenv();
+const { WEBHOOK_MAX_ATTEMPTS = 6, WEBHOOK_RETRY_BASE_SECONDS = 30, WEBHOOK_TIMEOUT_MS = 10000 } = process.env;
+
+export const WEBHOOK_EVENTS = [
+    'lead.created',
+    'lead.details_shared',
+    'message.posted',
+    'status.changed',
+    'assignee.changed',
+    'missed_chat.detected',
+    'csat.submitted',
+];
+
+const RESPONSE_BODY_LIMIT = 1000;
+const STALLED_GRACE = 60 * 1000;
+
+const privateAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+    // IPv4 embedded in IPv6 (NAT64, 6to4, Teredo) can reach the private IPv4 networks
+    ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['2001::', 32],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4 mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 networks
+const isPrivateAddress = (address) => privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const PRIVATE_ADDRESS_ERROR = 'Webhook URL does not resolve to a public address';
+
+// `dns.lookup` for the delivery sockets, fails when any address of the host is private
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) return callback(new Error(PRIVATE_ADDRESS_ERROR));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POSTs the body, resolves with the status and the start of the response body
+function postToEndpoint(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+        }, (response) => {
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                if (size >= RESPONSE_BODY_LIMIT) return;
+                chunks.push(chunk);
+                size += chunk.length;
+            });
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_BODY_LIMIT) });
+            });
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => {
+            const timeoutError = new Error('Request timed out');
+            timeoutError.name = 'TimeoutError';
+            request.destroy(timeoutError);
+        }, Number(WEBHOOK_TIMEOUT_MS));
+        request.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+}
+
+export async function isPublicWebhookURL(url) {
+    let parsedURL;
+    try {
+        parsedURL = new URL(url);
+    } catch {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(parsedURL.protocol)) return false;
+
+    const hostname = parsedURL.hostname.replace(/^\[|\]$/g, '');
+    try {
+        const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+        return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+    } catch {
+        return false;
+    }
+}
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export const formatWebhookLead = (lead) => ({
+    id: lead._id,
+    ticketID: lead.ticketID,
+    status: lead.status,
+    userName: lead.userName ?? null,
+    userEmail: lead.userEmail ?? null,
+    userPhone: lead.userPhone ?? null,
+    isMissedChat: lead.isMissedChat,
+    currentAssignee: lead.currentAssignee?._id ?? lead.currentAssignee ?? null,
+    createdAt: lead.createdAt,
+});
+
+const retryDelay = (attempts) => Number(WEBHOOK_RETRY_BASE_SECONDS) * 1000 * (2 ** (attempts - 1));
+
+function scheduleDelivery(delivery) {
+    const delay = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0);
+    // Do not keep the process alive only for a retry
+    setTimeout(() => deliverWebhook(delivery._id), delay).unref();
+}
+
+export async function deliverWebhook(deliveryID) {
+    try {
+        const delivery = await WebhookDelivery.findById(deliveryID);
+        if (!delivery || delivery.status !== 'Pending') return;
+
+        const webhook = await Webhook.findById(delivery.webhook);
+        if (!webhook || !webhook.isActive) {
+            delivery.status = 'Failed';
+            delivery.error = 'Webhook deleted or disabled';
+            await delivery.save();
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        delivery.attempts += 1;
+
+        try {
+            // IP literals are never looked up, they are checked here
+            if (!(await isPublicWebhookURL(webhook.url))) throw new Error(PRIVATE_ADDRESS_ERROR);
+
+            const response = await postToEndpoint(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Hubly-Webhooks/1.0',
+                'X-Hubly-Event': delivery.event,
+                'X-Hubly-Delivery': delivery._id.toString(),
+                'X-Hubly-Timestamp': String(timestamp),
+                'X-Hubly-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            }, body);
+
+            delivery.responseStatus = response.status;
+            delivery.responseBody = response.body;
+            delivery.error = response.status >= 200 && response.status < 300 ? null : `Endpoint answered ${response.status}`;
+        } catch (error) {
+            delivery.responseStatus = null;
+            delivery.responseBody = null;
+            delivery.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+        }
+
+        if (!delivery.error) {
+            delivery.status = 'Success';
+            delivery.deliveredAt = new Date();
+        } else if (delivery.attempts >= Number(WEBHOOK_MAX_ATTEMPTS)) {
+            delivery.status = 'Failed';
+        } else {
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+        }
+
+        await delivery.save();
+        if (delivery.status === 'Pending') scheduleDelivery(delivery);
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+    }
+}
+
+// Never throws: a failing webhook must not break the action that triggered the event
+export async function emitWebhookEvent(workspaceID, event, data) {
+    try {
+        const foundWebhooks = await Webhook.find({ workspace: workspaceID, isActive: true, events: event });
+        if (foundWebhooks.length === 0) return;
+
+        const eventID = uuidv4();
+        const payload = { id: eventID, event, workspace: workspaceID, createdAt: new Date(), data };
+
+        for (const webhook of foundWebhooks) {
+            const delivery = await WebhookDelivery.create({ workspace: workspaceID, webhook: webhook._id, event, eventID, payload });
+            scheduleDelivery(delivery);
+        }
+    } catch (error) {
+        console.error(`Webhook event ${event} error:`, error);
+    }
+}
+
+export function emitLeadEvent(lead, event, data = {}) {
+    if (lead.isSpam) return;
+    return emitWebhookEvent(lead.workspace, event, { lead: formatWebhookLead(lead), ...data });
+}
+
+export async function replayDelivery(delivery) {
+    const replay = await WebhookDelivery.create({
+        workspace: delivery.workspace,
+        webhook: delivery.webhook,
+        event: delivery.event,
+        // Same event id, receivers can recognize the duplicate
+        eventID: delivery.eventID,
+        payload: delivery.payload,
+        replayOf: delivery._id,
+    });
+    scheduleDelivery(replay);
+    return replay;
+}
+
+// Retries are timers of the instance that made the attempt, a delivery still pending well after
+// its retry time lost its timer
+export async function retryStalledDeliveries(workspaceID = null, now = new Date()) {
+    const staleBefore = new Date(now.getTime() - Number(WEBHOOK_TIMEOUT_MS) - STALLED_GRACE);
+    const query = { status: 'Pending', nextAttemptAt: { $lte: staleBefore } };
+    if (workspaceID) query.workspace = workspaceID;
+
+    const stalledDeliveries = await WebhookDelivery.find(query).select('_id');
+    for (const delivery of stalledDeliveries) await deliverWebhook(delivery._id);
+    return stalledDeliveries.length;
+}
@@ -0,0 +1,55 @@
+/*
+|---------------------------------------------------------------------------
+| Workspace Helpers
+|---------------------------------------------------------------------------
+| - `createWorkspace`: Creates a workspace along with its default chatbot settings.
+| - `deleteWorkspace`: Deletes a workspace and its chatbot settings, undoes `createWorkspace`.
+| - `migrateLegacyData`: Moves data created before workspaces existed (single
+|   organization deployments) into a default workspace, once, at startup.
+| - `ensureWorkspaceSettings`: Creates default chatbot settings for workspaces without any.
+*/
+
+import settingsController from "../controller/settings.js";
+import ChatbotSettings from "../modal/chat-bot-modal.js";
+import Lead from "../modal/lead-modal.js";
+import User from "../modal/user-modal.js";
+import Workspace from "../modal/workspace-modal.js";
+
+export async function createWorkspace({ name, owner = null }) {
+    const newWorkspace = new Workspace({ name: name.trim(), owner });
+    await newWorkspace.save();
+    await settingsController.loadDefaultSettings(newWorkspace._id);
+    return newWorkspace;
+}
+
+export async function deleteWorkspace(workspaceID) {
+    await ChatbotSettings.deleteMany({ workspace: workspaceID });
+    await Workspace.deleteOne({ _id: workspaceID });
+}
+
+export async function migrateLegacyData() {
+    const missingWorkspace = { $or: [{ workspace: { $exists: false } }, { workspace: null }] };
+    const legacyUserCount = await User.countDocuments(missingWorkspace);
+    const legacyLeadCount = await Lead.countDocuments(missingWorkspace);
+    const legacySettingsCount = await ChatbotSettings.countDocuments(missingWorkspace);
+    if (legacyUserCount === 0 && legacyLeadCount === 0 && legacySettingsCount === 0) return null;
+
+    const foundAdmin = await User.findOne({ ...missingWorkspace, userRole: 'Admin' });
+    const defaultWorkspace = new Workspace({ name: 'Default Workspace', owner: foundAdmin?._id ?? null });
+    await defaultWorkspace.save();
+
+    // Bypass validation, the legacy documents are missing the now required workspace
+    await User.collection.updateMany(missingWorkspace, { $set: { workspace: defaultWorkspace._id } });
+    await Lead.collection.updateMany(missingWorkspace, { $set: { workspace: defaultWorkspace._id } });
+    await ChatbotSettings.collection.updateMany(missingWorkspace, { $set: { workspace: defaultWorkspace._id } });
+
+    return defaultWorkspace;
+}
+
+export async function ensureWorkspaceSettings() {
+    const foundWorkspaces = await Workspace.find();
+    for (const workspace of foundWorkspaces) {
+        const settingsCount = await ChatbotSettings.countDocuments({ workspace: workspace._id });
+        if (settingsCount === 0) await settingsController.loadDefaultSettings(workspace._id);
+    }
+}